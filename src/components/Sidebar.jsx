@@ -27,7 +27,9 @@ import {
     Database,
     Shield,
     MailIcon,
-    Info
+    Info,
+    Contact,
+    History
 } from "lucide-react";
 
 import { NavLink } from "react-router-dom";
@@ -52,7 +54,7 @@ function Sidebar({ isOpen, onClose, isCollapsed, setIsCollapsed }) {
         clients: 0,
         socialMedia: 0,
     });
-    const { authState } = useAuth();
+    const { authState, can } = useAuth();
     useEffect(() => {
         const fetchCounts = async () => {
             try {
@@ -89,37 +91,39 @@ function Sidebar({ isOpen, onClose, isCollapsed, setIsCollapsed }) {
             section: "Dashboard",
             items: [
                 { name: 'Dashboard', path: '/', icon: Home },
-                { name: 'Analytics', path: '/analytics', icon: BarChart2 },
-                { name: 'Enquiries', path: '/enquiries', icon: FileText, count: count.enquiries },
+                { name: 'Analytics', path: '/analytics', icon: BarChart2, module: 'dashboard' },
+                { name: 'Enquiries', path: '/enquiries', icon: FileText, count: count.enquiries, module: 'enquiries' },
+                { name: 'Contacts', path: '/contacts', icon: Contact, module: 'contacts' },
             ]
         },
         {
             section: "Content Management",
             items: [
-                { name: 'Pages', path: '/pages', icon: Layout },
-                { name: 'Blog Posts', path: '/posts', icon: PenTool, count: count.blogs },
-                { name: 'Clients', path: '/clients', icon: Briefcase, count: count.clients },
-                { name: 'Documents', path: '/documents', icon: FileText },
-                { name: 'SEO Editor', path: '/seo-editor', icon: Layers },
-                { name: 'Team Members', path: '/team', icon: Users, count: count.team },
-                { name: 'FAQs', path: '/faqs', icon: FileText,count: count.faqs },
-                { name: 'Organization Details', path: '/organization-details', icon: Info, },
+                { name: 'Pages', path: '/pages', icon: Layout, module: 'pages' },
+                { name: 'Blog Posts', path: '/posts', icon: PenTool, count: count.blogs, module: 'blogs' },
+                { name: 'Clients', path: '/clients', icon: Briefcase, count: count.clients, module: 'clients' },
+                { name: 'Documents', path: '/documents', icon: FileText, module: 'documents' },
+                { name: 'Media Library', path: '/media', icon: FileImage, module: 'media' },
+                { name: 'SEO Editor', path: '/seo-editor', icon: Layers, module: 'seo' },
+                { name: 'Team Members', path: '/team', icon: Users, count: count.team, module: 'team' },
+                { name: 'FAQs', path: '/faqs', icon: FileText,count: count.faqs, module: 'faqs' },
+                { name: 'Organization Details', path: '/organization-details', icon: Info, module: 'organization' },
             ]
         },
         {
             section: "User Management",
             items: [
-                { name: 'Users', path: '/users', icon: Users, role: 'superadmin',count: count.users },
-                // { name: 'Roles & Permissions', path: '/roles', icon: Lock },
+                { name: 'Users', path: '/users', icon: Users, count: count.users, module: 'users' },
+                { name: 'Roles & Permissions', path: '/roles', icon: Lock, module: 'roles' },
             ]
         },
         {
             section: "Marketing",
             items: [
-                { name: 'Newsletters', path: '/newsletters', icon: Mail, count: count.newsletters },
+                { name: 'Newsletters', path: '/newsletters', icon: Mail, count: count.newsletters, module: 'newsletters' },
                 // { name: 'Comments', path: '/comments', icon: MessageSquare, count: count.comments },
-                { name: 'Testimonials', path: '/testimonials', icon: MessageSquare, count: count.testimonials },
-                { name: 'Social Media', path: '/social', icon: Globe, count: count.socialMedia },
+                { name: 'Testimonials', path: '/testimonials', icon: MessageSquare, count: count.testimonials, module: 'testimonials' },
+                { name: 'Social Media', path: '/social', icon: Globe, count: count.socialMedia, module: 'social' },
             ]
         },
         {
@@ -127,13 +131,24 @@ function Sidebar({ isOpen, onClose, isCollapsed, setIsCollapsed }) {
             items: [
                 { name: 'Notifications', path: '/notifications', icon: Bell, count: count.notifications },
                 // { name: 'SEO', path: '/seo', icon: Globe },
-                { name: 'Mail Config', path: '/mail-config', icon: MailIcon },
+                { name: 'Mail Config', path: '/mail-config', icon: MailIcon, module: 'mailConfig' },
+                { name: 'Audit Log', path: '/audit-log', icon: History, module: 'auditLog' },
                 { name: 'Settings', path: '/settings', icon: Settings },
                 // { name: 'Help & Docs', path: '/help', icon: HelpCircle }
             ]
         },
     ];
 
+    // Skip items whose role or module permission the user lacks, and sections left empty
+    const visibleNavigation = navigation
+        .map((section) => ({
+            ...section,
+            items: section.items.filter((item) =>
+                (!item.role || authState.role === item.role) && (!item.module || can(item.module))
+            ),
+        }))
+        .filter((section) => section.items.length > 0);
+
     const NavItem = ({ item, isActive }) => {
         const content = (
             <div className="flex items-center justify-between w-full">
@@ -227,7 +242,7 @@ function Sidebar({ isOpen, onClose, isCollapsed, setIsCollapsed }) {
                 </div>
 
                 <nav className="px-2 h-[calc(100vh-4rem)] overflow-y-auto scrollbar-hidden pb-24">
-                    {navigation.map((section, index) => (
+                    {visibleNavigation.map((section, index) => (
                         <div key={section.section} className={`${index > 0 ? 'mt-6' : 'mt-2'}`}>
                             <div className={`transition-all duration-300 ease-in-out overflow-hidden ${isCollapsed ? 'h-0 opacity-0' : 'h-6 opacity-100'
                                 }`}>
@@ -236,11 +251,6 @@ function Sidebar({ isOpen, onClose, isCollapsed, setIsCollapsed }) {
                                 </h2>
                             </div>
                             {section.items.map((item) => {
-                                // Skip rendering if the role does not match (if a role is defined)
-                                if (item.role && authState.role !== item.role) {
-                                    return null;
-                                }
-
                                 return (
                                     <NavLink
                                         key={item.path}
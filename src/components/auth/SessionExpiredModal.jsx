@@ -0,0 +1,138 @@
+import { useState } from "react";
+import * as Yup from "yup";
+import { Lock, Eye, EyeOff } from "lucide-react";
+import axiosInstance, { resumeSession } from "../../config/axios";
+
+const reloginSchema = Yup.object().shape({
+  email: Yup.string().email("Please enter a valid email").required("Email is required"),
+  password: Yup.string().required("Password is required"),
+});
+
+/**
+ * Shown over the current page when the session can no longer be refreshed. Nothing
+ * is unmounted, so unsaved form input survives, and requests that failed with 401
+ * are replayed once the same user signs in again. Sessions saved before the email
+ * was stored cannot prove who that user was, so they only offer a full sign-in.
+ */
+const SessionExpiredModal = ({ email: sessionEmail, onResumed, onSignOut }) => {
+  const [password, setPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await reloginSchema.validate({ email: sessionEmail, password });
+    } catch (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axiosInstance.post("/auth/login", { email: sessionEmail, password });
+      const { token, refreshToken, user } = response.data;
+      // Replaying another account's requests would save this user's work under someone else's name
+      if (user.email?.toLowerCase() !== sessionEmail.toLowerCase()) {
+        setError(`Sign in as ${sessionEmail} to continue, or sign out.`);
+        return;
+      }
+      onResumed(resumeSession({ token, refreshToken, role: user.role, email: sessionEmail }));
+    } catch (loginError) {
+      setError(loginError.response?.data?.message || "Login failed");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!sessionEmail) {
+    return (
+      <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black bg-opacity-50">
+        <div className="bg-base-100 p-6 rounded-lg shadow-xl w-full max-w-md space-y-4">
+          <div className="flex items-start gap-3">
+            <Lock className="w-6 h-6 text-primary" />
+            <div>
+              <h2 className="text-lg font-bold">Your session has expired</h2>
+              <p className="text-sm text-gray-500">
+                Please sign in again. Changes that were not saved before your session expired will be lost.
+              </p>
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="button" className="btn btn-primary text-white" onClick={onSignOut}>
+              Sign in again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black bg-opacity-50">
+      <form className="bg-base-100 p-6 rounded-lg shadow-xl w-full max-w-md space-y-4" onSubmit={handleSubmit}>
+        <div className="flex items-start gap-3">
+          <Lock className="w-6 h-6 text-primary" />
+          <div>
+            <h2 className="text-lg font-bold">Your session has expired</h2>
+            <p className="text-sm text-gray-500">
+              Sign in again to carry on. Anything you were working on is still here and will be saved once you are back.
+            </p>
+          </div>
+        </div>
+
+        <div className="form-control">
+          <label className="label">
+            <span className="label-text">Email</span>
+          </label>
+          <input
+            type="email"
+            className="input input-bordered"
+            value={sessionEmail}
+            readOnly
+            autoComplete="username"
+          />
+        </div>
+
+        <div className="form-control">
+          <label className="label">
+            <span className="label-text">Password</span>
+          </label>
+          <div className="relative">
+            <input
+              type={showPassword ? "text" : "password"}
+              className="input input-bordered w-full pr-10"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus
+            />
+            <button
+              type="button"
+              className="absolute inset-y-0 right-3 flex items-center"
+              onClick={() => setShowPassword(!showPassword)}
+              aria-label={showPassword ? "Hide password" : "Show password"}
+            >
+              {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="text-error text-sm">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button type="button" className="btn btn-ghost" onClick={onSignOut} disabled={isSubmitting}>
+            Sign out
+          </button>
+          <button type="submit" className="btn btn-primary text-white" disabled={isSubmitting}>
+            {isSubmitting ? <span className="loading loading-spinner"></span> : "Sign in"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SessionExpiredModal;
@@ -0,0 +1,25 @@
+import { format } from "date-fns";
+import { History } from "lucide-react";
+
+function DraftRestoreBanner({ draft, onRestore, onDiscard }) {
+  if (!draft) return null;
+
+  return (
+    <div className="alert alert-warning mb-4 flex flex-col sm:flex-row items-start sm:items-center gap-2">
+      <History className="w-5 h-5 shrink-0" />
+      <span className="flex-1 text-sm">
+        You have unsaved changes from {format(new Date(draft.savedAt), "PPp")}. Restore them?
+      </span>
+      <div className="flex gap-2">
+        <button type="button" className="btn btn-sm btn-ghost" onClick={onDiscard}>
+          Discard
+        </button>
+        <button type="button" className="btn btn-sm btn-primary" onClick={onRestore}>
+          Restore
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DraftRestoreBanner;
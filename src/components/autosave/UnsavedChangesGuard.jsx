@@ -0,0 +1,48 @@
+import { useEffect } from "react";
+import { useBlocker } from "react-router-dom";
+import { AlertTriangle } from "lucide-react";
+
+// Blocks leaving the page while mounted. Render it only while the form is dirty:
+// react-router supports a single blocker at a time, so idle guards must not hold one.
+function UnsavedChangesGuard() {
+  const blocker = useBlocker(
+    ({ currentLocation, nextLocation }) => currentLocation.pathname !== nextLocation.pathname
+  );
+
+  // Covers reloads, closing the tab and hard redirects such as the 503 page
+  useEffect(() => {
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = "";
+    };
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+  }, []);
+
+  if (blocker.state !== "blocked") return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-sm w-full">
+        <div className="flex items-center mb-4 text-warning">
+          <AlertTriangle className="w-8 h-8 mr-3" />
+          <h2 className="text-lg font-bold">Unsaved changes</h2>
+        </div>
+        <p className="mb-6">
+          You have changes that have not been saved. A draft is kept on this device and will be
+          offered again when you come back.
+        </p>
+        <div className="flex justify-end gap-3">
+          <button type="button" className="btn btn-ghost" onClick={() => blocker.reset()}>
+            Stay
+          </button>
+          <button type="button" className="btn btn-warning" onClick={() => blocker.proceed()}>
+            Leave
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UnsavedChangesGuard;
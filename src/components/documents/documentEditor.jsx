@@ -4,23 +4,45 @@ import 'react-quill/dist/quill.snow.css';
 import { toast } from 'react-toastify';
 import axiosInstance from '../../config/axios';
 import playNotificationSound from '../../utils/playNotification';
+import useAutosave from '../../hooks/useAutosave';
+import DraftRestoreBanner from '../autosave/DraftRestoreBanner';
+import UnsavedChangesGuard from '../autosave/UnsavedChangesGuard';
+import { useAuth } from '../../context/AuthContext';
 
 const DocumentEditor = () => {
+  const { can } = useAuth();
+  const canEdit = can('documents', 'edit');
   const [selectedOption, setSelectedOption] = useState('PRIVACY');
   const [value, setValue] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [savedValue, setSavedValue] = useState('');
+  // Document type whose content is in the editor, null while it is loading
+  const [loadedOption, setLoadedOption] = useState(null);
+
+  const { pendingDraft, restoreDraft, discardDraft, clearDraft, isDirty } = useAutosave(
+    loadedOption ? `document:${loadedOption}` : null,
+    { content: value === '<p><br></p>' ? '' : value },
+    { content: savedValue },
+    { onRestore: (draft) => setValue(draft.content) }
+  );
 
   const quillRef = useRef(null);
 
   // Send GET request to the backend to get the document
   const fetchContent = async (option) => {
+    setLoadedOption(null);
     try {      
       const response = await axiosInstance.get(`/document/${selectedOption}`)
       if (response.status == 200) {
         setValue(response.data.document.content);
+        setSavedValue(response.data.document.content);
       }
     } catch (error) {
       console.error('Error fetching content:', error);
+      setValue('');
+      setSavedValue('');
+    } finally {
+      setLoadedOption(option);
     }
   };
 
@@ -53,6 +75,8 @@ const DocumentEditor = () => {
       const response = await axiosInstance.post('/document/create-document', payload);
 
       if (response.status === 200) {
+        await clearDraft();
+        setSavedValue(value);
         playNotificationSound()
         toast.success(`${selectedOption} document has been saved successfully!`);
       }
@@ -98,6 +122,7 @@ const DocumentEditor = () => {
 
   return (
     <div className="min-h-screen bg-base-100 p-6 rounded-lg shadow-lg">
+      {isDirty && <UnsavedChangesGuard />}
       <div className="flex items-center justify-between mb-6">
         <div className="flex items-center justify-between w-full gap-3">
           <div>
@@ -118,17 +143,21 @@ const DocumentEditor = () => {
           ))}
            
         </div>
-        <button
+        {canEdit && (
+          <button
             className={`btn btn-outline hover:btn-success mr-10`}
             onClick={saveContent}
             disabled={isSaving}
           >
             {isSaving ? 'Saving...' : 'Save'}
           </button>
+        )}
         </div>
         
       </div>
 
+      <DraftRestoreBanner draft={canEdit ? pendingDraft : null} onRestore={restoreDraft} onDiscard={discardDraft} />
+
       <div
         className="overflow-y-scroll min-h-[100vh]"
         // style={{
@@ -140,6 +169,7 @@ const DocumentEditor = () => {
           theme="snow"
           value={value}
           onChange={setValue}
+          readOnly={!canEdit}
           modules={modules}
           formats={formats}
           style={{
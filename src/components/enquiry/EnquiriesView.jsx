@@ -1,252 +1,79 @@
-import { useEffect, useState } from "react";
-import { format, parseISO, isValid } from "date-fns";
+import { useEffect, useMemo, useState } from "react";
+import { addDays, format, parseISO, isValid } from "date-fns";
 import axiosInstance from "../../config/axios";
 import ReactDatePicker from "react-datepicker";
 import "react-datepicker/dist/react-datepicker.css"
 import { toast } from "react-toastify";
+import Pagination from "../ui/Pagination";
 import {
-  Mail,
-  Clock,
-  ChevronDown,
   Filter,
   RefreshCw,
-  Phone,
   Inbox,
   Download,
-  FileSpreadsheet,
-  FileText,
-  Trash2,
-  AlertTriangle
+  LayoutList,
+  SquareKanban,
+  Search,
+  X,
+  ShieldAlert
 } from "lucide-react";
-import playNotificationSound from "../../utils/playNotification";
-
-const DeleteConfirmationModal = ({ isOpen, onClose, onConfirm, itemName }) => {
-  if (!isOpen) return null;
-
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
-      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-sm w-full">
-        <div className="flex items-center mb-4 text-error">
-          <AlertTriangle className="w-8 h-8 mr-3" />
-          <h2 className="text-lg font-bold">Confirm Deletion</h2>
-        </div>
-        <p className="mb-6">
-          Are you sure you want to delete this enquiry from {itemName}?
-          This action cannot be undone.
-        </p>
-        <div className="flex justify-end gap-3">
-          <button
-            className="btn btn-ghost"
-            onClick={onClose}
-          >
-            Cancel
-          </button>
-          <button
-            className="btn btn-error text-white"
-            onClick={onConfirm}
-          >
-            Delete
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-const EnquiryItem = ({ enquiry, onStatusChange, onDelete }) => {
-  const [showMessage, setShowMessage] = useState(false);
-  const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [isDeleting, setIsDeleting] = useState(false);
-
-  const handleClick = async () => {
-    if (enquiry.status === "unread") {
-      try {
-        await axiosInstance.patch(`/enquiries/update-status/${enquiry.id}`, {
-          status: "read"
-        });
-        onStatusChange(enquiry.id, "read");
-      } catch (error) {
-        console.error("Failed to update status", error);
-        toast.error("Failed to mark enquiry as read");
-      }
-    }
-    setShowMessage(!showMessage);
-  };
-
-  const handleDelete = async () => {
-    setIsDeleting(true);
-    try {
-      await axiosInstance.delete(`/enquiries/delete-enquiry/${enquiry.id}`);
-      onDelete(enquiry.id);
-      playNotificationSound()
-      toast.success("Enquiry deleted successfully!");
-    } catch (error) {
-      console.error("Error deleting Enquiry:", error);
-      toast.error("Failed to delete the Enquiry. Please try again.");
-    } finally {
-      setIsDeleting(false);
-      setShowDeleteModal(false);
-    }
-  };
-
-  return (
-    <>
-      <div className="card bg-base-200 shadow-lg hover:shadow-xl transition-all duration-200 relative">
-        <div className="card-body p-4">
-          <div
-            className="cursor-pointer"
-            onClick={handleClick}
-          >
-            <div className="flex items-center justify-between">
-              <div className="space-y-2 flex-1">
-                <div className="flex items-center gap-3">
-                  <h3 className={`text-lg ${enquiry.status === 'unread' ? 'font-bold' : 'font-medium'}`}>
-                    {enquiry.name}
-                  </h3>
-                  {enquiry.status === 'unread' && (
-                    <span className="badge badge-secondary text-white badge-sm py-2">New</span>
-                  )}
-                </div>
-                <div className="flex items-center gap-4 text-sm text-neutral-content flex-wrap">
-                  <span className="flex items-center gap-1">
-                    <Mail className="w-4 h-4" />
-                    {enquiry.email}
-                  </span>
-                  <span className="flex items-center gap-1">
-                    <Phone className="w-4 h-4" />
-                    +{enquiry.phoneNumber}
-                  </span>
-                  <span className="flex items-center gap-1">
-                    <Clock className="w-4 h-4" />
-                    {format(new Date(enquiry.createdAt), 'PPp')}
-                  </span>
-                </div>
-              </div>
-              <div className="flex items-center gap-2">
-                <button
-                  className="btn btn-ghost btn-sm text-error"
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    setShowDeleteModal(true);
-                  }}
-                  disabled={isDeleting}
-                >
-                  <Trash2 className="w-5 h-5" />
-                </button>
-                <button className="btn btn-ghost btn-sm">
-                  <ChevronDown
-                    className={`h-5 w-5 transition-transform duration-200 ${showMessage ? "rotate-180" : ""}`}
-                  />
-                </button>
-              </div>
-            </div>
-          </div>
-          {showMessage && (
-            <div className="mt-4">
-              <div className="divider my-2"></div>
-              <div className="bg-base-200 p-4 rounded-lg">
-                <p className="text-sm whitespace-pre-wrap leading-relaxed">{enquiry.message}</p>
-              </div>
-            </div>
-          )}
-        </div>
-      </div>
-
-      <DeleteConfirmationModal
-        isOpen={showDeleteModal}
-        onClose={() => setShowDeleteModal(false)}
-        onConfirm={handleDelete}
-        itemName={enquiry.name}
-      />
-    </>
-  );
-};
-
-const EnquiriesFilter = ({ onFilterChange, onDateRangeChange, filters, isVisible }) => {
-  const [localStartDate, setLocalStartDate] = useState(
-    filters.startDate ? parseISO(filters.startDate) : null
-  );
-  const [localEndDate, setLocalEndDate] = useState(
-    filters.endDate ? parseISO(filters.endDate) : null
-  );
-  const [status, setStatus] = useState(filters.status || "");
+import EnquiryItem from "./EnquiryItem";
+import EnquiryBoard from "./EnquiryBoard";
+import EnquiryBulkBar from "./EnquiryBulkBar";
+import ExportEnquiriesModal from "./ExportEnquiriesModal";
+import useUsers from "../../hooks/useUsers";
+import useQueryState from "../../hooks/useQueryState";
+import useSpamBlocklist from "../../hooks/useSpamBlocklist";
+import { scoreEnquiries } from "../../utils/spamScore";
+import { ENQUIRY_STAGES, getEnquiryStage, getEnquiryStageLabel, getStageBeforeSpam } from "../../utils/enquiryStages";
+
+// The board shows every matching enquiry at once instead of a page of them
+const BOARD_LIMIT = 200;
+
+const EnquiriesFilter = ({ filters, onChange, onClear, users, options, isVisible }) => {
+  const [localStartDate, setLocalStartDate] = useState(null);
+  const [localEndDate, setLocalEndDate] = useState(null);
   const [error, setError] = useState("");
-  const infoMessage = "Example: If you select March 3, the end date will be automatically set to March 4.";
 
   useEffect(() => {
-    // Update local state when filters prop changes
+    // Update local state when the URL changes
     setLocalStartDate(filters.startDate ? parseISO(filters.startDate) : null);
     setLocalEndDate(filters.endDate ? parseISO(filters.endDate) : null);
-    setStatus(filters.status || "");
-  }, [filters]);
-
-  const handleStartDateChange = (date) => {
-    setLocalStartDate(date);
-    // Only trigger date range change if the date is valid
-    if (isValid(date)) {
-      onDateRangeChange("startDate", format(date, "yyyy-MM-dd"));
-    }
-  };
-
-  const handleEndDateChange = (date) => {
-    
-    setLocalEndDate(date);
-    // Only trigger date range change if the date is valid
-    if (isValid(date)) {
-      onDateRangeChange("endDate", format(date, "yyyy-MM-dd"));
-    }
-  };
-
-  const handleStatusChange = (statusValue) => {
-    setStatus(statusValue);
-    onFilterChange(statusValue);
-  };
+  }, [filters.startDate, filters.endDate]);
 
   const handleApplyFilter = () => {
-    // Ensure both dates are valid before applying
-    if (!localStartDate || !localEndDate) {
-      setError("Please select both start and end dates.");
-      return;
-    }    
-    if (new Date(localStartDate).getTime() === new Date(localEndDate).getTime()) {
-      setError("Start date and end date cannot be the same.");
+    if (!localStartDate || !isValid(localStartDate)) {
+      setError("Please select a start date.");
       return;
     }
-    
-    const startDateFormatted = localStartDate && isValid(localStartDate)
-      ? format(localStartDate, "yyyy-MM-dd")
-      : "";
-    const endDateFormatted = localEndDate && isValid(localEndDate)
-      ? format(localEndDate, "yyyy-MM-dd")
-      : "";
-setError("")
-    onDateRangeChange("startDate", startDateFormatted);
-    onDateRangeChange("endDate", endDateFormatted);
+    // Both ends are inclusive, so a single day only needs the start date
+    const endDate = localEndDate && isValid(localEndDate) ? localEndDate : localStartDate;
+    setError("");
+    onChange({
+      startDate: format(localStartDate, "yyyy-MM-dd"),
+      endDate: format(endDate, "yyyy-MM-dd"),
+    });
   };
 
   const handleClearFilter = () => {
-    
     setLocalStartDate(null);
     setLocalEndDate(null);
-    setStatus("");
-    onDateRangeChange("startDate", "");
-    onDateRangeChange("endDate", "");
-    onFilterChange("");
+    setError("");
+    onClear();
   };
 
   if (!isVisible) return null;
 
   return (
-    <div className="bg-base-200 p-4 rounded-lg mb-6 animate-in slide-in-from-top duration-200">
-      <div className="flex flex-col md:flex-row gap-4">
-        <div className="flex-1 md:max-w-xs">
+    <div className="bg-base-200 p-4 rounded-lg mb-6 animate-in slide-in-from-top duration-200 space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+        <div>
           <label className="label">
             <span className="label-text">Filter by Status</span>
           </label>
           <select
             className="select select-bordered select-sm w-full"
-            value={status}
-            onChange={(e) => handleStatusChange(e.target.value)}
+            value={filters.status}
+            onChange={(e) => onChange({ status: e.target.value })}
           >
             <option value="">All Status</option>
             <option value="unread">Unread</option>
@@ -254,161 +81,193 @@ setError("")
           </select>
         </div>
 
-        <div className="flex-1">
+        <div>
           <label className="label">
-            <span className="label-text">Date Range</span>
+            <span className="label-text">Filter by Stage</span>
           </label>
-          <div className="flex flex-col sm:flex-row gap-2 items-center">
-            <ReactDatePicker
-              selected={localStartDate}
-              onChange={handleStartDateChange}
-              dateFormat="yyyy-MM-dd"
-              placeholderText="Start Date"
-              className="input input-bordered input-sm w-full sm:flex-1 placeholder:text-neutral-content"
-              wrapperClassName="w-full md:max-w-xs"
-            />
-            <span className="text-gray-500 hidden sm:inline">to</span>
-            <ReactDatePicker
-              selected={localEndDate}
-              onChange={handleEndDateChange}
-              dateFormat="yyyy-MM-dd"
-              minDate={localStartDate}
-              placeholderText="End Date"
-              className="input input-bordered input-sm w-full sm:flex-1 placeholder:text-neutral-content"
-              wrapperClassName="w-full md:max-w-xs"
-            />
-            <div className="flex gap-2 ">
-              <button
-                className="btn btn-primary btn-sm text-white"
-                onClick={handleApplyFilter}
-              >
-                Apply
-              </button>
-              <button
-                className="btn btn-outline btn-sm"
-                onClick={handleClearFilter}
-              >
-                Clear
-              </button>
-            </div>
-          </div>
-          <p className="text-gray-500 text-sm mt-2">
-  Note: To get data for a day, set the start date to that day and the end date to the next day.
-</p>
-          {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+          <select
+            className="select select-bordered select-sm w-full"
+            value={filters.stage}
+            onChange={(e) => onChange({ stage: e.target.value })}
+          >
+            <option value="">All Stages</option>
+            {Object.entries(ENQUIRY_STAGES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
 
+        <div>
+          <label className="label">
+            <span className="label-text">Filter by Assignee</span>
+          </label>
+          <select
+            className="select select-bordered select-sm w-full"
+            value={filters.assignee}
+            onChange={(e) => onChange({ assignee: e.target.value })}
+          >
+            <option value="">Anyone</option>
+            <option value="unassigned">Unassigned</option>
+            {users.map((user) => (
+              <option key={user.id} value={user.id}>{user.name}</option>
+            ))}
+          </select>
         </div>
-      </div>
-    </div>
-  );
-};
 
-const Pagination = ({ currentPage, totalPages, onPageChange }) => {
-  const getPageNumbers = () => {
-    let pages = [];
-    const maxVisiblePages = 5;
-
-    if (totalPages <= maxVisiblePages) {
-      pages = Array.from({ length: totalPages }, (_, i) => i + 1);
-    } else {
-      if (currentPage <= 3) {
-        pages = [1, 2, 3, 4, 5, '...', totalPages];
-      } else if (currentPage >= totalPages - 2) {
-        pages = [1, '...', totalPages - 4, totalPages - 3, totalPages - 2, totalPages - 1, totalPages];
-      } else {
-        pages = [1, '...', currentPage - 1, currentPage, currentPage + 1, '...', totalPages];
-      }
-    }
-    return pages;
-  };
+        <div>
+          <label className="label">
+            <span className="label-text">Source Page</span>
+          </label>
+          <select
+            className="select select-bordered select-sm w-full"
+            value={filters.source}
+            onChange={(e) => onChange({ source: e.target.value })}
+          >
+            <option value="">All Pages</option>
+            {options.sources.map((source) => (
+              <option key={source} value={source}>{source}</option>
+            ))}
+          </select>
+        </div>
 
-  return (
-    <div className="min-h-[100px] flex items-center justify-center mt-6 bg-base-200 rounded-lg py-4">
-      <div className="join">
-        <button
-          className="join-item btn btn-sm"
-          disabled={currentPage === 1}
-          onClick={() => onPageChange(currentPage - 1)}
-        >
-          «
-        </button>
-
-        {getPageNumbers().map((page, index) => (
-          <button
-            key={index}
-            className={`join-item btn btn-sm ${currentPage === page
-              ? 'btn-primary'
-              : page === '...'
-                ? 'btn-disabled'
-                : ''
-              }`}
-            onClick={() => typeof page === 'number' && onPageChange(page)}
-            disabled={page === '...'}
+        <div>
+          <label className="label">
+            <span className="label-text">Country Code</span>
+          </label>
+          <select
+            className="select select-bordered select-sm w-full"
+            value={filters.country}
+            onChange={(e) => onChange({ country: e.target.value })}
           >
-            {page}
-          </button>
-        ))}
-
-        <button
-          className="join-item btn btn-sm"
-          disabled={currentPage === totalPages}
-          onClick={() => onPageChange(currentPage + 1)}
-        >
-          »
-        </button>
+            <option value="">All Countries</option>
+            {options.countryCodes.map((code) => (
+              <option key={code} value={code}>+{code}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className="label">
+          <span className="label-text">Date Range</span>
+        </label>
+        <div className="flex flex-col sm:flex-row gap-2 items-center">
+          <ReactDatePicker
+            selected={localStartDate}
+            onChange={setLocalStartDate}
+            dateFormat="yyyy-MM-dd"
+            placeholderText="Start Date"
+            className="input input-bordered input-sm w-full sm:flex-1 placeholder:text-neutral-content"
+            wrapperClassName="w-full md:max-w-xs"
+          />
+          <span className="text-gray-500 hidden sm:inline">to</span>
+          <ReactDatePicker
+            selected={localEndDate}
+            onChange={setLocalEndDate}
+            dateFormat="yyyy-MM-dd"
+            minDate={localStartDate}
+            placeholderText="End Date (optional)"
+            className="input input-bordered input-sm w-full sm:flex-1 placeholder:text-neutral-content"
+            wrapperClassName="w-full md:max-w-xs"
+          />
+          <div className="flex gap-2 ">
+            <button
+              className="btn btn-primary btn-sm text-white"
+              onClick={handleApplyFilter}
+            >
+              Apply
+            </button>
+            <button
+              className="btn btn-outline btn-sm"
+              onClick={handleClearFilter}
+            >
+              Clear all
+            </button>
+          </div>
+        </div>
+        <p className="text-gray-500 text-sm mt-2">
+          Both dates are included. Leave the end date empty to see a single day.
+        </p>
+        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
       </div>
     </div>
   );
 };
 
+// Every filter lives in the URL so a filtered view can be bookmarked or shared
+const DEFAULT_QUERY = {
+  q: '',
+  status: '',
+  stage: '',
+  assignee: '',
+  source: '',
+  country: '',
+  startDate: '',
+  endDate: '',
+  page: '1',
+  view: 'list',
+  folder: 'inbox'
+};
+const PAGE_SIZE = 10;
+const FILTER_KEYS = ['status', 'stage', 'assignee', 'source', 'country', 'startDate', 'endDate'];
+
+// Shared by the list request and the export so both always match what is on screen
+const buildEnquiryParams = (query) => {
+  const queryParams = new URLSearchParams();
+
+  // Enquiries marked as spam only show up in the Spam folder
+  queryParams.append('folder', query.folder === 'spam' ? 'spam' : 'inbox');
+  if (query.q) queryParams.append('search', query.q);
+  ['status', 'stage', 'assignee', 'source', 'country', 'startDate'].forEach((key) => {
+    if (query[key]) queryParams.append(key, query[key]);
+  });
+
+  // The URL keeps the inclusive end date; the API expects an exclusive upper bound
+  const endDate = query.endDate || query.startDate;
+  if (endDate && isValid(parseISO(endDate))) {
+    queryParams.append('endDate', format(addDays(parseISO(endDate), 1), 'yyyy-MM-dd'));
+  }
+
+  return queryParams;
+};
+
+const formatEnquiry = (enquiry) => ({
+  ...enquiry,
+  phoneNumber: enquiry.phoneNumber.length > 2
+    ? enquiry.phoneNumber.slice(0, 2) + " " + enquiry.phoneNumber.slice(2)
+    : enquiry.phoneNumber,
+});
+
 const EnquiriesView = () => {
   const [enquiries, setEnquiries] = useState([]);
   const [loading, setLoading] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [enquiryCount,setEnquiryCount]= useState()
-  const [filters, setFilters] = useState({
-    status: '',
-    startDate: '',
-    endDate: '',
-    page: 1,
-    limit: 10
-  });
+  const users = useUsers();
+  const { entries: blocklist, addEntries: addBlocklistEntries } = useSpamBlocklist();
+  const { query, queryKey, updateQuery, searchInput, setSearchInput } = useQueryState(DEFAULT_QUERY);
+  const [filterOptions, setFilterOptions] = useState({ sources: [], countryCodes: [] });
+  const [selectedEnquiries, setSelectedEnquiries] = useState({});
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
   const [pagination, setPagination] = useState({
     total: 0,
     pages: 1,
     currentPage: 1
   });
+  const view = query.view === "board" ? "board" : "list";
+  const spamScores = useMemo(() => scoreEnquiries(enquiries, blocklist), [enquiries, blocklist]);
+  const activeFilterCount = FILTER_KEYS.filter((key) => key !== 'endDate' && query[key]).length;
 
   const fetchEnquiries = async () => {
     setLoading(true);
     try {
-      const queryParams = new URLSearchParams();
-
-      if (filters.status) {
-        queryParams.append('status', filters.status);
-      }
-
-      if (filters.startDate) {
-        queryParams.append('startDate', filters.startDate);
-      }
-
-      if (filters.endDate) {
-        queryParams.append('endDate', filters.endDate);
-      }
-
-      queryParams.append('page', filters.page.toString());
-      queryParams.append('limit', filters.limit.toString());
+      const queryParams = buildEnquiryParams(query);
+      queryParams.append('page', view === "board" ? "1" : query.page);
+      queryParams.append('limit', view === "board" ? BOARD_LIMIT.toString() : PAGE_SIZE.toString());
 
       const response = await axiosInstance.get(`/enquiries/get-all-enquiries?${queryParams}`);
-      
-const formattedEnquiries = response.data.enquiries.map((enquiry) => ({
-  ...enquiry,
-  phoneNumber: enquiry.phoneNumber.length > 2 
-    ? enquiry.phoneNumber.slice(0, 2) + " " + enquiry.phoneNumber.slice(2) 
-    : enquiry.phoneNumber,
-}));
-
-setEnquiries(formattedEnquiries);   
+      setEnquiries(response.data.enquiries.map(formatEnquiry));
       setPagination(response.data.pagination);
       setEnquiryCount(response.data.totalEnquiryCount)
     } catch (error) {
@@ -421,7 +280,27 @@ setEnquiries(formattedEnquiries);
 
   useEffect(() => {
     fetchEnquiries();
-  }, [filters]);
+  }, [queryKey]);
+
+  // A selection only makes sense for the filters it was made under
+  const filterKey = buildEnquiryParams(query).toString();
+  useEffect(() => {
+    setSelectedEnquiries({});
+    setSelectAllMatching(false);
+  }, [filterKey]);
+
+  useEffect(() => {
+    const fetchFilterOptions = async () => {
+      try {
+        const response = await axiosInstance.get("/enquiries/filter-options");
+        setFilterOptions(response.data.data);
+      } catch (error) {
+        console.error("Failed to fetch filter options", error);
+      }
+    };
+
+    fetchFilterOptions();
+  }, []);
 
   const handleStatusChange = async (id, newStatus) => {
     setEnquiries((prev) =>
@@ -431,70 +310,151 @@ setEnquiries(formattedEnquiries);
     );
   };
 
-  const handleDeleteEnquiry = (id) => {
-    setEnquiries((prev) => prev.filter((enquiry) => enquiry.id !== id));
+  const handleUpdateEnquiry = (id, changes) => {
+    setEnquiries((prev) =>
+      prev.map((enquiry) =>
+        enquiry.id === id ? { ...enquiry, ...changes } : enquiry
+      )
+    );
+  };
 
-    // If this was the last item on the page, go back a page
-    if (enquiries.length === 1 && pagination.currentPage > 1) {
-      setFilters(prev => ({ ...prev, page: pagination.currentPage - 1 }));
+  const handleStageChange = async (id, stage) => {
+    const enquiry = enquiries.find((item) => String(item.id) === String(id));
+    const previousStage = getEnquiryStage(enquiry);
+    if (!enquiry || previousStage === stage) return;
+
+    handleUpdateEnquiry(enquiry.id, { stage });
+    try {
+      await axiosInstance.patch(`/enquiries/update-stage/${enquiry.id}`, { stage, previousStage });
+      toast.success(`Moved ${enquiry.name} to ${getEnquiryStageLabel(stage)}`);
+    } catch (error) {
+      handleUpdateEnquiry(enquiry.id, { stage: previousStage });
+      console.error("Failed to update stage", error);
+      toast.error("Failed to update the enquiry stage");
     }
   };
 
-  const handleFilterChange = (status) => {
-    setFilters(prev => ({ ...prev, status, page: 1 }));
+  const handleMarkSpam = async (enquiry, entries) => {
+    try {
+      await axiosInstance.patch(`/enquiries/update-stage/${enquiry.id}`, {
+        stage: "spam",
+        previousStage: getEnquiryStage(enquiry),
+      });
+      if (entries.length > 0) {
+        await addBlocklistEntries(entries);
+      }
+      handleDeleteEnquiry(enquiry.id);
+      toast.success(
+        entries.length > 0
+          ? `Moved to Spam and blocked ${entries.map((entry) => entry.value).join(", ")}`
+          : "Moved to Spam"
+      );
+    } catch (error) {
+      console.error("Failed to mark enquiry as spam", error);
+      toast.error("Failed to mark the enquiry as spam");
+    }
   };
 
-  const handleDateRangeChange = (field, value) => {
-    setFilters(prev => ({ ...prev, [field]: value, page: 1 }));
+  // Moves an enquiry back to the inbox at its earlier stage; the blocklist is left for Settings to edit
+  const handleNotSpam = async (enquiry) => {
+    const stage = getStageBeforeSpam(enquiry);
+    try {
+      await axiosInstance.patch(`/enquiries/update-stage/${enquiry.id}`, { stage, previousStage: "spam" });
+      handleDeleteEnquiry(enquiry.id);
+      toast.success(`Moved ${enquiry.name} back to the inbox (${getEnquiryStageLabel(stage)})`);
+    } catch (error) {
+      console.error("Failed to move enquiry out of spam", error);
+      toast.error("Failed to move the enquiry to the inbox");
+    }
   };
 
-  const handlePageChange = (page) => {
-    setFilters(prev => ({ ...prev, page }));
-  };
+  const handleDeleteEnquiry = (id) => {
+    setEnquiries((prev) => prev.filter((enquiry) => enquiry.id !== id));
+    setSelectedEnquiries((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
 
-  const toggleFilters = () => {
-    setShowFilters(!showFilters);
+    // If this was the last item on the page, go back a page
+    if (enquiries.length === 1 && pagination.currentPage > 1) {
+      updateQuery({ page: pagination.currentPage - 1 }, { resetPage: false, replace: true });
+    }
   };
 
-  const exportData = async (format) => {
-    try {
-      const queryParams = new URLSearchParams({
-        status: filters.status || "",
-        startDate: filters.startDate || "",
-        endDate: filters.endDate || "",
-        format: format
-      });
+  const selectedList = Object.values(selectedEnquiries);
+  const allOnPageSelected = enquiries.length > 0 && (selectAllMatching || enquiries.every((enquiry) => selectedEnquiries[enquiry.id]));
 
-      const response = await axiosInstance.get(`/enquiries/export-enquiry?${queryParams}`, {
-        responseType: "blob",
+  const toggleSelect = (enquiry) => {
+    setSelectAllMatching(false);
+    setSelectedEnquiries((prev) => {
+      const next = { ...prev };
+      if (next[enquiry.id]) {
+        delete next[enquiry.id];
+      } else {
+        next[enquiry.id] = enquiry;
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectPage = () => {
+    setSelectAllMatching(false);
+    setSelectedEnquiries((prev) => {
+      const next = { ...prev };
+      enquiries.forEach((enquiry) => {
+        if (allOnPageSelected) {
+          delete next[enquiry.id];
+        } else {
+          next[enquiry.id] = enquiry;
+        }
       });
+      return next;
+    });
+  };
 
-      const fileExtension = {
-        excel: '.xlsx',
-        pdf: '.pdf',
-      }[format];
+  const clearSelection = () => {
+    setSelectedEnquiries({});
+    setSelectAllMatching(false);
+  };
 
-      const mimeTypes = {
-        excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        pdf: 'application/pdf',
-      }[format];
+  // Pages through every enquiry matching the current filters for "select all matching"
+  const fetchMatchingEnquiries = async () => {
+    const matching = [];
+    let page = 1;
+    let pages = 1;
+    do {
+      const queryParams = buildEnquiryParams(query);
+      queryParams.append('page', page.toString());
+      queryParams.append('limit', BOARD_LIMIT.toString());
+      const response = await axiosInstance.get(`/enquiries/get-all-enquiries?${queryParams}`);
+      matching.push(...response.data.enquiries.map(formatEnquiry));
+      pages = response.data.pagination.pages;
+      page += 1;
+    } while (page <= pages);
+    return matching;
+  };
 
-      const blob = new Blob([response.data], { type: mimeTypes });
-      const downloadUrl = window.URL.createObjectURL(blob);
+  const handleBulkComplete = (results) => {
+    // Keep the failed enquiries selected so they can be retried
+    setSelectAllMatching(false);
+    setSelectedEnquiries(
+      Object.fromEntries(results.filter((result) => !result.ok).map(({ item }) => [item.id, item]))
+    );
+    fetchEnquiries();
+  };
 
-      const link = document.createElement("a");
-      link.href = downloadUrl;
-      link.download = `Enquiry-report${fileExtension}`;
+  const handleClearFilters = () => {
+    setSearchInput("");
+    updateQuery(Object.fromEntries(['q', ...FILTER_KEYS].map((key) => [key, ''])));
+  };
 
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  const handlePageChange = (page) => {
+    updateQuery({ page }, { resetPage: false });
+  };
 
-      window.URL.revokeObjectURL(downloadUrl);
-    } catch (error) {
-      console.error("Error downloading file:", error);
-      toast.error("Failed to export data");
-    }
+  const toggleFilters = () => {
+    setShowFilters(!showFilters);
   };
 
   return (
@@ -510,41 +470,32 @@ setEnquiries(formattedEnquiries);
             </div>
           </div>
           <div className="flex gap-2">
-            <div className="relative dropdown ">
-              <a
-                tabIndex={0}
-                className="btn btn-accent text-neutral-content gap-2 hidden md:inline-flex"
-                aria-label="Export Data"
+            <div className="join">
+              <button
+                className={`btn join-item ${view === "list" ? "btn-primary text-white" : "btn-ghost"}`}
+                onClick={() => updateQuery({ view: "list" })}
+                aria-label="List view"
+                title="List view"
               >
-                <Download className="h-5 w-5" />
-                <span className="hidden sm:inline">Export</span>
-                <ChevronDown className="h-4 w-4" />
-              </a>
-
-              <ul
-                tabIndex={0}
-                className="dropdown-content menu bg-base-100 rounded-box z-50 w-52 p-2 shadow mt-2"
+                <LayoutList className="h-5 w-5" />
+              </button>
+              <button
+                className={`btn join-item ${view === "board" ? "btn-primary text-white" : "btn-ghost"}`}
+                onClick={() => updateQuery({ view: "board" })}
+                aria-label="Board view"
+                title="Board view"
               >
-                <li>
-                  <button
-                    onClick={() => exportData("excel")}
-                    className="text-neutral-content hover:bg-base-200"
-                  >
-                    <FileSpreadsheet className="inline-block mr-2" />
-                    Excel
-                  </button>
-                </li>
-                <li>
-                  <button
-                    onClick={() => exportData("pdf")}
-                    className="text-neutral-content hover:bg-base-200"
-                  >
-                    <FileText className="inline-block mr-2" />
-                    PDF
-                  </button>
-                </li>
-              </ul>
+                <SquareKanban className="h-5 w-5" />
+              </button>
             </div>
+            <button
+              className="btn btn-accent text-neutral-content gap-2 hidden md:inline-flex"
+              onClick={() => setShowExportModal(true)}
+              aria-label="Export Data"
+            >
+              <Download className="h-5 w-5" />
+              <span className="hidden sm:inline">Export</span>
+            </button>
 
             <button
               onClick={toggleFilters}
@@ -555,6 +506,9 @@ setEnquiries(formattedEnquiries);
               <span className="hidden sm:inline">
                 {showFilters ? 'Hide Filters' : 'Show Filters'}
               </span>
+              {activeFilterCount > 0 && (
+                <span className="badge badge-primary badge-sm text-white">{activeFilterCount}</span>
+              )}
             </button>
 
             <button
@@ -567,13 +521,84 @@ setEnquiries(formattedEnquiries);
           </div>
         </div>
 
+        <div className="tabs tabs-boxed bg-base-200 mb-4 w-fit">
+          <button
+            className={`tab gap-1 ${query.folder !== 'spam' ? 'tab-active' : ''}`}
+            onClick={() => updateQuery({ folder: 'inbox' })}
+          >
+            <Inbox className="w-4 h-4" /> Inbox
+          </button>
+          <button
+            className={`tab gap-1 ${query.folder === 'spam' ? 'tab-active' : ''}`}
+            onClick={() => updateQuery({ folder: 'spam' })}
+          >
+            <ShieldAlert className="w-4 h-4" /> Spam
+          </button>
+        </div>
+
+        <label className="input input-bordered flex items-center gap-2 mb-4">
+          <Search className="w-4 h-4 opacity-70" />
+          <input
+            type="text"
+            className="grow"
+            placeholder="Search by name, email, phone or message..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+          {searchInput && (
+            <button type="button" onClick={() => setSearchInput("")} aria-label="Clear search">
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </label>
+
         <EnquiriesFilter
-          onFilterChange={handleFilterChange}
-          onDateRangeChange={handleDateRangeChange}
-          filters={filters}
+          filters={query}
+          onChange={updateQuery}
+          onClear={handleClearFilters}
+          users={users}
+          options={filterOptions}
           isVisible={showFilters}
         />
 
+        {view === "list" && (
+          <EnquiryBulkBar
+            selected={selectedList}
+            selectAllMatching={selectAllMatching}
+            matchingTotal={pagination.total}
+            fetchMatching={fetchMatchingEnquiries}
+            users={users}
+            onComplete={handleBulkComplete}
+            onClear={clearSelection}
+          />
+        )}
+
+        {view === "list" && enquiries.length > 0 && !loading && (
+          <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+            <label className="label cursor-pointer gap-2 p-0">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm checkbox-primary"
+                checked={allOnPageSelected}
+                onChange={toggleSelectPage}
+              />
+              <span className="label-text">Select all on this page</span>
+            </label>
+            {allOnPageSelected && pagination.total > enquiries.length && (
+              selectAllMatching ? (
+                <span>
+                  All {pagination.total} matching enquiries are selected.{" "}
+                  <button className="link link-primary" onClick={clearSelection}>Clear selection</button>
+                </span>
+              ) : (
+                <button className="link link-primary" onClick={() => setSelectAllMatching(true)}>
+                  Select all {pagination.total} enquiries matching the filters
+                </button>
+              )
+            )}
+          </div>
+        )}
+
         {loading ? (
           <div className="flex justify-center items-center min-h-[600px]">
             <span className="loading loading-spinner loading-lg text-primary"></span>
@@ -584,20 +609,44 @@ setEnquiries(formattedEnquiries);
             <h3 className="text-xl font-semibold text-gray-600">No enquiries found</h3>
             <p className="text-gray-500">Try adjusting your filters or check back later</p>
           </div>
+        ) : view === "board" ? (
+          <>
+            {pagination.total > enquiries.length && (
+              <div className="alert alert-info mb-4 text-sm">
+                Showing the {enquiries.length} most recent of {pagination.total} enquiries. Narrow the filters to see the rest.
+              </div>
+            )}
+            <EnquiryBoard
+              enquiries={enquiries}
+              users={users}
+              onStatusChange={handleStatusChange}
+              onStageChange={handleStageChange}
+              onUpdate={handleUpdateEnquiry}
+              onDelete={handleDeleteEnquiry}
+            />
+          </>
         ) : (
           <div className="space-y-4">
             {enquiries.map((enquiry) => (
               <EnquiryItem
                 key={enquiry.id}
                 enquiry={enquiry}
+                users={users}
                 onStatusChange={handleStatusChange}
+                onStageChange={handleStageChange}
+                onUpdate={handleUpdateEnquiry}
                 onDelete={handleDeleteEnquiry}
+                selected={selectAllMatching || Boolean(selectedEnquiries[enquiry.id])}
+                onSelect={toggleSelect}
+                spam={spamScores[enquiry.id]}
+                onMarkSpam={handleMarkSpam}
+                onNotSpam={handleNotSpam}
               />
             ))}
           </div>
         )}
 
-        {enquiries.length > 0 && (
+        {view === "list" && enquiries.length > 0 && (
           <Pagination
             currentPage={pagination.currentPage}
             totalPages={pagination.pages}
@@ -605,6 +654,13 @@ setEnquiries(formattedEnquiries);
           />
         )}
       </div>
+
+      <ExportEnquiriesModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        filterParams={filterKey}
+        total={pagination.total}
+      />
     </div>
   );
 };
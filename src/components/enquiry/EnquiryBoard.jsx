@@ -0,0 +1,119 @@
+import { useState } from "react";
+import { DragDropContext, Droppable, Draggable } from "@hello-pangea/dnd";
+import { format } from "date-fns";
+import { Mail, UserCircle, X } from "lucide-react";
+import EnquiryItem from "./EnquiryItem";
+import { ENQUIRY_STAGES, getEnquiryStage } from "../../utils/enquiryStages";
+import { useAuth } from "../../context/AuthContext";
+
+// Enquiries grouped into one column per pipeline stage; dropping a card moves its stage
+const EnquiryBoard = ({ enquiries, users, onStatusChange, onStageChange, onUpdate, onDelete }) => {
+  const [openEnquiryId, setOpenEnquiryId] = useState(null);
+  const { can } = useAuth();
+  const openEnquiry = enquiries.find((enquiry) => enquiry.id === openEnquiryId);
+
+  const columns = Object.keys(ENQUIRY_STAGES).map((stage) => ({
+    stage,
+    items: enquiries.filter((enquiry) => getEnquiryStage(enquiry) === stage),
+  }));
+
+  const handleDragEnd = ({ draggableId, source, destination }) => {
+    if (!destination || destination.droppableId === source.droppableId) return;
+    onStageChange(draggableId, destination.droppableId);
+  };
+
+  return (
+    <>
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map(({ stage, items }) => (
+            <div key={stage} className="w-72 shrink-0 bg-base-200 rounded-lg flex flex-col max-h-[75vh]">
+              <div className="flex items-center justify-between p-3">
+                <h3 className="font-semibold">{ENQUIRY_STAGES[stage].label}</h3>
+                <span className={`badge badge-sm ${ENQUIRY_STAGES[stage].badge}`}>{items.length}</span>
+              </div>
+              <Droppable droppableId={stage}>
+                {(provided, snapshot) => (
+                  <div
+                    ref={provided.innerRef}
+                    {...provided.droppableProps}
+                    className={`flex-1 overflow-y-auto p-2 space-y-2 min-h-[120px] rounded-b-lg ${snapshot.isDraggingOver ? "bg-base-300" : ""}`}
+                  >
+                    {items.map((enquiry, index) => {
+                      const assignee = users.find((user) => String(user.id) === String(enquiry.assigneeId));
+                      return (
+                        <Draggable
+                          key={enquiry.id}
+                          draggableId={enquiry.id.toString()}
+                          index={index}
+                          isDragDisabled={!can("enquiries", "edit")}
+                        >
+                          {(provided) => (
+                            <div
+                              ref={provided.innerRef}
+                              {...provided.draggableProps}
+                              {...provided.dragHandleProps}
+                              className="bg-base-100 p-3 rounded-lg shadow select-none cursor-pointer space-y-1"
+                              onClick={() => setOpenEnquiryId(enquiry.id)}
+                            >
+                              <div className="flex items-center justify-between gap-2">
+                                <p className={`truncate ${enquiry.status === "unread" ? "font-bold" : "font-medium"}`}>
+                                  {enquiry.name}
+                                </p>
+                                {enquiry.status === "unread" && (
+                                  <span className="badge badge-secondary text-white badge-xs">New</span>
+                                )}
+                              </div>
+                              <p className="text-xs text-neutral-content flex items-center gap-1 truncate">
+                                <Mail className="w-3 h-3" /> {enquiry.email}
+                              </p>
+                              <p className="text-xs text-neutral-content/80 line-clamp-2">{enquiry.message}</p>
+                              <div className="flex items-center justify-between text-xs text-neutral-content/70">
+                                <span className="flex items-center gap-1">
+                                  <UserCircle className="w-3 h-3" /> {assignee ? assignee.name : "Unassigned"}
+                                </span>
+                                <span>{format(new Date(enquiry.createdAt), "dd MMM")}</span>
+                              </div>
+                            </div>
+                          )}
+                        </Draggable>
+                      );
+                    })}
+                    {provided.placeholder}
+                  </div>
+                )}
+              </Droppable>
+            </div>
+          ))}
+        </div>
+      </DragDropContext>
+
+      {openEnquiry && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50" onClick={() => setOpenEnquiryId(null)}>
+          <div className="w-full max-w-3xl max-h-[90vh] overflow-y-auto relative" onClick={(e) => e.stopPropagation()}>
+            <button
+              className="btn btn-sm btn-circle btn-ghost absolute right-2 top-2 z-10"
+              onClick={() => setOpenEnquiryId(null)}
+            >
+              <X className="w-4 h-4" />
+            </button>
+            <EnquiryItem
+              enquiry={openEnquiry}
+              users={users}
+              onStatusChange={onStatusChange}
+              onStageChange={onStageChange}
+              onUpdate={onUpdate}
+              onDelete={(id) => {
+                setOpenEnquiryId(null);
+                onDelete(id);
+              }}
+              defaultExpanded
+            />
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default EnquiryBoard;
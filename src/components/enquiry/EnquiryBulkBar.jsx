@@ -0,0 +1,304 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { CheckCircle2, XCircle, Trash2, MailOpen, Mail, Download } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { toCsv, downloadFile } from "../../utils/csv";
+import { runInBatches } from "../../utils/runInBatches";
+import { ENQUIRY_STAGES, getEnquiryStage, getEnquiryStageLabel } from "../../utils/enquiryStages";
+import { useAuth } from "../../context/AuthContext";
+
+const EXPORT_COLUMNS = [
+  { label: "ID", value: (enquiry) => enquiry.id },
+  { label: "Name", value: (enquiry) => enquiry.name },
+  { label: "Email", value: (enquiry) => enquiry.email },
+  { label: "Phone", value: (enquiry) => `+${enquiry.phoneNumber}` },
+  { label: "Message", value: (enquiry) => enquiry.message },
+  { label: "Status", value: (enquiry) => enquiry.status },
+  { label: "Stage", value: (enquiry) => getEnquiryStageLabel(getEnquiryStage(enquiry)) },
+  { label: "Source Page", value: (enquiry) => enquiry.sourcePage },
+  { label: "Received", value: (enquiry) => format(new Date(enquiry.createdAt), "yyyy-MM-dd HH:mm") },
+];
+
+// Confirms a bulk action, shows progress while it runs and then reports each failure
+const BulkProgressModal = ({ action, targets, progress, results, isRunning, onConfirm, onClose }) => {
+  if (!action) return null;
+
+  const failed = results ? results.filter((result) => !result.ok) : [];
+  const percent = targets.length ? Math.round((progress / targets.length) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-lg w-full text-neutral-content">
+        <h2 className="text-lg font-bold mb-4">
+          {results ? `${action.title} finished` : action.title}
+        </h2>
+
+        {results ? (
+          <p className="mb-4">
+            {results.length - failed.length} of {results.length} enquiries {action.doneLabel}
+            {failed.length > 0 && `, ${failed.length} failed`}.
+          </p>
+        ) : isRunning ? (
+          <div className="mb-4 space-y-2">
+            <progress className="progress progress-primary w-full" value={progress} max={targets.length}></progress>
+            <p className="text-sm">{progress} of {targets.length} ({percent}%)</p>
+          </div>
+        ) : (
+          <p className="mb-4">{action.summary}</p>
+        )}
+
+        {failed.length > 0 ? (
+          <ul className="max-h-60 overflow-y-auto space-y-1 text-sm mb-4">
+            {failed.map(({ item, message }) => (
+              <li key={item.id} className="flex items-start gap-2 p-2 bg-base-200 rounded">
+                <XCircle className="w-4 h-4 text-error shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{item.name} &lt;{item.email}&gt;</p>
+                  <p className="text-xs text-error">{message || "Request failed"}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : results && (
+          <p className="flex items-center gap-2 text-success mb-4">
+            <CheckCircle2 className="w-5 h-5" /> Every enquiry was {action.doneLabel}.
+          </p>
+        )}
+
+        <div className="flex justify-end gap-3">
+          {results ? (
+            <button className="btn btn-primary text-white" onClick={onClose}>
+              Done
+            </button>
+          ) : (
+            <>
+              <button className="btn btn-ghost" onClick={onClose} disabled={isRunning}>
+                Cancel
+              </button>
+              <button
+                className={`btn ${action.destructive ? "btn-error text-white" : "btn-primary text-white"}`}
+                onClick={onConfirm}
+                disabled={isRunning}
+              >
+                {isRunning ? <span className="loading loading-spinner"></span> : action.confirmLabel}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Toolbar for the selected enquiries. With selectAllMatching the action applies to every
+ * enquiry matching the current filters, which are collected through fetchMatching first.
+ */
+const EnquiryBulkBar = ({ selected, selectAllMatching, matchingTotal, fetchMatching, users, onComplete, onClear }) => {
+  const [actionKey, setActionKey] = useState(null);
+  const [targets, setTargets] = useState([]);
+  const [isCollecting, setIsCollecting] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null);
+  const [stage, setStage] = useState("");
+  const [assigneeId, setAssigneeId] = useState("");
+  const { can } = useAuth();
+
+  const count = selectAllMatching ? matchingTotal : selected.length;
+  const enquiriesLabel = `${count} ${count === 1 ? "enquiry" : "enquiries"}`;
+  const assignee = users.find((user) => String(user.id) === assigneeId);
+
+  const actions = {
+    read: {
+      title: "Mark as Read",
+      summary: `${enquiriesLabel} will be marked as read.`,
+      confirmLabel: "Mark read",
+      doneLabel: "marked as read",
+      run: (enquiry) => axiosInstance.patch(`/enquiries/update-status/${enquiry.id}`, { status: "read" }),
+    },
+    unread: {
+      title: "Mark as Unread",
+      summary: `${enquiriesLabel} will be marked as unread.`,
+      confirmLabel: "Mark unread",
+      doneLabel: "marked as unread",
+      run: (enquiry) => axiosInstance.patch(`/enquiries/update-status/${enquiry.id}`, { status: "unread" }),
+    },
+    stage: {
+      title: "Change Stage",
+      summary: `${enquiriesLabel} will be moved to ${getEnquiryStageLabel(stage)}.`,
+      confirmLabel: "Move",
+      doneLabel: "moved",
+      run: (enquiry) =>
+        axiosInstance.patch(`/enquiries/update-stage/${enquiry.id}`, { stage, previousStage: getEnquiryStage(enquiry) }),
+    },
+    assign: {
+      title: "Assign Enquiries",
+      summary: assignee
+        ? `${enquiriesLabel} will be assigned to ${assignee.name}.`
+        : `${enquiriesLabel} will be unassigned.`,
+      confirmLabel: "Assign",
+      doneLabel: assignee ? "assigned" : "unassigned",
+      run: (enquiry) => axiosInstance.patch(`/enquiries/assign/${enquiry.id}`, { assigneeId: assigneeId || null }),
+    },
+    delete: {
+      title: "Delete Enquiries",
+      summary: `${enquiriesLabel} will be permanently deleted. This action cannot be undone.`,
+      confirmLabel: "Delete",
+      doneLabel: "deleted",
+      destructive: true,
+      run: (enquiry) => axiosInstance.delete(`/enquiries/delete-enquiry/${enquiry.id}`),
+    },
+  };
+
+  const collectTargets = async () => {
+    if (!selectAllMatching) return selected;
+    setIsCollecting(true);
+    try {
+      return await fetchMatching();
+    } finally {
+      setIsCollecting(false);
+    }
+  };
+
+  const openAction = async (key) => {
+    try {
+      const collected = await collectTargets();
+      setTargets(collected);
+      setResults(null);
+      setProgress(0);
+      setActionKey(key);
+    } catch (error) {
+      console.error("Failed to collect matching enquiries", error);
+      toast.error("Failed to load the matching enquiries");
+    }
+  };
+
+  const closeModal = () => {
+    setActionKey(null);
+    setResults(null);
+  };
+
+  const runAction = async () => {
+    const action = actions[actionKey];
+    setIsRunning(true);
+    try {
+      const outcome = await runInBatches(targets, action.run, {
+        onProgress: (done) => setProgress(done),
+      });
+      outcome.filter((result) => !result.ok).forEach((result) => {
+        console.error(`Bulk ${actionKey} failed for enquiry ${result.item.id}:`, result.message);
+      });
+
+      const failedCount = outcome.filter((result) => !result.ok).length;
+      if (failedCount === 0) {
+        toast.success(`${action.title}: all ${outcome.length} enquiries ${action.doneLabel}`);
+      } else {
+        toast.error(`${action.title}: ${failedCount} of ${outcome.length} enquiries failed`);
+      }
+
+      setResults(outcome);
+      onComplete(outcome);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const exportSelected = async () => {
+    try {
+      const rows = await collectTargets();
+      downloadFile(toCsv(rows, EXPORT_COLUMNS), `enquiries-${format(new Date(), "yyyy-MM-dd")}.csv`);
+      toast.success(`Exported ${rows.length} ${rows.length === 1 ? "enquiry" : "enquiries"}`);
+    } catch (error) {
+      console.error("Failed to export enquiries", error);
+      toast.error("Failed to export enquiries");
+    }
+  };
+
+  if (count === 0 && !actionKey) return null;
+
+  return (
+    <>
+      {count > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-base-200 rounded-lg">
+          <span className="font-semibold text-neutral-content mr-2">
+            {enquiriesLabel} selected
+            {isCollecting && <span className="loading loading-spinner loading-xs ml-2"></span>}
+          </span>
+          {can("enquiries", "edit") && (
+            <>
+          <button className="btn btn-sm btn-outline gap-1" onClick={() => openAction("read")} disabled={isCollecting}>
+            <MailOpen className="w-4 h-4" /> Mark read
+          </button>
+          <button className="btn btn-sm btn-outline gap-1" onClick={() => openAction("unread")} disabled={isCollecting}>
+            <Mail className="w-4 h-4" /> Mark unread
+          </button>
+          <div className="join">
+            <select
+              className="select select-sm select-bordered join-item"
+              value={stage}
+              onChange={(e) => setStage(e.target.value)}
+            >
+              <option value="" disabled>Change stage...</option>
+              {Object.entries(ENQUIRY_STAGES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              className="btn btn-sm btn-primary text-white join-item"
+              onClick={() => openAction("stage")}
+              disabled={!stage || isCollecting}
+            >
+              Apply
+            </button>
+          </div>
+          <div className="join">
+            <select
+              className="select select-sm select-bordered join-item"
+              value={assigneeId}
+              onChange={(e) => setAssigneeId(e.target.value)}
+            >
+              <option value="">Unassigned</option>
+              {users.map((user) => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+            <button
+              className="btn btn-sm btn-primary text-white join-item"
+              onClick={() => openAction("assign")}
+              disabled={isCollecting}
+            >
+              Assign
+            </button>
+          </div>
+            </>
+          )}
+          <button className="btn btn-sm btn-outline gap-1" onClick={exportSelected} disabled={isCollecting}>
+            <Download className="w-4 h-4" /> Export CSV
+          </button>
+          {can("enquiries", "delete") && (
+            <button className="btn btn-sm btn-error text-white gap-1" onClick={() => openAction("delete")} disabled={isCollecting}>
+              <Trash2 className="w-4 h-4" /> Delete
+            </button>
+          )}
+          <button className="btn btn-sm btn-ghost ml-auto" onClick={onClear}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      <BulkProgressModal
+        action={actionKey && actions[actionKey]}
+        targets={targets}
+        progress={progress}
+        results={results}
+        isRunning={isRunning}
+        onConfirm={runAction}
+        onClose={closeModal}
+      />
+    </>
+  );
+};
+
+export default EnquiryBulkBar;
@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { Send, Reply, BookmarkPlus, Trash2, MessagesSquare } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { ENQUIRY_MERGE_TAGS, fillMergeTags, getEnquiryMergeValues } from "../../utils/mergeTags";
+
+// Reply templates are shared by every enquiry on the page
+let templatesRequest = null;
+
+const fetchTemplates = () => {
+  if (!templatesRequest) {
+    templatesRequest = axiosInstance
+      .get("/enquiries/reply-templates")
+      .then((response) => response.data.data)
+      .catch((error) => {
+        templatesRequest = null;
+        throw error;
+      });
+  }
+  return templatesRequest;
+};
+
+/**
+ * Email thread for an enquiry: replies sent from the CMS through the Mail Config
+ * SMTP account and a composer with saved templates. The original message is shown
+ * by EnquiryItem above the thread.
+ */
+const EnquiryConversation = ({ enquiry }) => {
+  const [replies, setReplies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [subject, setSubject] = useState("Re: Your enquiry");
+  const [body, setBody] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [templateName, setTemplateName] = useState("");
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+
+  useEffect(() => {
+    const fetchReplies = async () => {
+      setLoading(true);
+      try {
+        const response = await axiosInstance.get(`/enquiries/get-replies/${enquiry.id}`);
+        setReplies(response.data.data);
+      } catch (error) {
+        console.error("Failed to fetch replies", error);
+        toast.error("Failed to load the conversation");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReplies();
+    fetchTemplates()
+      .then(setTemplates)
+      .catch((error) => console.error("Failed to fetch reply templates", error));
+  }, [enquiry.id]);
+
+  const mergeValues = getEnquiryMergeValues(enquiry);
+
+  const applyTemplate = (templateId) => {
+    const template = templates.find((item) => String(item.id) === templateId);
+    if (!template) return;
+    setSubject(template.subject || subject);
+    setBody(template.body);
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!templateName.trim() || !body.trim()) return;
+    try {
+      // Saved unfilled so the placeholders work for the next enquiry
+      const response = await axiosInstance.post("/enquiries/reply-templates", {
+        name: templateName.trim(),
+        subject,
+        body,
+      });
+      const saved = response.data.data;
+      setTemplates((prev) => [...prev, saved]);
+      templatesRequest = Promise.resolve([...templates, saved]);
+      setTemplateName("");
+      setShowSaveTemplate(false);
+      toast.success("Template saved");
+    } catch (error) {
+      console.error("Failed to save template", error);
+      toast.error("Failed to save template");
+    }
+  };
+
+  const handleDeleteTemplate = async (templateId) => {
+    try {
+      await axiosInstance.delete(`/enquiries/reply-templates/${templateId}`);
+      const remaining = templates.filter((item) => item.id !== templateId);
+      setTemplates(remaining);
+      templatesRequest = Promise.resolve(remaining);
+      toast.success("Template deleted");
+    } catch (error) {
+      console.error("Failed to delete template", error);
+      toast.error("Failed to delete template");
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!subject.trim() || !body.trim()) {
+      toast.error("Subject and message are required");
+      return;
+    }
+
+    const toastId = toast.loading(`Sending reply to ${enquiry.email}...`);
+    setIsSending(true);
+    try {
+      const response = await axiosInstance.post(`/enquiries/send-reply/${enquiry.id}`, {
+        subject: fillMergeTags(subject, mergeValues),
+        body: fillMergeTags(body, mergeValues),
+      });
+      setReplies((prev) => [...prev, response.data.data]);
+      setBody("");
+      toast.update(toastId, {
+        render: "Reply sent successfully",
+        type: "success",
+        isLoading: false,
+        autoClose: 3000
+      });
+    } catch (error) {
+      console.error("Failed to send reply", error);
+      toast.update(toastId, {
+        render: error.response?.data?.message || "Failed to send reply. Check the Mail Config settings.",
+        type: "error",
+        isLoading: false,
+        autoClose: 3000
+      });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const unknownTags = [...`${subject} ${body}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map((match) => match[1])
+    .filter((tag) => !ENQUIRY_MERGE_TAGS.includes(tag));
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-semibold flex items-center gap-1">
+        <MessagesSquare className="w-4 h-4" /> Conversation
+      </h4>
+
+      {loading ? (
+        <span className="loading loading-spinner loading-sm text-primary"></span>
+      ) : replies.length === 0 ? (
+        <p className="text-xs text-neutral-content/70">No replies yet</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {replies.map((reply) => (
+            <div key={reply.id} className={`chat ${reply.direction === "inbound" ? "chat-start" : "chat-end"}`}>
+              <div className="chat-header text-xs">
+                {reply.direction === "inbound" ? enquiry.name : reply.sentBy?.name || "You"}
+                <time className="opacity-50 ml-2">{format(new Date(reply.createdAt), "PPp")}</time>
+              </div>
+              <div className={`chat-bubble whitespace-pre-wrap text-sm ${reply.direction === "inbound" ? "" : "chat-bubble-primary"}`}>
+                <p className="font-semibold mb-1">{reply.subject}</p>
+                {reply.body}
+              </div>
+              {reply.status === "failed" && <div className="chat-footer text-error text-xs">Delivery failed</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSend} className="space-y-2 bg-base-100 p-3 rounded-lg">
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select
+            className="select select-bordered select-sm sm:max-w-xs"
+            value=""
+            onChange={(e) => applyTemplate(e.target.value)}
+          >
+            <option value="" disabled>Use a template...</option>
+            {templates.map((template) => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            className="input input-bordered input-sm flex-1 focus:outline-none"
+            placeholder="Subject"
+            value={subject}
+            onChange={(e) => setSubject(e.target.value)}
+          />
+        </div>
+        <textarea
+          className="textarea textarea-bordered w-full focus:outline-none"
+          rows={5}
+          placeholder={`Write a reply to ${enquiry.email}...`}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+        />
+        <p className="text-xs text-neutral-content/70">
+          Placeholders: {ENQUIRY_MERGE_TAGS.map((tag) => `{{${tag}}}`).join(", ")}
+        </p>
+        {unknownTags.length > 0 && (
+          <p className="text-xs text-warning">Unknown placeholders will be sent as typed: {unknownTags.join(", ")}</p>
+        )}
+
+        {showSaveTemplate && (
+          <div className="flex gap-2">
+            <input
+              type="text"
+              className="input input-bordered input-sm flex-1 focus:outline-none"
+              placeholder="Template name"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+            />
+            <button type="button" className="btn btn-sm btn-outline" onClick={handleSaveTemplate} disabled={!templateName.trim()}>
+              Save
+            </button>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-between gap-2">
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="btn btn-sm btn-ghost gap-1"
+              onClick={() => setShowSaveTemplate(!showSaveTemplate)}
+              disabled={!body.trim()}
+            >
+              <BookmarkPlus className="w-4 h-4" /> Save as template
+            </button>
+            {templates.length > 0 && (
+              <div className="dropdown dropdown-top">
+                <button type="button" tabIndex={0} className="btn btn-sm btn-ghost">Manage templates</button>
+                <ul tabIndex={0} className="dropdown-content menu bg-base-100 rounded-box z-50 w-60 p-2 shadow">
+                  {templates.map((template) => (
+                    <li key={template.id}>
+                      <div className="flex justify-between">
+                        <span className="truncate">{template.name}</span>
+                        <button type="button" className="text-error" onClick={() => handleDeleteTemplate(template.id)}>
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+          <button type="submit" className="btn btn-sm btn-primary text-white gap-1" disabled={isSending}>
+            {isSending ? <span className="loading loading-spinner loading-xs"></span> : <Send className="w-4 h-4" />}
+            Send reply
+          </button>
+        </div>
+      </form>
+      <p className="text-xs text-neutral-content/70 flex items-center gap-1">
+        <Reply className="w-3 h-3" /> Sent from the account configured in Mail Config
+      </p>
+    </div>
+  );
+};
+
+export default EnquiryConversation;
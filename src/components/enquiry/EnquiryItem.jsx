@@ -0,0 +1,291 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { Mail, Clock, ChevronDown, Phone, Trash2, AlertTriangle, UserCircle, Link2, ShieldAlert, ShieldCheck } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import playNotificationSound from "../../utils/playNotification";
+import { ENQUIRY_STAGES, getEnquiryStage, getEnquiryStageLabel } from "../../utils/enquiryStages";
+import EnquiryNotes from "./EnquiryNotes";
+import EnquiryConversation from "./EnquiryConversation";
+import MarkSpamModal from "./MarkSpamModal";
+import { SPAM_THRESHOLD } from "../../utils/spamScore";
+import { useAuth } from "../../context/AuthContext";
+
+const DeleteConfirmationModal = ({ isOpen, onClose, onConfirm, itemName }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-sm w-full">
+        <div className="flex items-center mb-4 text-error">
+          <AlertTriangle className="w-8 h-8 mr-3" />
+          <h2 className="text-lg font-bold">Confirm Deletion</h2>
+        </div>
+        <p className="mb-6">
+          Are you sure you want to delete this enquiry from {itemName}?
+          This action cannot be undone.
+        </p>
+        <div className="flex justify-end gap-3">
+          <button
+            className="btn btn-ghost"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="btn btn-error text-white"
+            onClick={onConfirm}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const EnquiryItem = ({ enquiry, users = [], onStatusChange, onStageChange, onUpdate, onDelete, defaultExpanded = false, selected, onSelect, spam, onMarkSpam, onNotSpam }) => {
+  const [showMessage, setShowMessage] = useState(defaultExpanded);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [showSpamModal, setShowSpamModal] = useState(false);
+  const [isMarkingSpam, setIsMarkingSpam] = useState(false);
+  const { can } = useAuth();
+  const canEdit = can("enquiries", "edit");
+  const stage = getEnquiryStage(enquiry);
+  const assignee = users.find((user) => String(user.id) === String(enquiry.assigneeId));
+
+  const handleAssigneeChange = async (assigneeId) => {
+    const previousAssigneeId = enquiry.assigneeId ?? null;
+    const nextAssigneeId = assigneeId || null;
+    onUpdate(enquiry.id, { assigneeId: nextAssigneeId });
+    try {
+      await axiosInstance.patch(`/enquiries/assign/${enquiry.id}`, { assigneeId: nextAssigneeId });
+      const user = users.find((item) => String(item.id) === String(nextAssigneeId));
+      toast.success(user ? `Assigned to ${user.name}` : "Enquiry unassigned");
+    } catch (error) {
+      onUpdate(enquiry.id, { assigneeId: previousAssigneeId });
+      console.error("Failed to assign enquiry", error);
+      toast.error("Failed to assign the enquiry");
+    }
+  };
+
+  const handleClick = async () => {
+    if (enquiry.status === "unread") {
+      try {
+        await axiosInstance.patch(`/enquiries/update-status/${enquiry.id}`, {
+          status: "read"
+        });
+        onStatusChange(enquiry.id, "read");
+      } catch (error) {
+        console.error("Failed to update status", error);
+        toast.error("Failed to mark enquiry as read");
+      }
+    }
+    setShowMessage(!showMessage);
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axiosInstance.delete(`/enquiries/delete-enquiry/${enquiry.id}`);
+      onDelete(enquiry.id);
+      playNotificationSound()
+      toast.success("Enquiry deleted successfully!");
+    } catch (error) {
+      console.error("Error deleting Enquiry:", error);
+      toast.error("Failed to delete the Enquiry. Please try again.");
+    } finally {
+      setIsDeleting(false);
+      setShowDeleteModal(false);
+    }
+  };
+
+  const handleMarkSpam = async (entries) => {
+    setIsMarkingSpam(true);
+    try {
+      await onMarkSpam(enquiry, entries);
+      setShowSpamModal(false);
+    } finally {
+      setIsMarkingSpam(false);
+    }
+  };
+
+  return (
+    <>
+      <div className={`card bg-base-200 shadow-lg hover:shadow-xl transition-all duration-200 relative ${selected ? "ring-2 ring-primary" : ""}`}>
+        <div className="card-body p-4 flex-row items-start gap-3">
+          {onSelect && (
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm checkbox-primary mt-1"
+              checked={Boolean(selected)}
+              onChange={() => onSelect(enquiry)}
+              aria-label={`Select enquiry from ${enquiry.name}`}
+            />
+          )}
+          <div className="flex-1 min-w-0">
+            <div
+              className="cursor-pointer"
+              onClick={handleClick}
+            >
+              <div className="flex items-center justify-between">
+                <div className="space-y-2 flex-1">
+                  <div className="flex items-center gap-3">
+                    <h3 className={`text-lg ${enquiry.status === 'unread' ? 'font-bold' : 'font-medium'}`}>
+                      {enquiry.name}
+                    </h3>
+                    {enquiry.status === 'unread' && (
+                      <span className="badge badge-secondary text-white badge-sm py-2">New</span>
+                    )}
+                    <span className={`badge badge-sm py-2 ${ENQUIRY_STAGES[stage]?.badge || "badge-ghost"}`}>
+                      {getEnquiryStageLabel(stage)}
+                    </span>
+                    {spam?.score > 0 && (
+                      <span
+                        className={`badge badge-sm py-2 tooltip tooltip-bottom ${spam.score >= SPAM_THRESHOLD ? "badge-error" : "badge-warning"}`}
+                        data-tip={spam.reasons.join(" · ")}
+                      >
+                        Spam score {spam.score}
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-4 text-sm text-neutral-content flex-wrap">
+                    <span className="flex items-center gap-1">
+                      <Mail className="w-4 h-4" />
+                      {enquiry.email}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Phone className="w-4 h-4" />
+                      +{enquiry.phoneNumber}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-4 h-4" />
+                      {format(new Date(enquiry.createdAt), 'PPp')}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <UserCircle className="w-4 h-4" />
+                      {assignee ? assignee.name : "Unassigned"}
+                    </span>
+                    {enquiry.sourcePage && (
+                      <span className="flex items-center gap-1">
+                        <Link2 className="w-4 h-4" />
+                        {enquiry.sourcePage}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  {!canEdit ? null : stage === "spam" ? (
+                    onNotSpam && (
+                      <button
+                        className="btn btn-ghost btn-sm text-success"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onNotSpam(enquiry);
+                        }}
+                        title="Not spam"
+                      >
+                        <ShieldCheck className="w-5 h-5" />
+                      </button>
+                    )
+                  ) : (
+                    onMarkSpam && (
+                      <button
+                        className="btn btn-ghost btn-sm text-warning"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setShowSpamModal(true);
+                        }}
+                        title="Mark as spam"
+                      >
+                        <ShieldAlert className="w-5 h-5" />
+                      </button>
+                    )
+                  )}
+                  {can("enquiries", "delete") && (
+                    <button
+                      className="btn btn-ghost btn-sm text-error"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowDeleteModal(true);
+                      }}
+                      disabled={isDeleting}
+                    >
+                      <Trash2 className="w-5 h-5" />
+                    </button>
+                  )}
+                  <button className="btn btn-ghost btn-sm">
+                    <ChevronDown
+                      className={`h-5 w-5 transition-transform duration-200 ${showMessage ? "rotate-180" : ""}`}
+                    />
+                  </button>
+                </div>
+              </div>
+            </div>
+            {showMessage && (
+              <div className="mt-4">
+                <div className="divider my-2"></div>
+                <div className="bg-base-200 p-4 rounded-lg">
+                  <p className="text-sm whitespace-pre-wrap leading-relaxed">{enquiry.message}</p>
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-4 my-4">
+                  <label className="form-control flex-1">
+                    <span className="label-text mb-1">Stage</span>
+                    <select
+                      className="select select-bordered select-sm"
+                      value={stage}
+                      onChange={(e) => onStageChange(enquiry.id, e.target.value)}
+                      disabled={!canEdit}
+                    >
+                      {Object.entries(ENQUIRY_STAGES).map(([value, { label }]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="form-control flex-1">
+                    <span className="label-text mb-1">Assignee</span>
+                    <select
+                      className="select select-bordered select-sm"
+                      value={enquiry.assigneeId ?? ""}
+                      onChange={(e) => handleAssigneeChange(e.target.value)}
+                      disabled={!canEdit}
+                    >
+                      <option value="">Unassigned</option>
+                      {users.map((user) => (
+                        <option key={user.id} value={user.id}>{user.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
+                <EnquiryConversation enquiry={enquiry} />
+                <div className="divider my-2"></div>
+                <EnquiryNotes enquiryId={enquiry.id} />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <DeleteConfirmationModal
+        isOpen={showDeleteModal}
+        onClose={() => setShowDeleteModal(false)}
+        onConfirm={handleDelete}
+        itemName={enquiry.name}
+      />
+
+      {showSpamModal && (
+        <MarkSpamModal
+          enquiry={enquiry}
+          isSaving={isMarkingSpam}
+          onClose={() => setShowSpamModal(false)}
+          onConfirm={handleMarkSpam}
+        />
+      )}
+    </>
+  );
+};
+
+export default EnquiryItem;
@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { MessageSquarePlus, StickyNote } from "lucide-react";
+import axiosInstance from "../../config/axios";
+
+// Internal notes on an enquiry; never shown to the person who sent it
+const EnquiryNotes = ({ enquiryId }) => {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [body, setBody] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchNotes = async () => {
+      setLoading(true);
+      try {
+        const response = await axiosInstance.get(`/enquiries/get-notes/${enquiryId}`);
+        setNotes(response.data.data);
+      } catch (error) {
+        console.error("Failed to fetch notes", error);
+        toast.error("Failed to load notes");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchNotes();
+  }, [enquiryId]);
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const response = await axiosInstance.post(`/enquiries/add-note/${enquiryId}`, { body: body.trim() });
+      setNotes((prev) => [...prev, response.data.data]);
+      setBody("");
+    } catch (error) {
+      console.error("Failed to add note", error);
+      toast.error("Failed to add note");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-semibold flex items-center gap-1">
+        <StickyNote className="w-4 h-4" /> Internal notes
+      </h4>
+
+      {loading ? (
+        <span className="loading loading-spinner loading-sm text-primary"></span>
+      ) : notes.length === 0 ? (
+        <p className="text-sm text-neutral-content/70">No notes yet</p>
+      ) : (
+        <ul className="space-y-2 max-h-64 overflow-y-auto">
+          {notes.map((note) => (
+            <li key={note.id} className="bg-base-100 p-3 rounded-lg">
+              <div className="flex justify-between gap-2 text-xs text-neutral-content/70 mb-1">
+                <span className="font-semibold">{note.author?.name || "Unknown"}</span>
+                <span>{format(new Date(note.createdAt), "PPp")}</span>
+              </div>
+              <p className="text-sm whitespace-pre-wrap">{note.body}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAddNote} className="flex gap-2 items-start">
+        <textarea
+          className="textarea textarea-bordered textarea-sm flex-1 bg-base-100 focus:outline-none"
+          rows={2}
+          placeholder="Add a note for the team..."
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+        />
+        <button type="submit" className="btn btn-sm btn-primary text-white gap-1" disabled={isSaving || !body.trim()}>
+          {isSaving ? <span className="loading loading-spinner loading-xs"></span> : <MessageSquarePlus className="w-4 h-4" />}
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default EnquiryNotes;
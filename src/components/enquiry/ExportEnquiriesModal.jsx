@@ -0,0 +1,229 @@
+import { useState } from "react";
+import { format as formatDate } from "date-fns";
+import { toast } from "react-toastify";
+import { Download, FileSpreadsheet, FileText, FileType, BellRing } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { downloadFile } from "../../utils/csv";
+
+const EXPORT_FORMATS = {
+  csv: { label: "CSV", icon: FileType, extension: ".csv", mimeType: "text/csv;charset=utf-8" },
+  excel: {
+    label: "Excel",
+    icon: FileSpreadsheet,
+    extension: ".xlsx",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  pdf: { label: "PDF", icon: FileText, extension: ".pdf", mimeType: "application/pdf" },
+};
+
+const EXPORT_COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "message", label: "Message" },
+  { key: "status", label: "Status" },
+  { key: "createdAt", label: "Received" },
+  { key: "assignee", label: "Assignee" },
+];
+
+// date-fns tokens; the API formats the dates so exported files match what was picked here
+const DATE_FORMATS = [
+  { value: "yyyy-MM-dd HH:mm", label: "2024-12-31 18:30" },
+  { value: "dd/MM/yyyy HH:mm", label: "31/12/2024 18:30" },
+  { value: "MM/dd/yyyy hh:mm a", label: "12/31/2024 06:30 PM" },
+  { value: "d MMM yyyy, HH:mm", label: "31 Dec 2024, 18:30" },
+  { value: "iso", label: "ISO 8601 (2024-12-31T18:30:00+05:30)" },
+];
+
+// Bigger exports are built by a background job and announced in Notifications
+const BACKGROUND_EXPORT_THRESHOLD = 1000;
+
+const PREFERENCES_KEY = "enquiryExportPreferences";
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// supportedValuesOf leaves out "UTC" (and can miss the browser's own zone), so both are added back
+const TIME_ZONES = [
+  ...new Set([
+    browserTimeZone,
+    "UTC",
+    ...(typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : []),
+  ]),
+];
+
+const loadPreferences = () => {
+  const defaults = {
+    format: "csv",
+    columns: EXPORT_COLUMNS.map((column) => column.key),
+    dateFormat: DATE_FORMATS[0].value,
+    timezone: browserTimeZone,
+  };
+  try {
+    // Stored values may predate the current options, so each one is checked before use
+    const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || "{}") || {};
+    const columnKeys = EXPORT_COLUMNS.map((column) => column.key);
+    const columns = Array.isArray(stored.columns) ? stored.columns.filter((key) => columnKeys.includes(key)) : [];
+    return {
+      format: stored.format in EXPORT_FORMATS ? stored.format : defaults.format,
+      columns: columns.length > 0 ? columns : defaults.columns,
+      dateFormat: DATE_FORMATS.some((option) => option.value === stored.dateFormat)
+        ? stored.dateFormat
+        : defaults.dateFormat,
+      timezone: TIME_ZONES.includes(stored.timezone) ? stored.timezone : defaults.timezone,
+    };
+  } catch {
+    return defaults;
+  }
+};
+
+/**
+ * Export options for the enquiries matching the current filters. filterParams is the
+ * same URLSearchParams the list is fetched with; total decides between a direct
+ * download and a background job.
+ */
+const ExportEnquiriesModal = ({ isOpen, onClose, filterParams, total }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [isExporting, setIsExporting] = useState(false);
+
+  if (!isOpen) return null;
+
+  const runsInBackground = total > BACKGROUND_EXPORT_THRESHOLD;
+  const selectedFormat = EXPORT_FORMATS[preferences.format];
+
+  const updatePreferences = (changes) => {
+    setPreferences((prev) => ({ ...prev, ...changes }));
+  };
+
+  const toggleColumn = (key) => {
+    const columns = preferences.columns.includes(key)
+      ? preferences.columns.filter((column) => column !== key)
+      : EXPORT_COLUMNS.map((column) => column.key).filter((column) => column === key || preferences.columns.includes(column));
+    updatePreferences({ columns });
+  };
+
+  const handleExport = async () => {
+    const queryParams = new URLSearchParams(filterParams);
+    queryParams.append("format", preferences.format);
+    queryParams.append("columns", preferences.columns.join(","));
+    queryParams.append("dateFormat", preferences.dateFormat);
+    queryParams.append("timezone", preferences.timezone);
+
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    setIsExporting(true);
+    try {
+      if (runsInBackground) {
+        await axiosInstance.post(`/enquiries/export-jobs?${queryParams}`);
+        toast.info("Export started. A download link will appear in Notifications when it is ready.");
+      } else {
+        const response = await axiosInstance.get(`/enquiries/export-enquiry?${queryParams}`, {
+          responseType: "blob",
+        });
+        downloadFile(
+          new Blob([response.data], { type: selectedFormat.mimeType }),
+          `Enquiry-report-${formatDate(new Date(), "yyyy-MM-dd")}${selectedFormat.extension}`
+        );
+      }
+      onClose();
+    } catch (error) {
+      console.error("Error exporting enquiries:", error);
+      toast.error("Failed to export data");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-lg w-full text-neutral-content">
+        <h2 className="text-lg font-bold mb-1 flex items-center gap-2">
+          <Download className="w-5 h-5" /> Export Enquiries
+        </h2>
+        <p className="text-sm mb-4">{total} {total === 1 ? "enquiry matches" : "enquiries match"} the current filters.</p>
+
+        <div className="space-y-4">
+          <div>
+            <span className="label-text font-medium">Format</span>
+            <div className="join w-full mt-1">
+              {Object.entries(EXPORT_FORMATS).map(([key, { label, icon: Icon }]) => (
+                <button
+                  key={key}
+                  type="button"
+                  className={`btn btn-sm join-item flex-1 gap-1 ${preferences.format === key ? "btn-primary text-white" : ""}`}
+                  onClick={() => updatePreferences({ format: key })}
+                >
+                  <Icon className="w-4 h-4" /> {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className="label-text font-medium">Columns</span>
+            <div className="grid grid-cols-2 gap-1 mt-1">
+              {EXPORT_COLUMNS.map((column) => (
+                <label key={column.key} className="label cursor-pointer justify-start gap-2 py-1">
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm checkbox-primary"
+                    checked={preferences.columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  <span className="label-text">{column.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="form-control">
+              <span className="label-text font-medium mb-1">Date format</span>
+              <select
+                className="select select-bordered select-sm"
+                value={preferences.dateFormat}
+                onChange={(e) => updatePreferences({ dateFormat: e.target.value })}
+              >
+                {DATE_FORMATS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="form-control">
+              <span className="label-text font-medium mb-1">Timezone</span>
+              <select
+                className="select select-bordered select-sm"
+                value={preferences.timezone}
+                onChange={(e) => updatePreferences({ timezone: e.target.value })}
+              >
+                {TIME_ZONES.map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {runsInBackground && (
+            <div className="alert alert-info text-sm">
+              <BellRing className="w-5 h-5" />
+              This export is large, so it runs in the background. You will get a notification with a download link.
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button className="btn btn-ghost" onClick={onClose} disabled={isExporting}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-primary text-white"
+            onClick={handleExport}
+            disabled={isExporting || preferences.columns.length === 0}
+          >
+            {isExporting ? <span className="loading loading-spinner"></span> : runsInBackground ? "Start export" : "Download"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportEnquiriesModal;
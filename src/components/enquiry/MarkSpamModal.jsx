@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { ShieldAlert } from "lucide-react";
+import { FREE_EMAIL_DOMAINS, getEmailDomain, getPhoneDigits } from "../../utils/spamScore";
+
+// Country code plus the first three digits, e.g. "91 98765..." -> "91987"
+const suggestPhonePrefix = (phoneNumber = "") => {
+  const [countryCode, number = ""] = phoneNumber.split(" ");
+  return getPhoneDigits(countryCode) + getPhoneDigits(number).slice(0, 3);
+};
+
+// Lets the user choose what to add to the blocklist when marking an enquiry as spam
+const MarkSpamModal = ({ enquiry, isSaving, onClose, onConfirm }) => {
+  const domain = getEmailDomain(enquiry.email);
+  const canBlockDomain = domain && !FREE_EMAIL_DOMAINS.includes(domain);
+  const [blockEmail, setBlockEmail] = useState(true);
+  const [blockDomain, setBlockDomain] = useState(false);
+  const [blockPhone, setBlockPhone] = useState(false);
+  const [phonePrefix, setPhonePrefix] = useState(suggestPhonePrefix(enquiry.phoneNumber));
+
+  const handleConfirm = () => {
+    const entries = [];
+    if (blockEmail) entries.push({ type: "email", value: enquiry.email.toLowerCase() });
+    if (blockDomain && canBlockDomain) entries.push({ type: "domain", value: domain });
+    if (blockPhone && getPhoneDigits(phonePrefix)) entries.push({ type: "phone", value: getPhoneDigits(phonePrefix) });
+    onConfirm(entries);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-md w-full">
+        <div className="flex items-center mb-4 text-warning">
+          <ShieldAlert className="w-8 h-8 mr-3" />
+          <h2 className="text-lg font-bold">Mark as Spam</h2>
+        </div>
+        <p className="mb-4">
+          The enquiry from {enquiry.name} moves to the Spam folder. Future enquiries matching
+          what you block below are flagged automatically.
+        </p>
+
+        <div className="space-y-3 mb-6">
+          <label className="label cursor-pointer justify-start gap-3">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={blockEmail}
+              onChange={(e) => setBlockEmail(e.target.checked)}
+            />
+            <span className="label-text">Block email <strong>{enquiry.email}</strong></span>
+          </label>
+          <label className={`label justify-start gap-3 ${canBlockDomain ? "cursor-pointer" : "opacity-50"}`}>
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={blockDomain && canBlockDomain}
+              onChange={(e) => setBlockDomain(e.target.checked)}
+              disabled={!canBlockDomain}
+            />
+            <span className="label-text">
+              Block domain <strong>{domain}</strong>
+              {!canBlockDomain && " (shared provider)"}
+            </span>
+          </label>
+          <div className="flex items-center gap-3 px-1">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={blockPhone}
+              onChange={(e) => setBlockPhone(e.target.checked)}
+            />
+            <span className="label-text">Block phone numbers starting with +</span>
+            <input
+              type="text"
+              className="input input-bordered input-sm w-28 focus:outline-none"
+              value={phonePrefix}
+              onChange={(e) => setPhonePrefix(e.target.value)}
+              disabled={!blockPhone}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button className="btn btn-ghost" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </button>
+          <button className="btn btn-warning" onClick={handleConfirm} disabled={isSaving}>
+            {isSaving ? <span className="loading loading-spinner"></span> : "Mark as spam"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MarkSpamModal;
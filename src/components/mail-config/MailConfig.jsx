@@ -7,6 +7,7 @@ import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import axiosInstance from '../../config/axios';
 import playNotificationSound from '../../utils/playNotification';
+import { useAuth } from '../../context/AuthContext';
 
 // Validation schema remains the same
 const mailConfigSchema = yup.object().shape({
@@ -38,6 +39,8 @@ const mailConfigSchema = yup.object().shape({
 });
 
 const MailConfig = () => {
+  const { can } = useAuth();
+  const canEdit = can('mailConfig', 'edit');
   const {
     register,
     handleSubmit,
@@ -211,6 +214,8 @@ const MailConfig = () => {
 
         <form onSubmit={handleSubmit(onSubmit)} className="p-4">
           {/* Form fields remain the same */}
+          {/* Roles without edit permission get a read-only form */}
+          <fieldset disabled={!canEdit}>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div className="form-control">
               <label className="label">
@@ -283,22 +288,25 @@ const MailConfig = () => {
             </div>
           </div>
 
-          <div className="mt-6 flex justify-end gap-4">
-            <button
-              type="button"
-              className="btn btn-ghost"
-              onClick={handleReset}
-            >
-              Reset
-            </button>
-            <button
-              type="submit"
-              className="btn btn-primary"
-              disabled={!isEnabled}
-            >
-              Save
-            </button>
-          </div>
+          {canEdit && (
+            <div className="mt-6 flex justify-end gap-4">
+              <button
+                type="button"
+                className="btn btn-ghost"
+                onClick={handleReset}
+              >
+                Reset
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!isEnabled}
+              >
+                Save
+              </button>
+            </div>
+          )}
+          </fieldset>
         </form>
       </div>
     </div>
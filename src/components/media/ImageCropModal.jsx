@@ -0,0 +1,295 @@
+import { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { Crop, ZoomIn, ArrowLeft, X } from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  IMAGE_PRESETS,
+  ASPECT_OPTIONS,
+  formatFileSize,
+  loadImage,
+  cropAndCompress,
+} from "../../utils/imageProcessing";
+
+const MAX_VIEWPORT_HEIGHT = 360;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Checkerboard so transparent areas of logos are visible while cropping
+const checkerboard = {
+  backgroundImage:
+    "linear-gradient(45deg, #ccc 25%, transparent 25%), linear-gradient(-45deg, #ccc 25%, transparent 25%), linear-gradient(45deg, transparent 75%, #ccc 75%), linear-gradient(-45deg, transparent 75%, #ccc 75%)",
+  backgroundSize: "16px 16px",
+  backgroundPosition: "0 0, 0 8px, 8px -8px, -8px 0px",
+};
+
+/**
+ * Crop, resize and WebP-compress step shown before an upload is accepted.
+ * Drag to pan and use the slider to zoom; onComplete receives a File under maxBytes.
+ * Rendered into document.body so the blog drawer's transform does not clip it.
+ */
+function ImageCropModal({ file, preset = "blogCover", maxBytes, onCancel, onComplete }) {
+  const { width: outputWidth, aspect: presetAspect, label } = IMAGE_PRESETS[preset];
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [sourceUrl, setSourceUrl] = useState(null);
+  const [image, setImage] = useState(null);
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [aspect, setAspect] = useState(presetAspect);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [result, setResult] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  // Read from the load effect without making a new callback restart the crop
+  const onCancelRef = useRef(onCancel);
+
+  useEffect(() => {
+    onCancelRef.current = onCancel;
+  });
+
+  useEffect(() => {
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    setSourceUrl(url);
+    setAspect(presetAspect);
+    setZoom(1);
+    setResult(null);
+    loadImage(url)
+      .then(setImage)
+      .catch((error) => {
+        console.error("Error loading image for cropping:", error);
+        toast.error("This image could not be opened for cropping");
+        onCancelRef.current();
+      });
+    return () => URL.revokeObjectURL(url);
+  }, [file, presetAspect]);
+
+  useEffect(() => {
+    if (!file) return;
+    const measure = () => setContainerWidth(containerRef.current?.clientWidth || 0);
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [file, image]);
+
+  useEffect(() => () => result && URL.revokeObjectURL(result.previewUrl), [result]);
+
+  // Viewport is the crop frame on screen; its aspect follows the selected preset
+  const frameAspect = aspect || (image ? image.naturalWidth / image.naturalHeight : 1);
+  let viewportWidth = containerWidth;
+  let viewportHeight = viewportWidth / frameAspect;
+  if (viewportHeight > MAX_VIEWPORT_HEIGHT) {
+    viewportHeight = MAX_VIEWPORT_HEIGHT;
+    viewportWidth = viewportHeight * frameAspect;
+  }
+  const baseScale = image
+    ? Math.max(viewportWidth / image.naturalWidth, viewportHeight / image.naturalHeight)
+    : 1;
+  const scale = baseScale * zoom;
+
+  const clampOffset = (next, nextScale = scale) => ({
+    x: clamp(next.x, viewportWidth - image.naturalWidth * nextScale, 0),
+    y: clamp(next.y, viewportHeight - image.naturalHeight * nextScale, 0),
+  });
+
+  // Re-centre whenever the frame itself changes shape or size
+  useEffect(() => {
+    if (!image || !viewportWidth) return;
+    setZoom(1);
+    setOffset({
+      x: (viewportWidth - image.naturalWidth * baseScale) / 2,
+      y: (viewportHeight - image.naturalHeight * baseScale) / 2,
+    });
+  }, [image, viewportWidth, viewportHeight, baseScale]);
+
+  if (!file) return null;
+
+  const handleZoom = (nextZoom) => {
+    const nextScale = baseScale * nextZoom;
+    // Keep the point under the centre of the frame fixed while zooming
+    const centerX = (viewportWidth / 2 - offset.x) / scale;
+    const centerY = (viewportHeight / 2 - offset.y) / scale;
+    setZoom(nextZoom);
+    setOffset(clampOffset({
+      x: viewportWidth / 2 - centerX * nextScale,
+      y: viewportHeight / 2 - centerY * nextScale,
+    }, nextScale));
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { startX: event.clientX, startY: event.clientY, origin: offset };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const { startX, startY, origin } = dragRef.current;
+    setOffset(clampOffset({ x: origin.x + event.clientX - startX, y: origin.y + event.clientY - startY }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleProcess = async () => {
+    setIsProcessing(true);
+    try {
+      const processed = await cropAndCompress(
+        image,
+        {
+          x: -offset.x / scale,
+          y: -offset.y / scale,
+          width: viewportWidth / scale,
+          height: viewportHeight / scale,
+        },
+        { maxWidth: outputWidth, maxBytes, fileName: file.name }
+      );
+      const dimensions = await loadImage(URL.createObjectURL(processed));
+      setResult({
+        file: processed,
+        previewUrl: dimensions.src,
+        width: dimensions.naturalWidth,
+        height: dimensions.naturalHeight,
+      });
+    } catch (error) {
+      console.error("Error processing image:", error);
+      toast.error(error.message || "Failed to process the image");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black bg-opacity-50">
+      <div className="modal modal-open bg-base-100 text-neutral-content">
+        <div className="modal-box max-w-2xl">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-bold text-lg flex items-center gap-2">
+              <Crop className="w-5 h-5" /> {result ? "Review image" : "Crop & resize"}
+            </h3>
+            <button type="button" className="btn btn-sm btn-circle btn-ghost" onClick={onCancel}>
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          {result ? (
+            <div className="space-y-4">
+              <div className="flex justify-center rounded-lg overflow-hidden" style={checkerboard}>
+                <img src={result.previewUrl} alt="Processed preview" className="max-h-80 object-contain" />
+              </div>
+              <div className="stats stats-vertical sm:stats-horizontal w-full bg-base-200">
+                <div className="stat">
+                  <div className="stat-title">Before</div>
+                  <div className="stat-value text-lg">{formatFileSize(file.size)}</div>
+                  <div className="stat-desc">
+                    {image.naturalWidth}×{image.naturalHeight} · {file.type.replace("image/", "").toUpperCase()}
+                  </div>
+                </div>
+                <div className="stat">
+                  <div className="stat-title">After</div>
+                  <div className="stat-value text-lg text-success">{formatFileSize(result.file.size)}</div>
+                  <div className="stat-desc">
+                    {result.width}×{result.height} · {result.file.type.replace("image/", "").toUpperCase()}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm">{label}</span>
+                <div className="join ml-auto">
+                  {ASPECT_OPTIONS.map((option) => (
+                    <button
+                      type="button"
+                      key={option.label}
+                      className={`btn btn-xs join-item ${aspect === option.value ? "btn-primary text-white" : ""}`}
+                      onClick={() => setAspect(option.value)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div ref={containerRef} className="w-full flex justify-center">
+                {image && viewportWidth > 0 ? (
+                  <div
+                    className="relative overflow-hidden rounded-lg cursor-move touch-none select-none ring-2 ring-primary"
+                    style={{ width: viewportWidth, height: viewportHeight, ...checkerboard }}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                  >
+                    <img
+                      src={sourceUrl}
+                      alt="Crop source"
+                      draggable={false}
+                      className="absolute max-w-none pointer-events-none"
+                      style={{
+                        left: offset.x,
+                        top: offset.y,
+                        width: image.naturalWidth * scale,
+                        height: image.naturalHeight * scale,
+                      }}
+                    />
+                  </div>
+                ) : (
+                  <div className="flex justify-center items-center h-48">
+                    <span className="loading loading-spinner loading-lg text-primary"></span>
+                  </div>
+                )}
+              </div>
+
+              <label className="flex items-center gap-3">
+                <ZoomIn className="w-4 h-4" />
+                <input
+                  type="range"
+                  min={1}
+                  max={3}
+                  step={0.01}
+                  value={zoom}
+                  className="range range-primary range-sm"
+                  onChange={(e) => handleZoom(Number(e.target.value))}
+                />
+              </label>
+              <p className="text-xs text-neutral-content/70">
+                Original: {formatFileSize(file.size)}. The result is saved as WebP (PNG where the browser cannot encode WebP) under {formatFileSize(maxBytes)}.
+              </p>
+            </div>
+          )}
+
+          <div className="modal-action">
+            {result ? (
+              <>
+                <button type="button" className="btn btn-ghost gap-2" onClick={() => setResult(null)}>
+                  <ArrowLeft className="w-4 h-4" /> Back
+                </button>
+                <button type="button" className="btn btn-primary text-white" onClick={() => onComplete(result.file)}>
+                  Use image
+                </button>
+              </>
+            ) : (
+              <>
+                <button type="button" className="btn btn-ghost" onClick={onCancel}>
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-primary text-white"
+                  onClick={handleProcess}
+                  disabled={!image || isProcessing}
+                >
+                  {isProcessing ? <span className="loading loading-spinner"></span> : "Apply"}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default ImageCropModal;
@@ -0,0 +1,170 @@
+import { useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { Search, Upload, ImageOff, X } from "lucide-react";
+import { toast } from "react-toastify";
+import Pagination from "../ui/Pagination";
+import useMediaAssets, { uploadMediaAsset } from "../../hooks/useMediaAssets";
+import { useAuth } from "../../context/AuthContext";
+
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Lets a form pick an image that is already in the media library, or upload one into it.
+ * onSelect receives the asset ({ id, url, alt, ... }).
+ * Rendered into document.body because it is opened from inside forms, where pressing
+ * Enter in its search box would otherwise submit the surrounding form.
+ */
+function MediaPickerModal({ isOpen, onClose, onSelect, title = "Choose from Media Library" }) {
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const inputRef = useRef(null);
+  const { can } = useAuth();
+  const { assets, pagination, loading, refresh } = useMediaAssets({ search, page, enabled: isOpen });
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setSelected(null);
+    onClose();
+  };
+
+  const handleConfirm = () => {
+    if (!selected) return;
+    onSelect(selected);
+    handleClose();
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    if (!ALLOWED_TYPES.includes(file.type)) {
+      toast.error("Only JPG, PNG, GIF and WEBP images are allowed");
+      return;
+    }
+    if (file.size > MAX_SIZE) {
+      toast.error("Image size cannot exceed 5MB");
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const asset = await uploadMediaAsset(file);
+      toast.success("Image uploaded to the media library");
+      setSelected(asset);
+      setPage(1);
+      refresh();
+    } catch (error) {
+      console.error("Error uploading media:", error);
+      toast.error(error.response?.data?.message || "Failed to upload image");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black bg-opacity-50">
+      <div className="modal modal-open bg-base-100 text-neutral-content">
+        <div className="modal-box max-w-4xl">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-bold text-lg">{title}</h3>
+            <button type="button" className="btn btn-sm btn-circle btn-ghost" onClick={handleClose}>
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-2 mb-4">
+            <div className="relative flex-grow">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="text"
+                placeholder="Search by file name or alt text..."
+                className="input input-bordered w-full focus:outline-none pl-10 bg-base-100"
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(1);
+                }}
+              />
+            </div>
+            {can("media", "create") && (
+              <>
+                <button
+                  type="button"
+                  className="btn btn-outline gap-2"
+                  onClick={() => inputRef.current?.click()}
+                  disabled={isUploading}
+                >
+                  {isUploading ? <span className="loading loading-spinner loading-sm"></span> : <Upload className="w-4 h-4" />}
+                  Upload new
+                </button>
+                <input
+                  type="file"
+                  accept={ALLOWED_TYPES.join(", ")}
+                  className="hidden"
+                  ref={inputRef}
+                  onChange={handleUpload}
+                />
+              </>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center items-center h-48">
+              <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+          ) : assets.length === 0 ? (
+            <div className="flex flex-col items-center justify-center h-48 bg-base-200 rounded-lg">
+              <ImageOff className="w-10 h-10 text-gray-400 mb-2" />
+              <p className="text-gray-500">No images found</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-2 max-h-[50vh] overflow-y-auto p-1">
+              {assets.map((asset) => (
+                <button
+                  type="button"
+                  key={asset.id}
+                  className={`aspect-square rounded-lg overflow-hidden bg-base-200 ring-offset-2 ring-offset-base-100 ${selected?.id === asset.id ? "ring-2 ring-primary" : "hover:opacity-80"}`}
+                  onClick={() => setSelected(asset)}
+                  onDoubleClick={() => {
+                    onSelect(asset);
+                    handleClose();
+                  }}
+                  title={asset.alt || asset.fileName}
+                >
+                  <img src={asset.url} alt={asset.alt || ""} className="w-full h-full object-cover" loading="lazy" />
+                </button>
+              ))}
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <Pagination currentPage={pagination.currentPage} totalPages={pagination.pages} onPageChange={setPage} />
+          )}
+
+          <div className="modal-action items-center">
+            {selected && (
+              <p className="text-sm truncate mr-auto">
+                {selected.fileName}
+                {!selected.alt && <span className="text-warning"> · no alt text</span>}
+              </p>
+            )}
+            <button type="button" className="btn btn-ghost" onClick={handleClose}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary text-white" disabled={!selected} onClick={handleConfirm}>
+              Use image
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default MediaPickerModal;
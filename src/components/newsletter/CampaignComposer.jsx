@@ -0,0 +1,662 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import ReactQuill from "react-quill-new";
+import "react-quill-new/dist/quill.snow.css";
+import * as Yup from "yup";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import { X, Send, BookmarkPlus, Trash2, RotateCcw, Tags, Save, FlaskConical, CalendarClock } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import DeviceFrame, { DeviceSwitcher } from "../preview/DeviceFrame";
+import { renderNewsletterHtml, htmlToPlainText } from "../../utils/newsletterTemplate";
+import { fillMergeTags, NEWSLETTER_MERGE_TAGS, SAMPLE_SUBSCRIBER_MERGE_VALUES } from "../../utils/mergeTags";
+import { useAuth } from "../../context/AuthContext";
+
+const campaignSchema = Yup.object().shape({
+  subject: Yup.string()
+    .required("Email subject is required")
+    .min(3, "Subject must be at least 3 characters")
+    .max(100, "Subject cannot exceed 100 characters"),
+  previewText: Yup.string().max(150, "Preview text cannot exceed 150 characters"),
+  content: Yup.string()
+    .test("not-empty", "Email content is required", (value) => Boolean(htmlToPlainText(value || "")))
+});
+
+const emailSchema = Yup.string().email();
+
+const EMPTY_CAMPAIGN = {
+  subject: "",
+  previewText: "",
+  content: "",
+  includeHeader: true,
+  includeFooter: true,
+  segmentId: "", // empty sends to every subscribed address
+};
+
+/**
+ * Full-screen editor for a newsletter campaign: rich content, saved templates, merge tags,
+ * a plain-text alternative and a live preview in the email layout. Campaigns are saved as
+ * drafts first, can be test-sent to a few addresses, and are sent now or at a set time.
+ */
+const CampaignComposer = ({ campaignId, subscriberCount, segments = [], onClose, onSaved }) => {
+  const [id, setId] = useState(campaignId || null);
+  const [campaign, setCampaign] = useState(EMPTY_CAMPAIGN);
+  const [loadingCampaign, setLoadingCampaign] = useState(Boolean(campaignId));
+  const [plainText, setPlainText] = useState("");
+  const [plainTextEdited, setPlainTextEdited] = useState(false);
+  const [organization, setOrganization] = useState({});
+  const [templates, setTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState("");
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [screenSize, setScreenSize] = useState("laptop");
+  const [errors, setErrors] = useState({});
+  const [isSending, setIsSending] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showTestPanel, setShowTestPanel] = useState(false);
+  const [testEmails, setTestEmails] = useState("");
+  const [isTesting, setIsTesting] = useState(false);
+  const [sendMode, setSendMode] = useState("now");
+  const [scheduledAt, setScheduledAt] = useState("");
+  const [confirmSend, setConfirmSend] = useState(false);
+  const quillRef = useRef(null);
+  const { can } = useAuth();
+  const canPublish = can("newsletters", "publish");
+  // Read from the load effect without making a new callback refetch the campaign
+  const onCloseRef = useRef(onClose);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    if (!campaignId) return;
+
+    const fetchCampaign = async () => {
+      try {
+        const response = await axiosInstance.get(`/newsletter/campaigns/${campaignId}`);
+        const saved = response.data.data;
+        setCampaign({
+          subject: saved.subject || "",
+          previewText: saved.previewText || "",
+          content: saved.content || "",
+          includeHeader: saved.includeHeader ?? true,
+          includeFooter: saved.includeFooter ?? true,
+          segmentId: saved.segmentId || "",
+        });
+        if (saved.textEdited) {
+          setPlainText(saved.text || "");
+          setPlainTextEdited(true);
+        }
+      } catch (error) {
+        console.error("Error fetching campaign:", error);
+        toast.error("Failed to load the campaign");
+        onCloseRef.current();
+      } finally {
+        setLoadingCampaign(false);
+      }
+    };
+
+    fetchCampaign();
+  }, [campaignId]);
+
+  useEffect(() => {
+    const fetchOrganization = async () => {
+      try {
+        const response = await axiosInstance.get("/company/settings");
+        setOrganization(response.data.data || {});
+      } catch (error) {
+        console.error("Error fetching organization details:", error);
+      }
+    };
+
+    const fetchTemplates = async () => {
+      try {
+        const response = await axiosInstance.get("/newsletter/templates");
+        setTemplates(response.data.data);
+      } catch (error) {
+        console.error("Error fetching newsletter templates:", error);
+      }
+    };
+
+    fetchOrganization();
+    fetchTemplates();
+  }, []);
+
+  // The plain-text version follows the content until it is edited by hand
+  useEffect(() => {
+    if (!plainTextEdited) {
+      setPlainText(htmlToPlainText(campaign.content));
+    }
+  }, [campaign.content, plainTextEdited]);
+
+  const updateCampaign = (changes) => {
+    setCampaign((prev) => ({ ...prev, ...changes }));
+  };
+
+  const audience = segments.find((segment) => String(segment.id) === String(campaign.segmentId));
+  const recipientCount = audience ? audience.subscriberCount : subscriberCount;
+
+  const html = useMemo(() => renderNewsletterHtml({ ...campaign, organization }), [campaign, organization]);
+  const previewHtml = useMemo(() => fillMergeTags(html, SAMPLE_SUBSCRIBER_MERGE_VALUES), [html]);
+
+  const insertMergeTag = (tag) => {
+    const editor = quillRef.current?.getEditor();
+    if (!editor) return;
+    const range = editor.getSelection(true);
+    editor.insertText(range.index, `{{${tag}}}`, "user");
+    editor.setSelection(range.index + tag.length + 4, 0);
+  };
+
+  const applyTemplate = (templateId) => {
+    const template = templates.find((item) => String(item.id) === templateId);
+    if (!template) return;
+    // The audience is not part of a template, so it stays as picked
+    setCampaign((prev) => ({
+      ...prev,
+      subject: template.subject || prev.subject,
+      previewText: template.previewText || "",
+      content: template.content,
+      includeHeader: template.includeHeader ?? true,
+      includeFooter: template.includeFooter ?? true,
+    }));
+    setPlainTextEdited(false);
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!templateName.trim()) return;
+    try {
+      const response = await axiosInstance.post("/newsletter/templates", {
+        name: templateName.trim(),
+        ...campaign,
+      });
+      setTemplates((prev) => [...prev, response.data.data]);
+      setTemplateName("");
+      setShowSaveTemplate(false);
+      toast.success("Template saved");
+    } catch (error) {
+      console.error("Error saving newsletter template:", error);
+      toast.error("Failed to save template");
+    }
+  };
+
+  const handleDeleteTemplate = async (templateId) => {
+    try {
+      await axiosInstance.delete(`/newsletter/templates/${templateId}`);
+      setTemplates((prev) => prev.filter((item) => item.id !== templateId));
+      toast.success("Template deleted");
+    } catch (error) {
+      console.error("Error deleting newsletter template:", error);
+      toast.error("Failed to delete template");
+    }
+  };
+
+  const validateCampaign = async () => {
+    try {
+      await campaignSchema.validate(campaign, { abortEarly: false });
+      setErrors({});
+      return true;
+    } catch (error) {
+      const validationErrors = {};
+      error.inner.forEach((err) => {
+        validationErrors[err.path] = err.message;
+      });
+      setErrors(validationErrors);
+      return false;
+    }
+  };
+
+  const saveDraft = async () => {
+    const payload = {
+      ...campaign,
+      segmentId: campaign.segmentId || null,
+      html,
+      text: plainText,
+      textEdited: plainTextEdited,
+    };
+    const response = id
+      ? await axiosInstance.put(`/newsletter/campaigns/${id}`, payload)
+      : await axiosInstance.post("/newsletter/campaigns", payload);
+    const saved = response.data.data;
+    setId(saved.id);
+    return saved;
+  };
+
+  const handleSaveDraft = async () => {
+    if (!campaign.subject.trim()) {
+      setErrors({ subject: "Add a subject before saving the draft" });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await saveDraft();
+      toast.success("Draft saved");
+      onSaved?.();
+    } catch (error) {
+      console.error("Error saving campaign:", error);
+      toast.error(error.response?.data?.message || "Failed to save the draft");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSendTest = async () => {
+    const recipients = testEmails.split(/[\s,;]+/).map((email) => email.trim()).filter(Boolean);
+    const invalid = recipients.filter((email) => !emailSchema.isValidSync(email));
+    if (recipients.length === 0 || invalid.length > 0) {
+      toast.error(invalid.length > 0 ? `Invalid email: ${invalid.join(", ")}` : "Enter at least one email address");
+      return;
+    }
+    if (!(await validateCampaign())) return;
+
+    const toastId = toast.loading(`Sending test to ${recipients.join(", ")}...`);
+    setIsTesting(true);
+    try {
+      // Same endpoint as the Mail Config test, with the campaign as the message. It sends
+      // what it is given, so merge tags are filled here as they would be for a subscriber.
+      const settled = await Promise.allSettled(recipients.map((email) => {
+        const values = { ...SAMPLE_SUBSCRIBER_MERGE_VALUES, email };
+        return axiosInstance.post("/config/test-email", {
+          email,
+          subject: `[Test] ${fillMergeTags(campaign.subject, values)}`,
+          html: fillMergeTags(html, values),
+          text: fillMergeTags(plainText, values),
+        });
+      }));
+      const failed = settled.filter((outcome) => outcome.status === "rejected");
+      failed.forEach((outcome) => console.error("Error sending test email:", outcome.reason));
+      toast.update(toastId, {
+        render: failed.length === 0
+          ? "Test email sent successfully"
+          : failed[0].reason.response?.data?.message || `${failed.length} of ${recipients.length} test emails failed`,
+        type: failed.length === 0 ? "success" : "error",
+        isLoading: false,
+        autoClose: 3000
+      });
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  const sendToMe = async () => {
+    try {
+      const response = await axiosInstance.get("/users/get-profile");
+      setTestEmails((prev) => [prev, response.data.email].filter(Boolean).join(", "));
+    } catch (error) {
+      console.error("Error fetching user data:", error);
+      toast.error("Could not load your email address");
+    }
+  };
+
+  const handleDeliver = async () => {
+    if (!(await validateCampaign())) return;
+    if (sendMode === "schedule") {
+      if (!scheduledAt || new Date(scheduledAt) <= new Date()) {
+        setErrors({ scheduledAt: "Pick a date and time in the future" });
+        return;
+      }
+    } else if (!confirmSend) {
+      setConfirmSend(true);
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const saved = await saveDraft();
+      if (sendMode === "schedule") {
+        await axiosInstance.post(`/newsletter/campaigns/${saved.id}/schedule`, {
+          scheduledAt: new Date(scheduledAt).toISOString(),
+        });
+        toast.success(`Campaign scheduled for ${format(new Date(scheduledAt), "dd MMM, yyyy HH:mm")}`);
+      } else {
+        await axiosInstance.post(`/newsletter/campaigns/${saved.id}/send`);
+        toast.success("Campaign is being sent");
+      }
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      console.error("Error sending campaign:", error);
+      toast.error(error.response?.data?.message || "Error sending newsletter");
+    } finally {
+      setIsSending(false);
+      setConfirmSend(false);
+    }
+  };
+
+  if (loadingCampaign) {
+    return (
+      <div className="fixed inset-0 z-[60] bg-base-300 flex justify-center items-center">
+        <span className="loading loading-spinner loading-lg text-primary"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-base-300 overflow-auto p-4">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h2 className="text-neutral-content text-2xl font-bold">{id ? "Edit Campaign" : "New Campaign"}</h2>
+        <div className="flex gap-2">
+          <button type="button" className="btn btn-ghost" onClick={onClose} disabled={isSending}>
+            <X className="w-4 h-4" /> Close
+          </button>
+          <button type="button" className="btn btn-outline gap-2" onClick={handleSaveDraft} disabled={isSaving || isSending}>
+            {isSaving ? <span className="loading loading-spinner"></span> : <Save className="w-4 h-4" />}
+            Save draft
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        {/* Editor */}
+        <div className="bg-base-100 p-6 rounded-lg shadow-lg space-y-4">
+          <div className="flex flex-wrap gap-2">
+            <select
+              className="select select-bordered select-sm flex-1"
+              value=""
+              onChange={(e) => applyTemplate(e.target.value)}
+            >
+              <option value="" disabled>Start from a template...</option>
+              {templates.map((template) => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn btn-sm btn-ghost gap-1"
+              onClick={() => setShowSaveTemplate(!showSaveTemplate)}
+            >
+              <BookmarkPlus className="w-4 h-4" /> Save as template
+            </button>
+            {templates.length > 0 && (
+              <div className="dropdown dropdown-end">
+                <button type="button" tabIndex={0} className="btn btn-sm btn-ghost">Manage templates</button>
+                <ul tabIndex={0} className="dropdown-content menu bg-base-100 rounded-box z-50 w-60 p-2 shadow">
+                  {templates.map((template) => (
+                    <li key={template.id}>
+                      <div className="flex justify-between">
+                        <span className="truncate">{template.name}</span>
+                        <button type="button" className="text-error" onClick={() => handleDeleteTemplate(template.id)}>
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          {showSaveTemplate && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                className="input input-bordered input-sm flex-1 focus:outline-none"
+                placeholder="Template name"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+              />
+              <button type="button" className="btn btn-sm btn-outline" onClick={handleSaveTemplate} disabled={!templateName.trim()}>
+                Save
+              </button>
+            </div>
+          )}
+
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text font-medium">Subject</span>
+            </label>
+            <input
+              type="text"
+              className={`input input-bordered w-full ${errors.subject ? "input-error" : ""}`}
+              placeholder="Enter email subject"
+              value={campaign.subject}
+              onChange={(e) => updateCampaign({ subject: e.target.value })}
+            />
+            {errors.subject && (
+              <label className="label">
+                <span className="label-text-alt text-error">{errors.subject}</span>
+              </label>
+            )}
+          </div>
+
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text font-medium">Preview text</span>
+              <span className="label-text-alt">Shown after the subject in most inboxes</span>
+            </label>
+            <input
+              type="text"
+              className={`input input-bordered w-full ${errors.previewText ? "input-error" : ""}`}
+              value={campaign.previewText}
+              onChange={(e) => updateCampaign({ previewText: e.target.value })}
+            />
+            {errors.previewText && (
+              <label className="label">
+                <span className="label-text-alt text-error">{errors.previewText}</span>
+              </label>
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-6">
+            <label className="label cursor-pointer gap-2">
+              <input
+                type="checkbox"
+                className="toggle toggle-primary toggle-sm"
+                checked={campaign.includeHeader}
+                onChange={(e) => updateCampaign({ includeHeader: e.target.checked })}
+              />
+              <span className="label-text">Header with logo</span>
+            </label>
+            <label className="label cursor-pointer gap-2">
+              <input
+                type="checkbox"
+                className="toggle toggle-primary toggle-sm"
+                checked={campaign.includeFooter}
+                onChange={(e) => updateCampaign({ includeFooter: e.target.checked })}
+              />
+              <span className="label-text">Footer with address</span>
+            </label>
+          </div>
+
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text font-medium">Content</span>
+            </label>
+            <div className="flex flex-wrap items-center gap-1 mb-2">
+              <Tags className="w-4 h-4 mr-1" />
+              {NEWSLETTER_MERGE_TAGS.map((tag) => (
+                <button key={tag} type="button" className="btn btn-xs btn-outline" onClick={() => insertMergeTag(tag)}>
+                  {`{{${tag}}}`}
+                </button>
+              ))}
+            </div>
+            <div className={errors.content ? "border border-error rounded" : ""}>
+              <ReactQuill
+                ref={quillRef}
+                theme="snow"
+                value={campaign.content}
+                onChange={(value) => updateCampaign({ content: value })}
+              />
+            </div>
+            {errors.content && (
+              <label className="label">
+                <span className="label-text-alt text-error">{errors.content}</span>
+              </label>
+            )}
+          </div>
+
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text font-medium">Plain-text version</span>
+              {plainTextEdited && (
+                <button
+                  type="button"
+                  className="btn btn-xs btn-ghost gap-1"
+                  onClick={() => setPlainTextEdited(false)}
+                >
+                  <RotateCcw className="w-3 h-3" /> Regenerate from content
+                </button>
+              )}
+            </label>
+            <textarea
+              className="textarea textarea-bordered w-full font-mono text-sm"
+              rows={8}
+              value={plainText}
+              onChange={(e) => {
+                setPlainText(e.target.value);
+                setPlainTextEdited(true);
+              }}
+            />
+          </div>
+
+          <div className="divider my-2"></div>
+
+          {/* Test send */}
+          <div>
+            <button
+              type="button"
+              className="btn btn-sm btn-ghost gap-1"
+              onClick={() => setShowTestPanel(!showTestPanel)}
+            >
+              <FlaskConical className="w-4 h-4" /> Send a test
+            </button>
+            {showTestPanel && (
+              <div className="bg-base-200 p-3 rounded-lg mt-2 space-y-2">
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    className="input input-bordered input-sm flex-1 focus:outline-none"
+                    placeholder="me@example.com, colleague@example.com"
+                    value={testEmails}
+                    onChange={(e) => setTestEmails(e.target.value)}
+                  />
+                  <button type="button" className="btn btn-sm btn-ghost" onClick={sendToMe}>
+                    Add me
+                  </button>
+                  <button type="button" className="btn btn-sm btn-outline" onClick={handleSendTest} disabled={isTesting}>
+                    {isTesting ? <span className="loading loading-spinner loading-xs"></span> : "Send test"}
+                  </button>
+                </div>
+                <p className="text-xs text-neutral-content/70">
+                  Sent through the Mail Config account. Merge tags are filled with the test recipient&apos;s address.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Audience */}
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text font-medium">Audience</span>
+              {recipientCount !== undefined && (
+                <span className="label-text-alt">{recipientCount} subscribers</span>
+              )}
+            </label>
+            <select
+              className="select select-bordered"
+              value={campaign.segmentId}
+              onChange={(e) => updateCampaign({ segmentId: e.target.value })}
+            >
+              <option value="">All subscribers</option>
+              {segments.map((segment) => (
+                <option key={segment.id} value={segment.id}>
+                  {segment.name} ({segment.subscriberCount ?? 0})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Delivery needs publish permission; other roles stop at drafts and test sends */}
+          {canPublish ? (
+            <div className="form-control">
+              <label className="label">
+                <span className="label-text font-medium">Delivery</span>
+              </label>
+              <select
+                className="select select-bordered"
+                value={sendMode}
+                onChange={(e) => {
+                  setSendMode(e.target.value);
+                  setErrors((prev) => ({ ...prev, scheduledAt: "" }));
+                }}
+              >
+                <option value="now">Send immediately</option>
+                <option value="schedule">Schedule for later</option>
+              </select>
+              {sendMode === "schedule" && (
+                <>
+                  <input
+                    type="datetime-local"
+                    className={`input input-bordered mt-2 ${errors.scheduledAt ? "input-error" : ""}`}
+                    value={scheduledAt}
+                    min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+                    onChange={(e) => setScheduledAt(e.target.value)}
+                  />
+                  {errors.scheduledAt && (
+                    <label className="label">
+                      <span className="label-text-alt text-error">{errors.scheduledAt}</span>
+                    </label>
+                  )}
+                </>
+              )}
+              <button
+                type="button"
+                className="btn btn-primary text-white gap-2 mt-4"
+                onClick={handleDeliver}
+                disabled={isSending || isSaving}
+              >
+                {isSending ? (
+                  <span className="loading loading-spinner"></span>
+                ) : sendMode === "schedule" ? (
+                  <CalendarClock className="w-4 h-4" />
+                ) : (
+                  <Send className="w-4 h-4" />
+                )}
+                {sendMode === "schedule" ? "Schedule campaign" : audience ? `Send to ${audience.name}` : "Send to all subscribers"}
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-neutral-content/70">
+              Your role can save drafts and send tests. Someone with publish permission has to send or schedule it.
+            </p>
+          )}
+        </div>
+
+        {/* Preview */}
+        <div className="flex flex-col items-center gap-4">
+          <DeviceSwitcher value={screenSize} onChange={setScreenSize} />
+          <DeviceFrame size={screenSize}>
+            {/* No allow-scripts: pasted embeds cannot run inside the CMS origin */}
+            <iframe
+              srcDoc={previewHtml}
+              sandbox="allow-same-origin"
+              title="Newsletter preview"
+              className="w-full h-full bg-white"
+            ></iframe>
+          </DeviceFrame>
+        </div>
+      </div>
+
+      {confirmSend && (
+        <div className="modal modal-open">
+          <div className="modal-box">
+            <h3 className="font-bold text-lg">Send this campaign now?</h3>
+            <p className="py-4">
+              &quot;{campaign.subject}&quot; goes out to {recipientCount ?? "all"} {audience ? `subscribers in "${audience.name}"` : "subscribers"} straight away.
+              This cannot be undone.
+            </p>
+            <div className="modal-action">
+              <button className="btn btn-ghost" onClick={() => setConfirmSend(false)} disabled={isSending}>
+                Cancel
+              </button>
+              <button className="btn btn-primary text-white" onClick={handleDeliver} disabled={isSending}>
+                {isSending ? <span className="loading loading-spinner"></span> : "Send now"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignComposer;
@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { Newspaper, Plus, PencilLine, Trash2, CalendarX, RefreshCw, BarChart2 } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import Pagination from "../ui/Pagination";
+import { CAMPAIGN_STATUSES, getCampaignStatusLabel } from "../../utils/campaignStatus";
+import { useAuth } from "../../context/AuthContext";
+
+const PAGE_SIZE = 10;
+// Campaigns that are going out are re-checked until they finish
+const SENDING_POLL_MS = 10 * 1000;
+
+const CampaignList = ({ onCompose, onEdit, refreshKey }) => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1, currentPage: 1 });
+  const { can } = useAuth();
+
+  const fetchCampaigns = useCallback(async ({ silent = false } = {}) => {
+    const params = new URLSearchParams();
+    if (status) params.append("status", status);
+    params.append("page", page.toString());
+    params.append("limit", PAGE_SIZE.toString());
+
+    if (!silent) setLoading(true);
+    try {
+      const response = await axiosInstance.get(`/newsletter/campaigns?${params}`);
+      setCampaigns(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error("Error fetching campaigns:", error);
+      if (!silent) toast.error("Failed to load campaigns");
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [status, page]);
+
+  // refreshKey changes when the parent saved a campaign and wants the list reloaded
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns, refreshKey]);
+
+  const hasSending = campaigns.some((campaign) => campaign.status === "sending");
+  useEffect(() => {
+    if (!hasSending) return;
+    const timer = setInterval(() => fetchCampaigns({ silent: true }), SENDING_POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasSending, fetchCampaigns]);
+
+  const handleCancelSchedule = async (campaign) => {
+    try {
+      await axiosInstance.post(`/newsletter/campaigns/${campaign.id}/cancel`);
+      toast.success(`"${campaign.subject}" is back to draft`);
+      fetchCampaigns();
+    } catch (error) {
+      console.error("Error cancelling campaign:", error);
+      toast.error(error.response?.data?.message || "Failed to cancel the scheduled send");
+    }
+  };
+
+  const handleDelete = async (campaign) => {
+    try {
+      await axiosInstance.delete(`/newsletter/campaigns/${campaign.id}`);
+      toast.success("Draft deleted");
+      fetchCampaigns();
+    } catch (error) {
+      console.error("Error deleting campaign:", error);
+      toast.error("Failed to delete the draft");
+    }
+  };
+
+  const describeTiming = (campaign) => {
+    if (campaign.status === "scheduled" && campaign.scheduledAt) {
+      return `Goes out ${format(new Date(campaign.scheduledAt), "dd MMM, yyyy HH:mm")}`;
+    }
+    if (campaign.status === "sent" && campaign.sentAt) {
+      return `Sent ${format(new Date(campaign.sentAt), "dd MMM, yyyy HH:mm")}`;
+    }
+    if (campaign.status === "sending") {
+      return `${campaign.sentCount ?? 0} of ${campaign.recipientCount ?? "?"} sent`;
+    }
+    return `Edited ${format(new Date(campaign.updatedAt || campaign.createdAt), "dd MMM, yyyy HH:mm")}`;
+  };
+
+  return (
+    <div className="min-h-[700px] bg-base-100 p-6 rounded-lg shadow-lg">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-start gap-3">
+          <Newspaper className="w-6 h-6 text-primary" />
+          <div className="space-y-[0.5px]">
+            <h1 className="text-2xl font-bold text-neutral-content">Campaigns</h1>
+            <p className="text-sm text-gray-500 mt-1">Drafts, scheduled and sent newsletters</p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <select
+            className="select select-bordered"
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+          >
+            <option value="">All campaigns</option>
+            {Object.entries(CAMPAIGN_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button onClick={() => fetchCampaigns()} className="btn btn-ghost btn-circle" aria-label="Refresh">
+            <RefreshCw className="h-5 w-5" />
+          </button>
+          {can("newsletters", "create") && (
+            <button onClick={onCompose} className="btn btn-primary">
+              <Plus className="h-5 w-5" /> New Campaign
+            </button>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center min-h-[400px]">
+          <span className="loading loading-spinner loading-lg text-primary"></span>
+        </div>
+      ) : campaigns.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12 bg-base-200 rounded-lg min-h-[400px]">
+          <Newspaper className="w-16 h-16 text-gray-400 mb-4" />
+          <h3 className="text-xl font-semibold text-gray-600">No campaigns yet</h3>
+          <p className="text-gray-500">Create a campaign to email your subscribers</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table w-full">
+            <thead>
+              <tr>
+                <th>Subject</th>
+                <th>Status</th>
+                <th>When</th>
+                <th>Recipients</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {campaigns.map((campaign) => (
+                <tr key={campaign.id} className="hover">
+                  <td className="font-medium">{campaign.subject || "Untitled campaign"}</td>
+                  <td>
+                    <span className={`badge badge-sm ${CAMPAIGN_STATUSES[campaign.status]?.badge || "badge-ghost"}`}>
+                      {getCampaignStatusLabel(campaign.status)}
+                    </span>
+                  </td>
+                  <td className="text-sm">{describeTiming(campaign)}</td>
+                  <td>{campaign.recipientCount ?? "—"}</td>
+                  <td>
+                    <div className="flex justify-end gap-1">
+                      {campaign.status === "draft" && can("newsletters", "edit") && (
+                        <button className="btn btn-ghost btn-sm" onClick={() => onEdit(campaign.id)} title="Edit">
+                          <PencilLine className="w-4 h-4" />
+                        </button>
+                      )}
+                      {campaign.status === "draft" && can("newsletters", "delete") && (
+                        <button className="btn btn-ghost btn-sm text-error" onClick={() => handleDelete(campaign)} title="Delete">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                      {(campaign.status === "sending" || campaign.status === "sent") && (
+                        <Link to={`/newsletters/campaigns/${campaign.id}`} className="btn btn-ghost btn-sm gap-1">
+                          <BarChart2 className="w-4 h-4" /> Report
+                        </Link>
+                      )}
+                      {campaign.status === "scheduled" && can("newsletters", "publish") && (
+                        <button className="btn btn-ghost btn-sm gap-1" onClick={() => handleCancelSchedule(campaign)}>
+                          <CalendarX className="w-4 h-4" /> Cancel
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {campaigns.length > 0 && (
+        <Pagination
+          currentPage={pagination.currentPage}
+          totalPages={pagination.pages}
+          onPageChange={setPage}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CampaignList;
@@ -0,0 +1,20 @@
+// Staff-added subscribers get the double opt-in email unless their consent was already collected elsewhere.
+// Only shown while double opt-in is turned on in Settings.
+const ConfirmationOption = ({ checked, onChange }) => (
+  <label className="label cursor-pointer justify-start gap-3 items-start mt-2">
+    <input
+      type="checkbox"
+      className="checkbox checkbox-primary checkbox-sm mt-0.5"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+    />
+    <span className="label-text">
+      Ask them to confirm by email
+      <span className="block text-xs text-gray-500">
+        Untick only if they already agreed to receive the newsletter. Your account is recorded as the consent source.
+      </span>
+    </span>
+  </label>
+);
+
+export default ConfirmationOption;
@@ -0,0 +1,118 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { ScrollText, Download } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { toCsv, downloadFile } from "../../utils/csv";
+
+const CONSENT_EVENTS = {
+  subscribed: { label: "Subscribed", badge: "badge-info" },
+  confirmation_sent: { label: "Confirmation sent", badge: "badge-ghost" },
+  confirmed: { label: "Confirmed", badge: "badge-success" },
+  added_manually: { label: "Added by staff", badge: "badge-info" },
+  imported: { label: "Imported", badge: "badge-info" },
+  unsubscribed: { label: "Unsubscribed", badge: "badge-warning" },
+};
+
+const getEventLabel = (action) => CONSENT_EVENTS[action]?.label || action;
+
+// Timestamped record of how and when a subscriber gave or withdrew consent
+const ConsentLogModal = ({ subscriber, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // An empty log is evidence in itself, so a failed load must not look like one
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  useEffect(() => {
+    const fetchConsentLog = async () => {
+      try {
+        const response = await axiosInstance.get(`/newsletter/subscribers/${subscriber.id}/consent`);
+        setEvents(response.data.data);
+      } catch (error) {
+        console.error("Error fetching consent log:", error);
+        toast.error("Failed to load the consent log");
+        setLoadFailed(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchConsentLog();
+  }, [subscriber.id]);
+
+  const handleExport = () => {
+    const csv = toCsv(events, [
+      { label: "Time", value: (event) => new Date(event.createdAt).toISOString() },
+      { label: "Event", value: (event) => getEventLabel(event.action) },
+      { label: "Source", value: (event) => event.source },
+      { label: "IP address", value: (event) => event.ip },
+      { label: "User agent", value: (event) => event.userAgent },
+      { label: "By", value: (event) => event.actor?.name },
+    ]);
+    downloadFile(csv, `consent-${subscriber.email}.csv`);
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-3xl">
+        <h2 className="text-lg font-bold mb-1 flex items-center gap-2">
+          <ScrollText className="w-5 h-5" /> Consent Log
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">{subscriber.email}</p>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <span className="loading loading-spinner loading-md text-primary"></span>
+          </div>
+        ) : loadFailed ? (
+          <p className="text-sm text-red-500 py-4">
+            The consent log could not be loaded. Close this window and try again.
+          </p>
+        ) : events.length === 0 ? (
+          <p className="text-sm text-neutral-content/70 py-4">
+            No consent was recorded. This subscriber was added before consent logging started.
+          </p>
+        ) : (
+          <div className="overflow-x-auto max-h-96">
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Event</th>
+                  <th>Source</th>
+                  <th>IP address</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event.id}>
+                    <td className="whitespace-nowrap">{format(new Date(event.createdAt), "dd MMM, yyyy HH:mm:ss")}</td>
+                    <td>
+                      <span className={`badge badge-sm ${CONSENT_EVENTS[event.action]?.badge || "badge-ghost"}`}>
+                        {getEventLabel(event.action)}
+                      </span>
+                    </td>
+                    <td className="max-w-xs truncate" title={event.source}>
+                      {event.source || "—"}
+                      {event.actor?.name && <span className="text-xs text-gray-500"> by {event.actor.name}</span>}
+                    </td>
+                    <td className="font-mono text-xs" title={event.userAgent}>{event.ip || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button className="btn btn-ghost gap-1" onClick={handleExport} disabled={events.length === 0}>
+            <Download className="w-4 h-4" /> Export CSV
+          </button>
+          <button className="btn btn-primary text-white" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConsentLogModal;
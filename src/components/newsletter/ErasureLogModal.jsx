@@ -0,0 +1,87 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { Eraser } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import Pagination from "../ui/Pagination";
+
+const PAGE_SIZE = 10;
+
+// Erasures carried out with "Forget subscriber". The address itself is gone; the reference is a hash of it.
+const ErasureLogModal = ({ onClose }) => {
+  const [erasures, setErasures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1, currentPage: 1 });
+
+  useEffect(() => {
+    const fetchErasures = async () => {
+      setLoading(true);
+      try {
+        const response = await axiosInstance.get(`/newsletter/erasures?page=${page}&limit=${PAGE_SIZE}`);
+        setErasures(response.data.data);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error("Error fetching erasure log:", error);
+        toast.error("Failed to load the erasure log");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchErasures();
+  }, [page]);
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-3xl">
+        <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+          <Eraser className="w-5 h-5" /> Erasure Log
+        </h2>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <span className="loading loading-spinner loading-md text-primary"></span>
+          </div>
+        ) : erasures.length === 0 ? (
+          <p className="text-sm text-neutral-content/70 py-4">No subscribers have been erased.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th>Erased</th>
+                  <th>Reference</th>
+                  <th>By</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {erasures.map((erasure) => (
+                  <tr key={erasure.id}>
+                    <td className="whitespace-nowrap">{format(new Date(erasure.erasedAt), "dd MMM, yyyy HH:mm")}</td>
+                    <td className="font-mono text-xs max-w-[160px] truncate" title={erasure.reference}>
+                      {erasure.reference}
+                    </td>
+                    <td>{erasure.erasedBy?.name || "—"}</td>
+                    <td className="max-w-xs truncate" title={erasure.reason}>{erasure.reason || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <Pagination currentPage={pagination.currentPage} totalPages={pagination.pages} onPageChange={setPage} />
+        )}
+
+        <div className="modal-action">
+          <button className="btn btn-primary text-white" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ErasureLogModal;
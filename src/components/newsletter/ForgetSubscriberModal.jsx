@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+import { Eraser } from "lucide-react";
+import axiosInstance from "../../config/axios";
+
+/**
+ * Erases a subscriber for a right-to-erasure request: the address, tags, consent log
+ * and campaign activity are removed. The API keeps an erasure record (who, when,
+ * reason and a hashed reference) so the request can be shown to have been handled.
+ */
+const ForgetSubscriberModal = ({ subscriber, onClose, onForgotten }) => {
+  const [confirmation, setConfirmation] = useState("");
+  const [reason, setReason] = useState("");
+  const [isErasing, setIsErasing] = useState(false);
+
+  const handleForget = async () => {
+    setIsErasing(true);
+    try {
+      await axiosInstance.post(`/newsletter/forget-subscriber/${subscriber.id}`, { reason: reason.trim() });
+      toast.success("Subscriber data erased");
+      onForgotten();
+      onClose();
+    } catch (error) {
+      console.error("Error erasing subscriber:", error);
+      toast.error(error.response?.data?.message || "Failed to erase subscriber data");
+    } finally {
+      setIsErasing(false);
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box">
+        <h2 className="text-lg font-bold mb-2 flex items-center gap-2">
+          <Eraser className="w-5 h-5" /> Forget Subscriber
+        </h2>
+        <p className="text-sm mb-4">
+          Everything stored about <strong>{subscriber.email}</strong> is erased, including their consent log and
+          campaign activity. Only a record that the erasure took place is kept. This cannot be undone.
+        </p>
+        <div className="form-control mb-3">
+          <label className="label">
+            <span className="label-text">Reason (optional)</span>
+          </label>
+          <input
+            type="text"
+            className="input input-bordered"
+            placeholder="e.g. Erasure request received by email"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </div>
+        <div className="form-control">
+          <label className="label">
+            <span className="label-text">Type the email address to confirm</span>
+          </label>
+          <input
+            type="text"
+            className="input input-bordered"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+          />
+        </div>
+        <div className="modal-action">
+          <button className="btn btn-ghost" onClick={onClose} disabled={isErasing}>Cancel</button>
+          <button
+            className="btn btn-error"
+            onClick={handleForget}
+            disabled={isErasing || confirmation.trim().toLowerCase() !== subscriber.email.toLowerCase()}
+          >
+            {isErasing ? <span className="loading loading-spinner"></span> : "Erase data"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgetSubscriberModal;
@@ -0,0 +1,195 @@
+import { useState } from "react";
+import * as Yup from "yup";
+import { toast } from "react-toastify";
+import { Upload, FileWarning } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { parseCsv } from "../../utils/csv";
+import TagInput from "../ui/TagInput";
+import ConfirmationOption from "./ConfirmationOption";
+
+const emailSchema = Yup.string().email().required();
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Reads a CSV with an "email" column (or emails in the first column) and an optional
+ * "tags" column separated by ";" or "|". Invalid rows and repeats in the file are
+ * reported before anything is sent; the API skips addresses that already exist.
+ */
+const readSubscribers = (text) => {
+  const rows = parseCsv(text);
+  const header = rows[0]?.map((cell) => cell.trim().toLowerCase()) || [];
+  const hasHeader = header.includes("email");
+  const emailIndex = hasHeader ? header.indexOf("email") : 0;
+  const tagsIndex = hasHeader ? header.indexOf("tags") : -1;
+
+  const valid = [];
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Set();
+
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const email = (cells[emailIndex] || "").trim().toLowerCase();
+    if (!emailSchema.isValidSync(email)) {
+      invalid.push({ line, value: cells[emailIndex] || "" });
+      return;
+    }
+    if (seen.has(email)) {
+      duplicates.push({ line, value: email });
+      return;
+    }
+    seen.add(email);
+    const tags = tagsIndex >= 0
+      ? (cells[tagsIndex] || "").split(/[;|]/).map((tag) => tag.trim()).filter(Boolean)
+      : [];
+    valid.push({ email, tags });
+  });
+
+  return { valid, invalid, duplicates };
+};
+
+const ImportSubscribersModal = ({ tagSuggestions, optInEnabled, onClose, onImported }) => {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [extraTags, setExtraTags] = useState([]);
+  const [sendConfirmation, setSendConfirmation] = useState(true);
+  const [progress, setProgress] = useState(0);
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    setFileName(file.name);
+    setResult(null);
+    setParsed(readSubscribers(await file.text()));
+  };
+
+  const handleImport = async () => {
+    const subscribers = parsed.valid.map((subscriber) => ({
+      ...subscriber,
+      tags: [...new Set([...subscriber.tags, ...extraTags])],
+    }));
+
+    setIsImporting(true);
+    setProgress(0);
+    const totals = { added: 0, skipped: 0 };
+    try {
+      for (let start = 0; start < subscribers.length; start += IMPORT_CHUNK_SIZE) {
+        const chunk = subscribers.slice(start, start + IMPORT_CHUNK_SIZE);
+        const response = await axiosInstance.post("/newsletter/import-subscribers", {
+          subscribers: chunk,
+          sendConfirmation: optInEnabled && sendConfirmation,
+          source: fileName,
+        });
+        totals.added += response.data.data.added;
+        totals.skipped += response.data.data.skipped;
+        setProgress(start + chunk.length);
+      }
+      toast.success(`Imported ${totals.added} subscribers`);
+    } catch (error) {
+      console.error("Error importing subscribers:", error);
+      toast.error(error.response?.data?.message || "Import stopped before finishing");
+    } finally {
+      setResult(totals);
+      setIsImporting(false);
+      onImported();
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-lg">
+        <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+          <Upload className="w-5 h-5" /> Import Subscribers
+        </h2>
+
+        {result ? (
+          <p className="mb-4">
+            {result.added} added, {result.skipped} already on the list and skipped
+            {progress < (parsed?.valid.length || 0) && `, ${parsed.valid.length - progress} not sent`}.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm mb-3">
+              Upload a CSV with an <code>email</code> column. An optional <code>tags</code> column can hold tags separated by
+              &quot;;&quot;.
+            </p>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="file-input file-input-bordered w-full mb-4"
+              onChange={handleFile}
+              disabled={isImporting}
+            />
+          </>
+        )}
+
+        {parsed && !result && (
+          <div className="space-y-3">
+            <div className="stats stats-horizontal bg-base-200 w-full">
+              <div className="stat py-2">
+                <div className="stat-title">Ready</div>
+                <div className="stat-value text-2xl text-success">{parsed.valid.length}</div>
+              </div>
+              <div className="stat py-2">
+                <div className="stat-title">Invalid</div>
+                <div className="stat-value text-2xl text-error">{parsed.invalid.length}</div>
+              </div>
+              <div className="stat py-2">
+                <div className="stat-title">Repeated</div>
+                <div className="stat-value text-2xl text-warning">{parsed.duplicates.length}</div>
+              </div>
+            </div>
+
+            {(parsed.invalid.length > 0 || parsed.duplicates.length > 0) && (
+              <ul className="max-h-40 overflow-y-auto text-xs bg-base-200 rounded-lg p-2 space-y-1">
+                {parsed.invalid.map(({ line, value }) => (
+                  <li key={`invalid-${line}`} className="flex items-center gap-1 text-error">
+                    <FileWarning className="w-3 h-3" /> Line {line}: &quot;{value}&quot; is not a valid email
+                  </li>
+                ))}
+                {parsed.duplicates.map(({ line, value }) => (
+                  <li key={`duplicate-${line}`} className="text-warning">
+                    Line {line}: {value} appears earlier in the file
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div>
+              <span className="label-text">Tag everyone in {fileName}</span>
+              <TagInput value={extraTags} onChange={setExtraTags} suggestions={tagSuggestions} placeholder="Add tag..." />
+            </div>
+
+            {optInEnabled && <ConfirmationOption checked={sendConfirmation} onChange={setSendConfirmation} />}
+
+            {isImporting && (
+              <progress className="progress progress-primary w-full" value={progress} max={parsed.valid.length}></progress>
+            )}
+          </div>
+        )}
+
+        <div className="modal-action">
+          {result ? (
+            <button className="btn btn-primary text-white" onClick={onClose}>Done</button>
+          ) : (
+            <>
+              <button className="btn btn-ghost" onClick={onClose} disabled={isImporting}>Cancel</button>
+              <button
+                className="btn btn-primary text-white"
+                onClick={handleImport}
+                disabled={isImporting || !parsed || parsed.valid.length === 0}
+              >
+                {isImporting ? <span className="loading loading-spinner"></span> : `Import ${parsed?.valid.length || ""}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportSubscribersModal;
@@ -0,0 +1,113 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+import { Trash2, Users } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import TagInput from "../ui/TagInput";
+
+/**
+ * Segments are saved tag rules. "any" matches subscribers with at least one of the
+ * tags, "all" only those carrying every tag. Campaigns can target one segment.
+ */
+const SegmentsModal = ({ segments, tagSuggestions, onClose, onChanged }) => {
+  const [name, setName] = useState("");
+  const [tags, setTags] = useState([]);
+  const [match, setMatch] = useState("any");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || tags.length === 0) {
+      toast.error("A segment needs a name and at least one tag");
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await axiosInstance.post("/newsletter/segments", { name: name.trim(), tags, match });
+      toast.success(`Segment "${name.trim()}" created`);
+      setName("");
+      setTags([]);
+      setMatch("any");
+      onChanged();
+    } catch (error) {
+      console.error("Error creating segment:", error);
+      toast.error(error.response?.data?.message || "Failed to create segment");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (segment) => {
+    try {
+      await axiosInstance.delete(`/newsletter/segments/${segment.id}`);
+      toast.success(`Segment "${segment.name}" deleted`);
+      onChanged();
+    } catch (error) {
+      console.error("Error deleting segment:", error);
+      toast.error(error.response?.data?.message || "Failed to delete segment");
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-xl">
+        <h2 className="text-lg font-bold mb-4">Segments</h2>
+
+        {segments.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">No segments yet. Create one from subscriber tags below.</p>
+        ) : (
+          <ul className="space-y-2 mb-6">
+            {segments.map((segment) => (
+              <li key={segment.id} className="flex items-center justify-between bg-base-200 rounded-lg px-3 py-2">
+                <div className="min-w-0">
+                  <p className="font-medium">{segment.name}</p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {segment.match === "all" ? "All of" : "Any of"}: {segment.tags.join(", ")}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className="badge badge-ghost gap-1">
+                    <Users className="w-3 h-3" /> {segment.subscriberCount ?? 0}
+                  </span>
+                  <button
+                    className="btn btn-ghost btn-sm text-error"
+                    onClick={() => handleDelete(segment)}
+                    title="Delete segment"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3 border-t border-base-300 pt-4">
+          <h3 className="font-semibold">New segment</h3>
+          <input
+            type="text"
+            className="input input-bordered w-full"
+            placeholder="Segment name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <TagInput value={tags} onChange={setTags} suggestions={tagSuggestions} placeholder="Tags..." />
+          <div className="flex items-center justify-between">
+            <select className="select select-bordered select-sm" value={match} onChange={(e) => setMatch(e.target.value)}>
+              <option value="any">Has any of these tags</option>
+              <option value="all">Has all of these tags</option>
+            </select>
+            <button type="submit" className="btn btn-primary btn-sm text-white" disabled={isSaving}>
+              {isSaving ? <span className="loading loading-spinner loading-xs"></span> : "Create"}
+            </button>
+          </div>
+        </form>
+
+        <div className="modal-action">
+          <button className="btn btn-ghost" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SegmentsModal;
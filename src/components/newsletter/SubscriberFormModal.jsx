@@ -0,0 +1,89 @@
+import { useState } from "react";
+import * as Yup from "yup";
+import { toast } from "react-toastify";
+import axiosInstance from "../../config/axios";
+import TagInput from "../ui/TagInput";
+import ConfirmationOption from "./ConfirmationOption";
+
+const emailSchema = Yup.string().trim().email("Enter a valid email").required("Email is required");
+
+// Adds one subscriber by hand, or edits the tags of an existing one when `subscriber` is set
+const SubscriberFormModal = ({ subscriber, tagSuggestions, optInEnabled, onClose, onSaved }) => {
+  const isEditing = Boolean(subscriber);
+  const [email, setEmail] = useState(subscriber?.email || "");
+  const [tags, setTags] = useState(subscriber?.tags || []);
+  const [sendConfirmation, setSendConfirmation] = useState(true);
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      if (isEditing) {
+        await axiosInstance.put(`/newsletter/update-subscriber-tags/${subscriber.id}`, { tags });
+        toast.success("Tags updated");
+      } else {
+        const validEmail = await emailSchema.validate(email);
+        const confirming = optInEnabled && sendConfirmation;
+        await axiosInstance.post("/newsletter/add-subscriber", {
+          email: validEmail.toLowerCase(),
+          tags,
+          sendConfirmation: confirming,
+        });
+        toast.success(confirming ? `Confirmation email sent to ${validEmail}` : `${validEmail} subscribed`);
+      }
+      onSaved();
+      onClose();
+    } catch (error) {
+      if (error instanceof Yup.ValidationError) {
+        setError(error.message);
+      } else {
+        console.error("Error saving subscriber:", error);
+        toast.error(error.response?.data?.message || "Failed to save subscriber");
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form className="modal-box" onSubmit={handleSubmit}>
+        <h2 className="text-lg font-bold mb-4">{isEditing ? "Edit Tags" : "Add Subscriber"}</h2>
+        <div className="form-control mb-4">
+          <label className="label">
+            <span className="label-text">Email</span>
+          </label>
+          <input
+            type="email"
+            className={`input input-bordered ${error ? "input-error" : ""}`}
+            value={email}
+            onChange={(e) => {
+              setEmail(e.target.value);
+              setError("");
+            }}
+            disabled={isEditing}
+            autoFocus={!isEditing}
+          />
+          {error && <span className="text-error text-sm mt-1">{error}</span>}
+        </div>
+        <div className="form-control">
+          <label className="label">
+            <span className="label-text">Tags</span>
+          </label>
+          <TagInput value={tags} onChange={setTags} suggestions={tagSuggestions} placeholder="Add tag..." />
+        </div>
+        {!isEditing && optInEnabled && <ConfirmationOption checked={sendConfirmation} onChange={setSendConfirmation} />}
+        <div className="modal-action">
+          <button type="button" className="btn btn-ghost" onClick={onClose} disabled={isSaving}>Cancel</button>
+          <button type="submit" className="btn btn-primary text-white" disabled={isSaving}>
+            {isSaving ? <span className="loading loading-spinner"></span> : isEditing ? "Save" : "Add"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SubscriberFormModal;
@@ -1,19 +1,40 @@
-import { Mail, RefreshCw, Send } from "lucide-react";
+import { Mail, RefreshCw, Send, Search, UserPlus, Upload, Download, Tags, PencilLine, UserMinus, Trash2, ScrollText, MailCheck, Eraser } from "lucide-react";
 import { format } from "date-fns";
+import { useAuth } from "../../context/AuthContext";
 
 const SubscriberTable = ({
   subscribers,
+  loading,
   currentPage,
   limit,
   totalSubscribers,
+  filters,
+  searchInput,
+  onSearchChange,
+  onFilterChange,
+  tags,
+  segments,
   onRefresh,
   onSendMail,
+  onAdd,
+  onImport,
+  onExport,
+  onManageSegments,
+  onEditTags,
+  onUnsubscribe,
+  onDelete,
+  onShowConsent,
+  onResendConfirmation,
+  onForget,
+  onShowErasures,
   onPageChange,
   limitOptions,
   selectedLimit,
   onLimitChange,
   pagination,
 }) => {
+  const { can } = useAuth();
+
   const getPageNumbers = () => {
     let pages = [];
     const maxVisiblePages = 5;
@@ -65,26 +86,106 @@ const SubscriberTable = ({
             </p>
           </div>
         </div>
-        <div className="flex gap-2">
-          <button
-            onClick={onSendMail}
-            className="btn btn-primary"
-            aria-label="Send Bulk Mail"
-          >
-            <Send className="h-5 w-5 mr-2 " /> Send Bulk Mail
+        <div className="flex flex-wrap justify-end gap-2">
+          <button onClick={onRefresh} className="btn btn-ghost btn-circle" aria-label="Refresh">
+            <RefreshCw className="h-5 w-5" />
+          </button>
+          {can("newsletters", "create") && (
+            <>
+              <button onClick={onAdd} className="btn btn-outline">
+                <UserPlus className="h-5 w-5" /> Add
+              </button>
+              <button onClick={onImport} className="btn btn-outline">
+                <Upload className="h-5 w-5" /> Import
+              </button>
+            </>
+          )}
+          <button onClick={onExport} className="btn btn-outline">
+            <Download className="h-5 w-5" /> Export
           </button>
+          {can("newsletters", "create") && (
+            <button
+              onClick={onSendMail}
+              className="btn btn-primary"
+              aria-label="New Campaign"
+            >
+              <Send className="h-5 w-5 mr-2 " /> New Campaign
+            </button>
+          )}
         </div>
       </div>
 
+      {/* Filter Section */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <label className="input input-bordered flex items-center gap-2 flex-1 min-w-[220px]">
+          <Search className="w-4 h-4 opacity-60" />
+          <input
+            type="search"
+            className="grow"
+            placeholder="Search by email..."
+            value={searchInput}
+            onChange={(e) => onSearchChange(e.target.value)}
+          />
+        </label>
+        <select
+          className="select select-bordered"
+          value={filters.status}
+          onChange={(e) => onFilterChange({ status: e.target.value })}
+        >
+          <option value="">All statuses</option>
+          <option value="subscribed">Subscribed</option>
+          <option value="pending">Awaiting confirmation</option>
+          <option value="unsubscribed">Unsubscribed</option>
+          <option value="bounced">Bounced</option>
+        </select>
+        <select
+          className="select select-bordered"
+          value={filters.tag}
+          onChange={(e) => onFilterChange({ tag: e.target.value })}
+        >
+          <option value="">All tags</option>
+          {tags.map((tag) => (
+            <option key={tag} value={tag}>{tag}</option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered"
+          value={filters.segment}
+          onChange={(e) => onFilterChange({ segment: e.target.value })}
+        >
+          <option value="">All segments</option>
+          {segments.map((segment) => (
+            <option key={segment.id} value={segment.id}>{segment.name}</option>
+          ))}
+        </select>
+        {can("newsletters", "edit") && (
+          <button onClick={onManageSegments} className="btn btn-ghost gap-1">
+            <Tags className="h-5 w-5" /> Segments
+          </button>
+        )}
+        {can("newsletters", "delete") && (
+          <button onClick={onShowErasures} className="btn btn-ghost gap-1">
+            <Eraser className="h-5 w-5" /> Erasures
+          </button>
+        )}
+      </div>
+
       {/* Table Section */}
       <div className="overflow-x-auto min-h-[600px]">
-        {subscribers.length > 0 ? (
+        {loading ? (
+          <div className="flex justify-center items-center min-h-[600px]">
+            <span className="loading loading-spinner loading-lg text-primary"></span>
+          </div>
+        ) : subscribers.length > 0 ? (
           <table className="table w-full table-zebra">
             <thead>
               <tr>
                 <th>S.No</th>
                 <th>Email</th>
+                <th>Tags</th>
                 <th>Subscribed Date</th>
+                <th>Status</th>
+                <th></th>
               </tr>
             </thead>
             <tbody>
@@ -94,7 +195,76 @@ const SubscriberTable = ({
                   <tr key={subscriber.id} className="hover">
                     <td className="font-medium">{serialNumber}</td>
                     <td>{subscriber.email}</td>
+                    <td>
+                      <div className="flex flex-wrap gap-1">
+                        {(subscriber.tags || []).map((tag) => (
+                          <span key={tag} className="badge badge-ghost badge-sm">{tag}</span>
+                        ))}
+                      </div>
+                    </td>
                     <td>{format(new Date(subscriber.createdAt), "PPP")}</td>
+                    <td>
+                      {subscriber.unsubscribedAt ? (
+                        <span
+                          className="badge badge-ghost badge-sm tooltip"
+                          data-tip={`Unsubscribed on ${format(new Date(subscriber.unsubscribedAt), "PP")}`}
+                        >
+                          Unsubscribed
+                        </span>
+                      ) : subscriber.confirmationSentAt && !subscriber.confirmedAt ? (
+                        <span
+                          className="badge badge-warning badge-sm tooltip"
+                          data-tip={`Confirmation email sent ${format(new Date(subscriber.confirmationSentAt), "PP")}`}
+                        >
+                          Pending
+                        </span>
+                      ) : subscriber.bouncedAt ? (
+                        <span
+                          className="badge badge-error badge-sm text-white tooltip"
+                          data-tip={`${subscriber.bounceType === "soft" ? "Soft" : "Hard"} bounce on ${format(new Date(subscriber.bouncedAt), "PP")}${subscriber.bounceReason ? `: ${subscriber.bounceReason}` : ""}`}
+                        >
+                          Bounced
+                        </span>
+                      ) : (
+                        <span className="badge badge-success badge-sm text-white">Active</span>
+                      )}
+                    </td>
+                    <td>
+                      <div className="flex justify-end gap-1">
+                        {can("newsletters", "edit") && (
+                          <button className="btn btn-ghost btn-sm" onClick={() => onEditTags(subscriber)} title="Edit tags">
+                            <PencilLine className="w-4 h-4" />
+                          </button>
+                        )}
+                        <button className="btn btn-ghost btn-sm" onClick={() => onShowConsent(subscriber)} title="Consent log">
+                          <ScrollText className="w-4 h-4" />
+                        </button>
+                        {can("newsletters", "edit") && subscriber.confirmationSentAt && !subscriber.confirmedAt && !subscriber.unsubscribedAt && (
+                          <button
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => onResendConfirmation(subscriber)}
+                            title="Resend confirmation email"
+                          >
+                            <MailCheck className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can("newsletters", "edit") && !subscriber.unsubscribedAt && (
+                          <button className="btn btn-ghost btn-sm" onClick={() => onUnsubscribe(subscriber)} title="Unsubscribe">
+                            <UserMinus className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can("newsletters", "delete") && (
+                          <>
+                            <button className="btn btn-ghost btn-sm text-error" onClick={() => onForget(subscriber)} title="Forget (erase all data)">
+                              <Eraser className="w-4 h-4" />
+                            </button>
+                            <button className="btn btn-ghost btn-sm text-error" onClick={() => onDelete(subscriber)} title="Delete">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
                   </tr>
                 );
               })}
@@ -0,0 +1,47 @@
+import { BsLaptop } from "react-icons/bs";
+import { CiMobile3 } from "react-icons/ci";
+import { MdOutlineTabletMac } from "react-icons/md";
+
+// Classes for different screen sizes
+const SCREEN_CLASSES = {
+  laptop: 'w-[100%] h-[768px]', // Laptop dimensions
+  tablet: 'w-[768px] h-[1024px]', // Tablet dimensions
+  mobile: 'w-[375px] h-[667px]', // Mobile dimensions
+};
+
+const SCREEN_ICONS = {
+  laptop: BsLaptop,
+  tablet: MdOutlineTabletMac,
+  mobile: CiMobile3,
+};
+
+// Buttons for switching screen sizes
+export function DeviceSwitcher({ value, onChange }) {
+  return (
+    <div className="flex gap-4">
+      {Object.entries(SCREEN_ICONS).map(([size, Icon]) => (
+        <button
+          key={size}
+          type="button"
+          title={size}
+          onClick={() => onChange(size)}
+          className={`px-4 py-2 rounded-md ${
+            value === size ? 'bg-primary text-white' : 'bg-base-200 text-neutral-content'
+          }`}
+        >
+          <Icon />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function DeviceFrame({ size, children }) {
+  return (
+    <div className={`rounded-xl overflow-y-auto scrollbar-hidden shadow-lg ${SCREEN_CLASSES[size]}`}>
+      {children}
+    </div>
+  );
+}
+
+export default DeviceFrame;
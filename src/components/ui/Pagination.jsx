@@ -0,0 +1,59 @@
+const Pagination = ({ currentPage, totalPages, onPageChange }) => {
+  const getPageNumbers = () => {
+    let pages = [];
+    const maxVisiblePages = 5;
+
+    if (totalPages <= maxVisiblePages) {
+      pages = Array.from({ length: totalPages }, (_, i) => i + 1);
+    } else {
+      if (currentPage <= 3) {
+        pages = [1, 2, 3, 4, 5, '...', totalPages];
+      } else if (currentPage >= totalPages - 2) {
+        pages = [1, '...', totalPages - 4, totalPages - 3, totalPages - 2, totalPages - 1, totalPages];
+      } else {
+        pages = [1, '...', currentPage - 1, currentPage, currentPage + 1, '...', totalPages];
+      }
+    }
+    return pages;
+  };
+
+  return (
+    <div className="min-h-[100px] flex items-center justify-center mt-6 bg-base-200 rounded-lg py-4">
+      <div className="join">
+        <button
+          className="join-item btn btn-sm"
+          disabled={currentPage === 1}
+          onClick={() => onPageChange(currentPage - 1)}
+        >
+          «
+        </button>
+
+        {getPageNumbers().map((page, index) => (
+          <button
+            key={index}
+            className={`join-item btn btn-sm ${currentPage === page
+              ? 'btn-primary'
+              : page === '...'
+                ? 'btn-disabled'
+                : ''
+              }`}
+            onClick={() => typeof page === 'number' && onPageChange(page)}
+            disabled={page === '...'}
+          >
+            {page}
+          </button>
+        ))}
+
+        <button
+          className="join-item btn btn-sm"
+          disabled={currentPage === totalPages}
+          onClick={() => onPageChange(currentPage + 1)}
+        >
+          »
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { X } from "lucide-react";
+
+// Free-form chip input with autocomplete. Enter or comma adds the typed value.
+function TagInput({ value = [], onChange, suggestions = [], placeholder = "Add...", hasError = false }) {
+  const [inputValue, setInputValue] = useState("");
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  const matches = suggestions
+    .filter(
+      (suggestion) =>
+        !value.some((item) => item.toLowerCase() === suggestion.toLowerCase()) &&
+        suggestion.toLowerCase().includes(inputValue.trim().toLowerCase())
+    )
+    .slice(0, 8);
+
+  const addItem = (item) => {
+    const trimmed = item.trim();
+    if (!trimmed || value.some((existing) => existing.toLowerCase() === trimmed.toLowerCase())) {
+      setInputValue("");
+      return;
+    }
+    // Reuse the casing of a known value so "react" and "React" don't both exist
+    const known = suggestions.find((suggestion) => suggestion.toLowerCase() === trimmed.toLowerCase());
+    onChange([...value, known || trimmed]);
+    setInputValue("");
+  };
+
+  const removeItem = (item) => {
+    onChange(value.filter((existing) => existing !== item));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addItem(inputValue);
+    } else if (e.key === "Backspace" && !inputValue && value.length > 0) {
+      removeItem(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        className={`input input-bordered flex flex-wrap items-center gap-2 h-auto min-h-12 py-2 ${hasError ? "input-error" : "border-accent"}`}
+      >
+        {value.map((item) => (
+          <span key={item} className="badge badge-primary gap-1 text-white">
+            {item}
+            <button type="button" onClick={() => removeItem(item)} aria-label={`Remove ${item}`}>
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          className="flex-1 min-w-[8rem] bg-transparent focus:outline-none"
+          placeholder={value.length === 0 ? placeholder : ""}
+          value={inputValue}
+          onChange={(e) => setInputValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          // Delay so a click on a suggestion lands before the list closes
+          onBlur={() => setTimeout(() => setShowSuggestions(false), 150)}
+        />
+      </div>
+      {showSuggestions && matches.length > 0 && (
+        <ul className="menu bg-base-200 rounded-box shadow absolute z-20 w-full mt-1 max-h-48 overflow-y-auto flex-nowrap">
+          {matches.map((suggestion) => (
+            <li key={suggestion}>
+              <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => addItem(suggestion)}>
+                {suggestion}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
@@ -1,7 +1,7 @@
 // DeleteConfirmModal.jsx
 import React from "react";
 
-function DeleteConfirmModal({ isOpen, onClose, onConfirm, title, message, isLoading }) {
+function DeleteConfirmModal({ isOpen, onClose, onConfirm, title, message, isLoading, confirmLabel = "Delete" }) {
   if (!isOpen) return null;
 
   return (
@@ -26,7 +26,7 @@ function DeleteConfirmModal({ isOpen, onClose, onConfirm, title, message, isLoad
               {isLoading ? (
                 <span className="loading loading-spinner"></span>
               ) : (
-                "Delete"
+                confirmLabel
               )}
             </button>
           </div>
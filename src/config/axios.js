@@ -7,14 +7,73 @@ const axiosInstance = axios.create({
   baseURL: baseURL + subURL,
 });
 
+// The session lives in localStorage with "remember me", otherwise in sessionStorage
+const getSessionStorage = () => (localStorage.getItem('user') ? localStorage : sessionStorage);
+
+export const getStoredSession = () => JSON.parse(getSessionStorage().getItem('user'));
+
+const updateStoredSession = (changes) => {
+  const storage = getSessionStorage();
+  const session = { ...JSON.parse(storage.getItem('user')), ...changes };
+  storage.setItem('user', JSON.stringify(session));
+  return session;
+};
+
+// AuthContext listens for { type: 'refreshed', session } and { type: 'expired' }
+const sessionListeners = new Set();
+
+export const subscribeToSession = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const emitSession = (event) => sessionListeners.forEach((listener) => listener(event));
+
+// Requests that hit a 401 wait here while the token is refreshed or the user signs in again.
+// Each keeps its own 401 so it can fail with it if the session ends.
+let isRefreshing = false;
+let isExpired = false;
+let pendingRequests = [];
+
+const settlePendingRequests = (token) => {
+  pendingRequests.forEach(({ resolve, reject, error }) => (token ? resolve(token) : reject(error)));
+  pendingRequests = [];
+};
+
+const waitForToken = (error) => new Promise((resolve, reject) => {
+  pendingRequests.push({ resolve, reject, error });
+});
+
+const retryWithToken = (config, token) => {
+  config.headers['Authorization'] = `Bearer ${token}`;
+  return axiosInstance(config);
+};
+
+/**
+ * Called by the re-login modal once the user has signed in again. Requests that
+ * failed while the session was expired are replayed, so forms that were being
+ * saved finish as if nothing happened.
+ */
+export const resumeSession = (changes) => {
+  const session = updateStoredSession(changes);
+  isExpired = false;
+  settlePendingRequests(session.token);
+  return session;
+};
+
+// Called when the user gives up on signing in again; waiting requests fail with their original 401
+export const endSession = () => {
+  isExpired = false;
+  settlePendingRequests(null);
+};
+
+// Login and refresh calls answer 401 for bad credentials, which must reach the caller as-is
+const isAuthRequest = (config) => /\/?auth\//.test(config.url || '');
+
 // Request Interceptor
 axiosInstance.interceptors.request.use(
   (config) => {
-    let userData = JSON.parse(localStorage.getItem('user'));
-    
-    if (!userData) {
-      userData = JSON.parse(sessionStorage.getItem('user'));
-    }
+    const userData = getStoredSession();
 
     if (userData && userData.token) {
       config.headers['Authorization'] = `Bearer ${userData.token}`;
@@ -31,9 +90,51 @@ axiosInstance.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
     if (error.response) {
       const { status } = error.response;
+      const originalRequest = error.config;
+
+      if (status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest(originalRequest)) {
+        const session = getStoredSession();
+        if (!session?.token) {
+          return Promise.reject(error);
+        }
+        originalRequest._retry = true;
+
+        if (isRefreshing || isExpired) {
+          return waitForToken(error).then((token) => retryWithToken(originalRequest, token));
+        }
+
+        // Sent before a refresh that has already finished; the rotated refresh token must not be spent again
+        if (originalRequest.headers['Authorization'] !== `Bearer ${session.token}`) {
+          return retryWithToken(originalRequest, session.token);
+        }
+
+        isRefreshing = true;
+        try {
+          if (!session.refreshToken) {
+            throw error;
+          }
+          // Plain axios so a failing refresh does not loop back through this interceptor
+          const { data } = await axios.post(`${baseURL + subURL}/auth/refresh-token`, {
+            refreshToken: session.refreshToken,
+          });
+          // The API rotates refresh tokens; the old one is no longer valid after this call
+          const refreshed = updateStoredSession({ token: data.token, refreshToken: data.refreshToken });
+          emitSession({ type: 'refreshed', session: refreshed });
+          settlePendingRequests(refreshed.token);
+          return retryWithToken(originalRequest, refreshed.token);
+        } catch (refreshError) {
+          console.error('Session refresh failed:', refreshError);
+          isExpired = true;
+          emitSession({ type: 'expired' });
+          return waitForToken(error).then((token) => retryWithToken(originalRequest, token));
+        } finally {
+          isRefreshing = false;
+        }
+      }
+
       switch (status) {
         // case 500:
         //   window.location.href = '/error/500';
@@ -49,4 +150,4 @@ axiosInstance.interceptors.response.use(
   }
 );
 
-export default axiosInstance;
\ No newline at end of file
+export default axiosInstance;
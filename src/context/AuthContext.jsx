@@ -1,4 +1,7 @@
-import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import axiosInstance, { subscribeToSession, endSession } from '../config/axios';
+import { SUPERADMIN_ROLE, hasPermission } from '../utils/permissions';
+import SessionExpiredModal from '../components/auth/SessionExpiredModal';
 
 const AuthContext = createContext();
 
@@ -9,9 +12,47 @@ export const AuthProvider = ({ children }) => {
     })();
 
     const [authState, setAuthState] = useState(initialAuthState);
+    // Grant map of the signed-in user's role; null until it has been loaded
+    const [permissions, setPermissions] = useState(null);
+    // Set when the refresh token is rejected; pages stay mounted under the re-login modal
+    const [sessionExpired, setSessionExpired] = useState(false);
     const authRef = useRef(authState);
-    const login = (token, role, rememberMe) => {
-        const userData = { token, role };
+
+    useEffect(() => subscribeToSession((event) => {
+        if (event.type === 'refreshed') {
+            authRef.current = event.session;
+            setAuthState(event.session);
+        } else if (event.type === 'expired') {
+            setSessionExpired(true);
+        }
+    }), []);
+
+    // Permissions are fetched fresh on every sign-in and page load so role edits apply without logging out.
+    // A refreshed token alone does not refetch, or routes would unmount while permissions reload.
+    const isSignedIn = Boolean(authState.token);
+    useEffect(() => {
+        if (!isSignedIn || authState.role === SUPERADMIN_ROLE) {
+            setPermissions({});
+            return;
+        }
+
+        setPermissions(null);
+        const fetchPermissions = async () => {
+            try {
+                const response = await axiosInstance.get('/roles/my-permissions');
+                setPermissions(response.data.data || {});
+            } catch (error) {
+                console.error('Error fetching permissions:', error);
+                setPermissions({});
+            }
+        };
+
+        fetchPermissions();
+    }, [isSignedIn, authState.role]);
+
+    // refreshToken and email come from the login response; email prefills the re-login modal
+    const login = (token, role, rememberMe, { refreshToken = null, email = null } = {}) => {
+        const userData = { token, role, refreshToken, email };
         authRef.current = userData;
 
         if (rememberMe) {
@@ -24,14 +65,34 @@ export const AuthProvider = ({ children }) => {
     };
 
     const logout = () => {
+        if (sessionExpired) {
+            setSessionExpired(false);
+            endSession();
+        }
         localStorage.removeItem('user');
         sessionStorage.removeItem('user');
         setAuthState({ token: null, role: null });
     };
 
+    const can = useCallback(
+        (module, action = 'view') => authState.role === SUPERADMIN_ROLE || hasPermission(permissions, module, action),
+        [authState.role, permissions]
+    );
+
     return (
-        <AuthContext.Provider value={{ authState, login, logout }}>
+        <AuthContext.Provider value={{ authState, login, logout, permissions, can }}>
             {children}
+            {sessionExpired && authState.token && (
+                <SessionExpiredModal
+                    email={authState.email}
+                    onResumed={(session) => {
+                        authRef.current = session;
+                        setAuthState(session);
+                        setSessionExpired(false);
+                    }}
+                    onSignOut={logout}
+                />
+            )}
         </AuthContext.Provider>
     );
 };
@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { deleteDraft, loadDraft, saveDraft } from "../utils/draftStore";
+
+const serialize = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Autosaves in-progress edits to IndexedDB under `key` (e.g. "blog:42").
+ * `baseline` is the last saved version of the entity; values equal to it are not stored.
+ * Pass a null key to pause autosave, e.g. while a drawer is closed.
+ */
+const useAutosave = (key, values, baseline, { onRestore, delay = 1000 } = {}) => {
+  const [storedDraft, setStoredDraft] = useState(null);
+  const [loadedKey, setLoadedKey] = useState(null);
+  const [savedSnapshot, setSavedSnapshot] = useState(null);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  const serializedValues = serialize(values);
+  const serializedBaseline = serialize(baseline);
+  const isDirty = serializedValues !== serializedBaseline && serializedValues !== savedSnapshot;
+
+  // Only offer drafts that actually differ from what is saved and what is on screen
+  const serializedDraft = storedDraft ? serialize(storedDraft.data) : null;
+  const pendingDraft =
+    storedDraft && serializedDraft !== serializedBaseline && serializedDraft !== serializedValues
+      ? storedDraft
+      : null;
+  const canSave = Boolean(key) && loadedKey === key && !pendingDraft && isDirty;
+
+  // Mirrors the last committed render, read when the key changes or the editor unmounts
+  const latestRef = useRef({ key: null, serializedValues, canSave: false });
+  useEffect(() => {
+    latestRef.current = { key, serializedValues, canSave };
+  });
+
+  useEffect(() => {
+    if (!key) return undefined;
+    let cancelled = false;
+
+    setStoredDraft(null);
+    setSavedSnapshot(null);
+    setLastSavedAt(null);
+    loadDraft(key)
+      .then((draft) => {
+        if (!cancelled) setStoredDraft(draft || null);
+      })
+      .catch((error) => console.error("Error loading draft:", error))
+      .finally(() => {
+        if (!cancelled) setLoadedKey(key);
+      });
+
+    return () => {
+      cancelled = true;
+      // Flush edits still waiting on the debounce, e.g. when a drawer is closed
+      const latest = latestRef.current;
+      if (latest.canSave && latest.key === key) {
+        saveDraft(key, JSON.parse(latest.serializedValues)).catch((error) =>
+          console.error("Error saving draft:", error)
+        );
+      }
+    };
+  }, [key]);
+
+  useEffect(() => {
+    if (!canSave) return undefined;
+    const timer = setTimeout(() => {
+      saveDraft(key, JSON.parse(serializedValues))
+        .then(() => setLastSavedAt(new Date()))
+        .catch((error) => console.error("Error saving draft:", error));
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [key, serializedValues, canSave, delay]);
+
+  const restoreDraft = () => {
+    if (!storedDraft) return;
+    onRestore?.(storedDraft.data);
+    setStoredDraft(null);
+  };
+
+  const discardDraft = async () => {
+    setStoredDraft(null);
+    try {
+      await deleteDraft(key);
+    } catch (error) {
+      console.error("Error discarding draft:", error);
+    }
+  };
+
+  // Call after a successful save so the stored copy is not offered again
+  const clearDraft = useCallback(async () => {
+    latestRef.current = { ...latestRef.current, canSave: false };
+    setSavedSnapshot(serializedValues);
+    setStoredDraft(null);
+    if (!key) return;
+    try {
+      await deleteDraft(key);
+    } catch (error) {
+      console.error("Error clearing draft:", error);
+    }
+  }, [key, serializedValues]);
+
+  return { pendingDraft, restoreDraft, discardDraft, clearDraft, isDirty, lastSavedAt };
+};
+
+export default useAutosave;
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import axiosInstance from "../config/axios";
+
+const SEARCH_DEBOUNCE_MS = 400;
+
+/**
+ * Loads one page of the media library, re-fetching when the search or page changes.
+ * Shared by the Media page and the picker modal so both list assets the same way.
+ */
+const useMediaAssets = ({ search = "", page = 1, limit = 24, enabled = true } = {}) => {
+  const [assets, setAssets] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1, currentPage: 1 });
+  const [loading, setLoading] = useState(false);
+  const [debouncedSearch, setDebouncedSearch] = useState(search);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchAssets = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (debouncedSearch) params.append("search", debouncedSearch);
+    params.append("page", page.toString());
+    params.append("limit", limit.toString());
+
+    try {
+      setLoading(true);
+      const response = await axiosInstance.get(`/media/get-all-media?${params}`);
+      setAssets(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error("Error fetching media:", error);
+      toast.error("Failed to load media library");
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, page, limit]);
+
+  useEffect(() => {
+    if (enabled) fetchAssets();
+  }, [enabled, fetchAssets]);
+
+  return { assets, pagination, loading, refresh: fetchAssets, debouncedSearch };
+};
+
+export const uploadMediaAsset = async (file, alt = "") => {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append("alt", alt);
+  const response = await axiosInstance.post("/media/upload", formData, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return response.data.data;
+};
+
+export default useMediaAssets;
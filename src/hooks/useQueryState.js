@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+
+/**
+ * Keeps list filters in the URL query string so a view can be bookmarked and shared.
+ * Values equal to their default are left out of the URL. Changing any filter returns to
+ * page 1 unless { resetPage: false } is passed. Each change adds a history entry so the
+ * back button steps through earlier filters; pass { replace: true } for corrections
+ * that should not. The search box (searchKey) is debounced and replaces its own entry.
+ * `defaults` must be a module-level constant so the returned values stay stable.
+ */
+const useQueryState = (defaults, { searchKey = "q", debounce = 400 } = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryKey = searchParams.toString();
+
+  const query = useMemo(
+    () => Object.fromEntries(
+      Object.entries(defaults).map(([key, fallback]) => [key, searchParams.get(key) || fallback])
+    ),
+    [defaults, searchParams]
+  );
+
+  const updateQuery = useCallback((changes, { resetPage = true, replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      const pageReset = resetPage && "page" in defaults ? { page: defaults.page } : {};
+      Object.entries({ ...changes, ...pageReset }).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === "" || String(value) === defaults[key]) {
+          next.delete(key);
+        } else {
+          next.set(key, String(value));
+        }
+      });
+      return next;
+    }, { replace });
+  }, [defaults, setSearchParams]);
+
+  const committedSearch = query[searchKey] || "";
+  const [searchInput, setSearchInput] = useState(committedSearch);
+
+  // Debounce typing into the search box before it reaches the URL and the API.
+  // Refining a search already in the URL replaces it rather than piling up entries.
+  useEffect(() => {
+    if (searchInput.trim() === committedSearch) return;
+    const timer = setTimeout(
+      () => updateQuery({ [searchKey]: searchInput.trim() }, { replace: Boolean(committedSearch) }),
+      debounce
+    );
+    return () => clearTimeout(timer);
+  }, [searchInput, committedSearch, searchKey, debounce, updateQuery]);
+
+  // Keep the box in sync when the URL changes from outside (back button, shared link)
+  useEffect(() => {
+    setSearchInput((current) => (current.trim() === committedSearch ? current : committedSearch));
+  }, [committedSearch]);
+
+  return { query, queryKey, updateQuery, searchInput, setSearchInput };
+};
+
+export default useQueryState;
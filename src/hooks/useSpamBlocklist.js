@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useState } from "react";
+import axiosInstance from "../config/axios";
+
+/**
+ * Emails, domains and phone prefixes that mark an enquiry as spam.
+ * Filled from the "Mark as spam" action and managed in Settings.
+ */
+const useSpamBlocklist = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axiosInstance.get("/enquiries/blocklist");
+      setEntries(response.data.data);
+    } catch (error) {
+      console.error("Error fetching blocklist:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // entries: [{ type, value }]; values already on the list are skipped by the API
+  const addEntries = useCallback(async (newEntries) => {
+    const response = await axiosInstance.post("/enquiries/blocklist", { entries: newEntries });
+    const added = response.data.data;
+    setEntries((prev) => [...prev, ...added.filter((entry) => !prev.some((item) => item.id === entry.id))]);
+    return added;
+  }, []);
+
+  const removeEntry = useCallback(async (id) => {
+    await axiosInstance.delete(`/enquiries/blocklist/${id}`);
+    setEntries((prev) => prev.filter((entry) => entry.id !== id));
+  }, []);
+
+  return { entries, loading, addEntries, removeEntry, refresh: fetchEntries };
+};
+
+export default useSpamBlocklist;
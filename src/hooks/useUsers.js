@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import axiosInstance from "../config/axios";
+
+const CACHE_MS = 60 * 1000;
+
+// Shared between every picker on the page so the list is requested once
+let usersRequest = null;
+let requestedAt = 0;
+
+const fetchUsers = () => {
+  if (!usersRequest || Date.now() - requestedAt > CACHE_MS) {
+    requestedAt = Date.now();
+    usersRequest = axiosInstance
+      .get("users/view")
+      .then((response) =>
+        response.data.users.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+      )
+      .catch((error) => {
+        usersRequest = null;
+        throw error;
+      });
+  }
+  return usersRequest;
+};
+
+/**
+ * CMS users for assignee pickers, sorted by name.
+ */
+const useUsers = () => {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    fetchUsers()
+      .then((list) => active && setUsers(list))
+      .catch((error) => console.error("Error fetching users:", error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return users;
+};
+
+export default useUsers;
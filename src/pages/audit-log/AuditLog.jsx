@@ -0,0 +1,299 @@
+import { Fragment, useCallback, useEffect, useState } from "react";
+import { addDays, format, isValid, parseISO } from "date-fns";
+import { toast } from "react-toastify";
+import { History, Download, RefreshCw, ChevronDown, X } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import Pagination from "../../components/ui/Pagination";
+import useUsers from "../../hooks/useUsers";
+import useQueryState from "../../hooks/useQueryState";
+import { downloadFile } from "../../utils/csv";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_MODULES,
+  diffSnapshots,
+  getAuditActionLabel,
+  getAuditModuleLabel,
+} from "../../utils/auditLog";
+
+const DEFAULT_QUERY = {
+  user: "",
+  module: "",
+  action: "",
+  startDate: "",
+  endDate: "",
+  page: "1",
+};
+const PAGE_SIZE = 20;
+const FILTER_KEYS = ["user", "module", "action", "startDate", "endDate"];
+
+// Shared by the list and the export so the file matches what is on screen
+const buildAuditParams = (query) => {
+  const params = new URLSearchParams();
+  if (query.user) params.append("userId", query.user);
+  if (query.module) params.append("module", query.module);
+  if (query.action) params.append("action", query.action);
+  if (query.startDate) params.append("startDate", query.startDate);
+
+  // The URL keeps the inclusive end date; the API expects an exclusive upper bound
+  const endDate = query.endDate || query.startDate;
+  if (endDate && isValid(parseISO(endDate))) {
+    params.append("endDate", format(addDays(parseISO(endDate), 1), "yyyy-MM-dd"));
+  }
+  return params;
+};
+
+const AuditDiff = ({ entry }) => {
+  const changes = diffSnapshots(entry.before, entry.after);
+
+  return (
+    <div className="bg-base-200 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-gray-500">
+        <span>IP address: <span className="font-mono">{entry.ip || "unknown"}</span></span>
+        {entry.userAgent && <span className="truncate max-w-xl" title={entry.userAgent}>{entry.userAgent}</span>}
+      </div>
+      {changes.length === 0 ? (
+        <p className="text-sm text-neutral-content/70">No field changes were recorded.</p>
+      ) : (
+        <table className="table table-sm w-full table-fixed">
+          <thead>
+            <tr>
+              <th className="w-1/5">Field</th>
+              <th>Before</th>
+              <th>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map((change) => (
+              <tr key={change.field} className="align-top">
+                <td className="font-medium break-words">{change.field}</td>
+                <td>
+                  {change.before && (
+                    <pre className="whitespace-pre-wrap break-words text-xs bg-error/10 rounded p-2 max-h-48 overflow-y-auto">
+                      {change.before}
+                    </pre>
+                  )}
+                </td>
+                <td>
+                  {change.after && (
+                    <pre className="whitespace-pre-wrap break-words text-xs bg-success/10 rounded p-2 max-h-48 overflow-y-auto">
+                      {change.after}
+                    </pre>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Who created, changed or deleted what across the CMS, with before/after snapshots
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1, currentPage: 1 });
+  const [expandedId, setExpandedId] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const users = useUsers();
+  const { query, updateQuery } = useQueryState(DEFAULT_QUERY);
+
+  const hasFilters = FILTER_KEYS.some((key) => query[key]);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = buildAuditParams(query);
+      params.append("page", query.page);
+      params.append("limit", PAGE_SIZE.toString());
+
+      const response = await axiosInstance.get(`/audit-logs?${params}`);
+      setEntries(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error("Error fetching audit log:", error);
+      toast.error("Failed to load the audit log");
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await axiosInstance.get(`/audit-logs/export?${buildAuditParams(query)}`, {
+        responseType: "blob",
+      });
+      downloadFile(response.data, `audit-log-${format(new Date(), "yyyy-MM-dd")}.csv`);
+    } catch (error) {
+      console.error("Error exporting audit log:", error);
+      toast.error("Failed to export the audit log");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const clearFilters = () => {
+    updateQuery(Object.fromEntries(FILTER_KEYS.map((key) => [key, ""])));
+  };
+
+  return (
+    <div className="min-h-[700px] bg-base-100 p-6 rounded-lg shadow-lg">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-start gap-3">
+          <History className="w-6 h-6 text-primary" />
+          <div className="space-y-[0.5px]">
+            <h1 className="text-2xl font-bold text-neutral-content">Audit Log</h1>
+            <p className="text-sm text-gray-500 mt-1">Every create, update and delete made in the CMS</p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={fetchEntries} className="btn btn-ghost btn-circle" aria-label="Refresh">
+            <RefreshCw className="h-5 w-5" />
+          </button>
+          <button onClick={handleExport} className="btn btn-outline gap-2" disabled={isExporting || entries.length === 0}>
+            {isExporting ? <span className="loading loading-spinner loading-sm"></span> : <Download className="h-5 w-5" />}
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-2 mb-4 items-end">
+        <select
+          className="select select-bordered select-sm w-full"
+          value={query.user}
+          onChange={(e) => updateQuery({ user: e.target.value })}
+          aria-label="User"
+        >
+          <option value="">All users</option>
+          {users.map((user) => (
+            <option key={user.id} value={user.id}>{user.name}</option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered select-sm w-full"
+          value={query.module}
+          onChange={(e) => updateQuery({ module: e.target.value })}
+          aria-label="Module"
+        >
+          <option value="">All modules</option>
+          {Object.entries(AUDIT_MODULES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered select-sm w-full"
+          value={query.action}
+          onChange={(e) => updateQuery({ action: e.target.value })}
+          aria-label="Action"
+        >
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          className="input input-bordered input-sm w-full"
+          value={query.startDate}
+          max={query.endDate || undefined}
+          onChange={(e) => updateQuery({ startDate: e.target.value })}
+          aria-label="From"
+        />
+        <input
+          type="date"
+          className="input input-bordered input-sm w-full"
+          value={query.endDate}
+          min={query.startDate || undefined}
+          onChange={(e) => updateQuery({ endDate: e.target.value })}
+          aria-label="To"
+        />
+        {hasFilters && (
+          <button className="btn btn-ghost btn-sm gap-1" onClick={clearFilters}>
+            <X className="w-4 h-4" /> Clear filters
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center min-h-[400px]">
+          <span className="loading loading-spinner loading-lg text-primary"></span>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12 bg-base-200 rounded-lg min-h-[400px]">
+          <History className="w-16 h-16 text-gray-400 mb-4" />
+          <h3 className="text-xl font-semibold text-gray-600">No changes found</h3>
+          <p className="text-gray-500">{hasFilters ? "Try adjusting your filters" : "Changes will appear here as they happen"}</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table w-full">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Module</th>
+                <th>Entity</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <Fragment key={entry.id}>
+                  <tr
+                    className="hover cursor-pointer"
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                  >
+                    <td className="whitespace-nowrap text-sm">{format(new Date(entry.createdAt), "dd MMM, yyyy HH:mm:ss")}</td>
+                    <td>
+                      <div className="font-medium">{entry.actor?.name || "System"}</div>
+                      {entry.actor?.email && <div className="text-xs text-gray-500">{entry.actor.email}</div>}
+                    </td>
+                    <td>
+                      <span className={`badge badge-sm ${AUDIT_ACTIONS[entry.action]?.badge || "badge-ghost"}`}>
+                        {getAuditActionLabel(entry.action)}
+                      </span>
+                    </td>
+                    <td>{getAuditModuleLabel(entry.module)}</td>
+                    <td className="max-w-xs truncate" title={entry.entityLabel}>
+                      {entry.entityLabel || `#${entry.entityId}`}
+                    </td>
+                    <td>
+                      <ChevronDown
+                        className={`w-4 h-4 transition-transform duration-200 ${expandedId === entry.id ? "rotate-180" : ""}`}
+                      />
+                    </td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr>
+                      <td colSpan="6">
+                        <AuditDiff entry={entry} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <Pagination
+          currentPage={pagination.currentPage}
+          totalPages={pagination.pages}
+          onPageChange={(page) => updateQuery({ page }, { resetPage: false })}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -53,9 +53,9 @@ function LoginPage() {
 
         try {
             const response = await axiosInstance.post('/auth/login', data);
-            const { token, user } = response.data;
+            const { token, refreshToken, user } = response.data;
             playNotificationSound()
-            login(token, user.role, data.rememberMe);
+            login(token, user.role, data.rememberMe, { refreshToken, email: data.email });
             navigate('/');
         } catch (error) {
             setError(error.response?.data?.message || 'Login failed');
@@ -4,10 +4,12 @@ import axiosInstance from "../../config/axios";
 import { toast } from "react-toastify";
 import { format } from "date-fns";
 import DeleteConfirmModal from "../../components/ui/modal/DeleteConfirmModal";
+import { BLOG_STATUSES, getBlogStatus, getBlogStatusLabel } from "../../utils/blogStatus";
 
-function BlogCard({ blog, onDelete, onEdit }) {
+function BlogCard({ blog, onDelete, onEdit, selected, onSelect }) {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const status = getBlogStatus(blog);
 
   const handleDelete = async () => {
     setIsLoading(true);
@@ -27,7 +29,18 @@ function BlogCard({ blog, onDelete, onEdit }) {
 
   return (
     <>
-      <div className="card bg-base-200 transition-all duration-300 overflow-hidden group relative">
+      <div className={`card bg-base-200 transition-all duration-300 overflow-hidden group relative ${selected ? "ring-2 ring-primary" : ""}`}>
+        {onSelect && (
+          <label className="absolute top-2 left-2 z-10 bg-base-100/80 rounded p-1 cursor-pointer">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-primary checkbox-sm"
+              checked={Boolean(selected)}
+              onChange={() => onSelect(blog)}
+              aria-label={`Select ${blog.title}`}
+            />
+          </label>
+        )}
         <figure className="relative h-48 overflow-hidden">
           <img
             src={blog.image}
@@ -49,10 +62,24 @@ function BlogCard({ blog, onDelete, onEdit }) {
             {blog.title} - {blog.author}
           </h2>
           <p className="text-neutral-content text-sm">{blog.excerpt}</p>
-          <div className="flex items-center gap-4 mt-2">
+          {(blog.categories?.length > 0 || blog.tags?.length > 0) && (
+            <div className="flex flex-wrap gap-1 mt-1">
+              {blog.categories?.map((category) => (
+                <span key={`category-${category}`} className="badge badge-primary badge-sm text-white">{category}</span>
+              ))}
+              {blog.tags?.map((tag) => (
+                <span key={`tag-${tag}`} className="badge badge-outline badge-sm">#{tag}</span>
+              ))}
+            </div>
+          )}
+          <div className="flex items-center gap-4 mt-2 flex-wrap">
             <div className="flex items-center gap-1 text-neutral-content">
               <span className="text-sm">{format(new Date(blog.date), "dd MMM, yyyy")}</span>
             </div>
+
+            <div className={`badge ${BLOG_STATUSES[status]?.badge || "badge-ghost"}`}>
+              {getBlogStatusLabel(blog)}
+            </div>
             
             {/* Alternative Premium indicator in the card body */}
             {blog.isPremium && (
@@ -65,15 +92,19 @@ function BlogCard({ blog, onDelete, onEdit }) {
         </div>
 
         <div className="absolute bottom-4 right-4 flex gap-2">
-          <button className="btn btn-sm btn-square btn-ghost" onClick={onEdit}>
-            <Pencil className="w-6 h-6 text-success" />
-          </button>
-          <button
-            className="btn btn-sm btn-square text-white btn-error"
-            onClick={() => setShowDeleteModal(true)}
-          >
-            <Trash2 className="w-6 h-6" />
-          </button>
+          {onEdit && (
+            <button className="btn btn-sm btn-square btn-ghost" onClick={onEdit}>
+              <Pencil className="w-6 h-6 text-success" />
+            </button>
+          )}
+          {onDelete && (
+            <button
+              className="btn btn-sm btn-square text-white btn-error"
+              onClick={() => setShowDeleteModal(true)}
+            >
+              <Trash2 className="w-6 h-6" />
+            </button>
+          )}
         </div>
       </div>
 
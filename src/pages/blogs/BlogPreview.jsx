@@ -0,0 +1,42 @@
+import { useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import { Eye, PencilLine } from "lucide-react";
+import DeviceFrame, { DeviceSwitcher } from "../../components/preview/DeviceFrame";
+import { renderBlogPreviewHtml } from "../../utils/blogPreviewTemplate";
+
+// Full-screen preview of the unsaved post in the public blog template. Rendered into
+// document.body because the drawer it opens from is transformed, which would clip a fixed overlay.
+function BlogPreview({ post, onClose }) {
+  const [screenSize, setScreenSize] = useState("laptop");
+  const html = useMemo(() => renderBlogPreviewHtml(post), [post]);
+
+  return createPortal(
+    <div className="fixed inset-0 z-[60] bg-base-300 flex flex-col items-center overflow-auto p-4">
+      <div className="flex flex-wrap justify-between items-center gap-4 w-full mb-6">
+        <h2 className="text-neutral-content text-2xl font-bold flex items-center gap-2">
+          <Eye className="w-6 h-6" /> Preview
+          <span className="badge badge-warning">Unsaved changes included</span>
+        </h2>
+        <div className="flex items-center gap-4">
+          <DeviceSwitcher value={screenSize} onChange={setScreenSize} />
+          <button type="button" className="btn btn-primary text-white gap-2" onClick={onClose}>
+            <PencilLine className="w-4 h-4" /> Back to editing
+          </button>
+        </div>
+      </div>
+
+      <DeviceFrame size={screenSize}>
+        {/* No allow-scripts: pasted embeds cannot run inside the CMS origin */}
+        <iframe
+          srcDoc={html}
+          sandbox="allow-same-origin"
+          title="Blog post preview"
+          className="w-full h-full bg-white"
+        ></iframe>
+      </DeviceFrame>
+    </div>,
+    document.body
+  );
+}
+
+export default BlogPreview;
@@ -1,81 +1,305 @@
 import { useState, useEffect, useCallback } from "react";
-import { Search, Filter } from "lucide-react";
+import { Search, Filter, CalendarClock, Folder, Tag, ArrowUpDown, ArrowUp, ArrowDown, Trash2, Crown, UserPen, Download, X } from "lucide-react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
 import BlogPostForm from "./CreateForm";
 import BlogCard from "./BlogCard";
+import RevisionHistory from "./RevisionHistory";
+import BulkActionModal from "./BulkActionModal";
+import Pagination from "../../components/ui/Pagination";
 import axiosInstance from "../../config/axios";
+import useQueryState from "../../hooks/useQueryState";
+import { BLOG_STATUSES, getBlogStatus } from "../../utils/blogStatus";
+import { toCsv, downloadFile } from "../../utils/csv";
+import { runInBatches } from "../../utils/runInBatches";
+import { useAuth } from "../../context/AuthContext";
+
+const PAGE_SIZE = 12;
+
+const EXPORT_COLUMNS = [
+  { label: "ID", value: (blog) => blog.id },
+  { label: "Title", value: (blog) => blog.title },
+  { label: "Slug", value: (blog) => blog.slug },
+  { label: "Author", value: (blog) => blog.author },
+  { label: "Date", value: (blog) => blog.date },
+  { label: "Status", value: (blog) => getBlogStatus(blog) },
+  { label: "Premium", value: (blog) => (blog.isPremium ? "Yes" : "No") },
+  { label: "Categories", value: (blog) => blog.categories },
+  { label: "Tags", value: (blog) => blog.tags },
+  { label: "Excerpt", value: (blog) => blog.excerpt },
+];
+
+const updateBlogFields = (blog, fields) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+  return axiosInstance.put(`/blog/update-blog/${blog.id}`, formData, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+};
+
+const SORT_OPTIONS = [
+  { value: "date", label: "Date" },
+  { value: "title", label: "Title" },
+  { value: "author", label: "Author" },
+  { value: "isPremium", label: "Premium" },
+];
+
+// Defaults are left out of the URL so the plain /blogs link stays clean
+const DEFAULT_QUERY = {
+  q: "",
+  status: "all",
+  content: "all",
+  category: "all",
+  tag: "all",
+  sort: "date",
+  order: "desc",
+  page: "1",
+};
 
 function BlogsLayout() {
+  const { query, updateQuery, searchInput, setSearchInput } = useQueryState(DEFAULT_QUERY);
+  const { can } = useAuth();
+  const currentPage = Math.max(parseInt(query.page, 10) || 1, 1);
+
   const [blogs, setBlogs] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1, currentPage: 1 });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [editBlog, setEditBlog] = useState(null);
   const [mode, setMode] = useState("add");
-  const [searchQuery, setSearchQuery] = useState("");
-  const [contentFilter, setContentFilter] = useState("all"); // "all", "free", or "premium"
+  const [drawerTab, setDrawerTab] = useState("edit"); // "edit" or "history"
+  // Keyed by id so the selection survives paging and filtering
+  const [selectedBlogs, setSelectedBlogs] = useState({});
+  const [bulkAction, setBulkAction] = useState(null);
+  const [bulkTargets, setBulkTargets] = useState([]);
+  const [bulkResults, setBulkResults] = useState(null);
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState(0);
+  const [bulkAuthor, setBulkAuthor] = useState("");
+  const [showAuthorInput, setShowAuthorInput] = useState(false);
+  const [taxonomies, setTaxonomies] = useState({ categories: [], tags: [] });
+
+  const fetchTaxonomies = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get("/blog/get-taxonomies");
+      setTaxonomies({
+        categories: response.data.data.categories || [],
+        tags: response.data.data.tags || [],
+      });
+    } catch (err) {
+      console.error("Error fetching blog categories and tags:", err);
+    }
+  }, []);
+
+  const fetchBlogs = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (query.q) params.append("search", query.q);
+    if (query.status !== "all") params.append("status", query.status);
+    if (query.content !== "all") params.append("isPremium", query.content === "premium");
+    if (query.category !== "all") params.append("category", query.category);
+    if (query.tag !== "all") params.append("tag", query.tag);
+    params.append("sortBy", query.sort);
+    params.append("sortOrder", query.order);
+    params.append("page", currentPage.toString());
+    params.append("limit", PAGE_SIZE.toString());
 
-  const refreshBlogList = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axiosInstance.get("/blog/get-all-blogs");
+      setError(null);
+      const response = await axiosInstance.get(`/blog/get-all-blogs?${params}`);
       setBlogs(response.data.data);
+      setPagination(response.data.pagination);
+      // Deleting the tail of the list can leave us past the last page
+      const { pages } = response.data.pagination;
+      if (response.data.data.length === 0 && currentPage > 1 && currentPage > pages) {
+        updateQuery({ page: Math.max(pages, 1) }, { resetPage: false, replace: true });
+      }
     } catch (err) {
       setError("Failed to load blogs");
       console.error("Error fetching blogs:", err);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [query, currentPage, updateQuery]);
 
   useEffect(() => {
-    const fetchBlogs = async () => {
-      try {
-        setLoading(true);
-        const response = await axiosInstance.get("/blog/get-all-blogs");
-        setBlogs(response.data.data);
-      } catch (err) {
-        setError("Failed to load blogs");
-        console.error("Error fetching blogs:", err);
-      } finally {
-        setLoading(false);
-      }
-    };
+    fetchBlogs();
+  }, [fetchBlogs]);
 
+  useEffect(() => {
+    fetchTaxonomies();
+  }, [fetchTaxonomies]);
+
+  const refreshBlogList = useCallback(() => {
     fetchBlogs();
-  }, []);
+    // New categories and tags are created when a post is saved
+    fetchTaxonomies();
+  }, [fetchBlogs, fetchTaxonomies]);
+
+  const handleRevisionRestored = (restoredBlog) => {
+    setEditBlog(restoredBlog);
+    setDrawerTab("edit");
+    refreshBlogList();
+  };
+
+  const handleDeleteBlog = () => {
+    // If this was the last post on the page, go back a page
+    if (blogs.length === 1 && currentPage > 1) {
+      updateQuery({ page: currentPage - 1 }, { resetPage: false, replace: true });
+    } else {
+      fetchBlogs();
+    }
+  };
+
+  const selectedList = Object.values(selectedBlogs);
+  const allOnPageSelected = blogs.length > 0 && blogs.every((blog) => selectedBlogs[blog.id]);
+
+  const toggleSelect = (blog) => {
+    setSelectedBlogs((prev) => {
+      const next = { ...prev };
+      if (next[blog.id]) {
+        delete next[blog.id];
+      } else {
+        next[blog.id] = blog;
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectPage = () => {
+    setSelectedBlogs((prev) => {
+      const next = { ...prev };
+      blogs.forEach((blog) => {
+        if (allOnPageSelected) {
+          delete next[blog.id];
+        } else {
+          next[blog.id] = blog;
+        }
+      });
+      return next;
+    });
+  };
+
+  const clearSelection = () => {
+    setSelectedBlogs({});
+    setShowAuthorInput(false);
+    setBulkAuthor("");
+  };
+
+  const count = selectedList.length;
+  const postsLabel = `${count} ${count === 1 ? "post" : "posts"}`;
+
+  const bulkActions = {
+    delete: {
+      title: "Delete Blog Posts",
+      summary: `${postsLabel} will be permanently deleted.`,
+      confirmLabel: "Delete",
+      doneLabel: "deleted",
+      destructive: true,
+      run: (blog) => axiosInstance.delete(`/blog/delete-blog/${blog.id}`),
+    },
+    premium: {
+      title: "Mark as Premium",
+      summary: `${postsLabel} will be marked as premium content.`,
+      confirmLabel: "Mark premium",
+      doneLabel: "updated",
+      describe: (blog) => (blog.isPremium ? "Already premium" : "Free → Premium"),
+      run: (blog) => updateBlogFields(blog, { isPremium: true }),
+    },
+    free: {
+      title: "Mark as Free",
+      summary: `${postsLabel} will be marked as free content.`,
+      confirmLabel: "Mark free",
+      doneLabel: "updated",
+      describe: (blog) => (blog.isPremium ? "Premium → Free" : "Already free"),
+      run: (blog) => updateBlogFields(blog, { isPremium: false }),
+    },
+    author: {
+      title: "Change Author",
+      summary: `The author of ${postsLabel} will be changed to "${bulkAuthor.trim()}".`,
+      confirmLabel: "Change author",
+      doneLabel: "updated",
+      describe: (blog) => `${blog.author || "No author"} → ${bulkAuthor.trim()}`,
+      run: (blog) => updateBlogFields(blog, { author: bulkAuthor.trim() }),
+    },
+  };
+
+  const openBulkAction = (key) => {
+    setBulkResults(null);
+    setBulkProgress(0);
+    setBulkTargets(selectedList);
+    setBulkAction(key);
+  };
+
+  const closeBulkModal = () => {
+    setBulkAction(null);
+    setBulkResults(null);
+  };
+
+  const runBulkAction = async () => {
+    const action = bulkActions[bulkAction];
+    setIsBulkRunning(true);
+    try {
+      const outcome = await runInBatches(bulkTargets, action.run, {
+        onProgress: (done) => setBulkProgress(done),
+      });
+      const results = outcome.map(({ item, ok, message }) => ({ id: item.id, ok, message }));
+      results.filter((result) => !result.ok).forEach((result) => {
+        console.error(`Bulk ${bulkAction} failed for blog ${result.id}:`, result.message);
+      });
+
+      const failedCount = results.filter((result) => !result.ok).length;
+      if (failedCount === 0) {
+        toast.success(`${action.title}: all ${results.length} posts ${action.doneLabel}`);
+      } else {
+        toast.error(`${action.title}: ${failedCount} of ${results.length} posts failed`);
+      }
+
+      setBulkResults(results);
+      // Keep the failed posts selected so they can be retried
+      setSelectedBlogs((prev) => {
+        const next = { ...prev };
+        results.filter((result) => result.ok).forEach((result) => delete next[result.id]);
+        return next;
+      });
+      if (bulkAction === "author") {
+        setShowAuthorInput(false);
+        setBulkAuthor("");
+      }
+      refreshBlogList();
+    } finally {
+      setIsBulkRunning(false);
+    }
+  };
+
+  const exportSelected = () => {
+    downloadFile(toCsv(selectedList, EXPORT_COLUMNS), `blogs-${format(new Date(), "yyyy-MM-dd")}.csv`);
+    toast.success(`Exported ${postsLabel}`);
+  };
 
-  const handleDeleteBlog = (blogId) => {
-    setBlogs((prevBlogs) => prevBlogs.filter((blog) => blog.id !== blogId));
+  const handlePageChange = (page) => {
+    updateQuery({ page }, { resetPage: false });
+    window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
   const handleEditBlog = (blog) => {
     setEditBlog(blog);
     setMode("edit");
+    setDrawerTab("edit");
     setIsDrawerOpen(true);
   };
 
   const handleAddNewPost = () => {
     setEditBlog("");
     setMode("add");
+    setDrawerTab("edit");
     setIsDrawerOpen(true);
   };
 
-  // Apply both search and content type filters
-  const filteredBlogs = blogs.filter((blog) => {
-    // First apply search filter
-    const matchesSearch = 
-      blog.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      blog.excerpt?.toLowerCase().includes(searchQuery.toLowerCase());
-    
-    // Then apply content type filter
-    if (contentFilter === "all") {
-      return matchesSearch;
-    } else if (contentFilter === "premium") {
-      return matchesSearch && blog.isPremium === true;
-    } else { // "free"
-      return matchesSearch && (blog.isPremium === false || blog.isPremium === undefined);
-    }
-  });
+  const hasFilters = ["q", "status", "content", "category", "tag"].some(
+    (key) => query[key] !== DEFAULT_QUERY[key]
+  );
 
   return (
     <div className="min-h-screen relative">
@@ -92,12 +316,14 @@ function BlogsLayout() {
           {/* Header Section */}
           <div className="flex justify-between items-center mb-8">
             <h1 className="text-3xl font-bold text-neutral-content">Blogs</h1>
-            <button
-              className="btn btn-primary text-white gap-2"
-              onClick={handleAddNewPost}
-            >
-              + New post
-            </button>
+            {can("blogs", "create") && (
+              <button
+                className="btn btn-primary text-white gap-2"
+                onClick={handleAddNewPost}
+              >
+                + New post
+              </button>
+            )}
           </div>
 
           {/* Search and Filter Section */}
@@ -106,21 +332,72 @@ function BlogsLayout() {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
               <input
                 type="text"
-                placeholder="Search post..."
+                placeholder="Search title, excerpt or content..."
                 className="input input-bordered w-full focus:outline-none pl-10 bg-base-100 text-neutral-content"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
               />
             </div>
             
+            {/* Status Filter Dropdown */}
+            <div className="relative">
+              <div className="flex items-center">
+                <CalendarClock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <select
+                  className="select select-bordered pl-10 pr-8 focus:outline-none bg-base-100 text-neutral-content appearance-none"
+                  value={query.status}
+                  onChange={(e) => updateQuery({ status: e.target.value })}
+                >
+                  <option value="all">All Statuses</option>
+                  {Object.entries(BLOG_STATUSES).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* Category Filter Dropdown */}
+            <div className="relative">
+              <div className="flex items-center">
+                <Folder className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <select
+                  className="select select-bordered pl-10 pr-8 focus:outline-none bg-base-100 text-neutral-content appearance-none"
+                  value={query.category}
+                  onChange={(e) => updateQuery({ category: e.target.value })}
+                >
+                  <option value="all">All Categories</option>
+                  {taxonomies.categories.map((category) => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* Tag Filter Dropdown */}
+            <div className="relative">
+              <div className="flex items-center">
+                <Tag className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <select
+                  className="select select-bordered pl-10 pr-8 focus:outline-none bg-base-100 text-neutral-content appearance-none"
+                  value={query.tag}
+                  onChange={(e) => updateQuery({ tag: e.target.value })}
+                >
+                  <option value="all">All Tags</option>
+                  {taxonomies.tags.map((tag) => (
+                    <option key={tag} value={tag}>{tag}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
             {/* Content Type Filter Dropdown */}
             <div className="relative">
               <div className="flex items-center">
                 <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
                 <select
                   className="select select-bordered pl-10 pr-8 focus:outline-none bg-base-100 text-neutral-content appearance-none"
-                  value={contentFilter}
-                  onChange={(e) => setContentFilter(e.target.value)}
+                  value={query.content}
+                  onChange={(e) => updateQuery({ content: e.target.value })}
                 >
                   <option value="all">All Content</option>
                   <option value="free">Free Only</option>
@@ -128,15 +405,102 @@ function BlogsLayout() {
                 </select>
               </div>
             </div>
+
+            {/* Sort Field and Direction */}
+            <div className="join">
+              <div className="relative join-item">
+                <ArrowUpDown className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5 z-10" />
+                <select
+                  className="select select-bordered join-item pl-10 pr-8 focus:outline-none bg-base-100 text-neutral-content appearance-none"
+                  value={query.sort}
+                  onChange={(e) => updateQuery({ sort: e.target.value })}
+                >
+                  {SORT_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>Sort by {label}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                className="btn btn-outline join-item"
+                title={query.order === "asc" ? "Ascending" : "Descending"}
+                onClick={() => updateQuery({ order: query.order === "asc" ? "desc" : "asc" })}
+              >
+                {query.order === "asc" ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+              </button>
+            </div>
           </div>
 
+          {/* Bulk Actions Toolbar */}
+          {count > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-base-200 rounded-lg">
+              <span className="font-semibold text-neutral-content mr-2">{postsLabel} selected</span>
+              {can("blogs", "delete") && (
+                <button className="btn btn-sm btn-error text-white gap-1" onClick={() => openBulkAction("delete")}>
+                  <Trash2 className="w-4 h-4" /> Delete
+                </button>
+              )}
+              {can("blogs", "edit") && (
+                <>
+                  <button className="btn btn-sm btn-warning gap-1" onClick={() => openBulkAction("premium")}>
+                    <Crown className="w-4 h-4" /> Mark premium
+                  </button>
+                  <button className="btn btn-sm btn-outline gap-1" onClick={() => openBulkAction("free")}>
+                    Mark free
+                  </button>
+                </>
+              )}
+              {!can("blogs", "edit") ? null : showAuthorInput ? (
+                <div className="join">
+                  <input
+                    type="text"
+                    className="input input-sm input-bordered join-item focus:outline-none"
+                    placeholder="New author"
+                    value={bulkAuthor}
+                    onChange={(e) => setBulkAuthor(e.target.value)}
+                    autoFocus
+                  />
+                  <button
+                    className="btn btn-sm btn-primary text-white join-item"
+                    disabled={!bulkAuthor.trim()}
+                    onClick={() => openBulkAction("author")}
+                  >
+                    Apply
+                  </button>
+                  <button className="btn btn-sm join-item" onClick={() => setShowAuthorInput(false)}>
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <button className="btn btn-sm btn-outline gap-1" onClick={() => setShowAuthorInput(true)}>
+                  <UserPen className="w-4 h-4" /> Change author
+                </button>
+              )}
+              <button className="btn btn-sm btn-outline gap-1" onClick={exportSelected}>
+                <Download className="w-4 h-4" /> Export CSV
+              </button>
+              <button className="btn btn-sm btn-ghost ml-auto" onClick={clearSelection}>
+                Clear selection
+              </button>
+            </div>
+          )}
+
           {/* Blog Count Display */}
-          <div className="mb-4 text-neutral-content">
+          <div className="mb-4 text-neutral-content flex items-center justify-between gap-4">
             <p>
-              Showing {filteredBlogs.length} {contentFilter !== "all" ? 
-                `${contentFilter} ${filteredBlogs.length === 1 ? 'blog' : 'blogs'}` : 
-                (filteredBlogs.length === 1 ? 'blog' : 'blogs')}
+              Showing {blogs.length} of {pagination.total} {query.status !== "all" ? `${query.status} ` : ""}{query.content !== "all" ? `${query.content} ` : ""}
+              {pagination.total === 1 ? 'blog' : 'blogs'}
             </p>
+            {blogs.length > 0 && (
+              <label className="flex items-center gap-2 cursor-pointer text-sm">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-primary checkbox-sm"
+                  checked={allOnPageSelected}
+                  onChange={toggleSelectPage}
+                />
+                Select all on this page
+              </label>
+            )}
           </div>
 
           {/* Blog Grid */}
@@ -168,27 +532,37 @@ function BlogsLayout() {
             </div>
           ) : error ? (
             <div className="text-center text-red-500">{error}</div>
-          ) : filteredBlogs.length === 0 ? (
+          ) : blogs.length === 0 ? (
             <div className="text-center p-8 bg-base-200 rounded-lg">
               <h3 className="text-xl font-semibold mb-2">No blogs found</h3>
               <p className="text-neutral-content">
-                {searchQuery ? 
-                  `No blogs matching "${searchQuery}" in ${contentFilter} content` : 
-                  `No ${contentFilter} blogs available`}
+                {query.q ?
+                  `No blogs matching "${query.q}" in ${query.content} content` :
+                  hasFilters ? "No blogs match the selected filters" : "No blogs available"}
               </p>
             </div>
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {filteredBlogs.map((blog) => (
+              {blogs.map((blog) => (
                 <BlogCard
                   key={blog.id}
                   blog={blog}
-                  onDelete={handleDeleteBlog}
-                  onEdit={() => handleEditBlog(blog)}
+                  onDelete={can("blogs", "delete") ? handleDeleteBlog : undefined}
+                  onEdit={can("blogs", "edit") ? () => handleEditBlog(blog) : undefined}
+                  selected={Boolean(selectedBlogs[blog.id])}
+                  onSelect={toggleSelect}
                 />
               ))}
             </div>
           )}
+
+          {!loading && !error && pagination.pages > 1 && (
+            <Pagination
+              currentPage={pagination.currentPage}
+              totalPages={pagination.pages}
+              onPageChange={handlePageChange}
+            />
+          )}
         </div>
 
         {/* Drawer Sidebar */}
@@ -198,15 +572,49 @@ function BlogsLayout() {
             <h2 className="text-lg font-bold mb-4">
               {editBlog ? "Edit Post" : "Add New Post"}
             </h2>
-            <BlogPostForm
-              onBlogCreated={refreshBlogList}
-              initialData={editBlog}
-              mode={mode}
-              setIsDrawerOpen={setIsDrawerOpen}
-            />
+            {mode === "edit" && editBlog && (
+              <div className="tabs tabs-boxed bg-base-200 mb-4">
+                <button
+                  className={`tab ${drawerTab === "edit" ? "tab-active" : ""}`}
+                  onClick={() => setDrawerTab("edit")}
+                >
+                  Edit
+                </button>
+                <button
+                  className={`tab ${drawerTab === "history" ? "tab-active" : ""}`}
+                  onClick={() => setDrawerTab("history")}
+                >
+                  Revision History
+                </button>
+              </div>
+            )}
+            {drawerTab === "history" && mode === "edit" && editBlog && (
+              <RevisionHistory blog={editBlog} onRestored={handleRevisionRestored} />
+            )}
+            {/* Kept mounted while the history tab is open so unsaved edits survive */}
+            <div className={drawerTab === "edit" ? "" : "hidden"}>
+              <BlogPostForm
+                onBlogCreated={refreshBlogList}
+                initialData={editBlog}
+                mode={mode}
+                isOpen={isDrawerOpen}
+                setIsDrawerOpen={setIsDrawerOpen}
+                taxonomies={taxonomies}
+              />
+            </div>
           </div>
         </div>
       </div>
+
+      <BulkActionModal
+        action={bulkAction && bulkActions[bulkAction]}
+        blogs={bulkTargets}
+        isLoading={isBulkRunning}
+        progress={bulkProgress}
+        results={bulkResults}
+        onConfirm={runBulkAction}
+        onClose={closeBulkModal}
+      />
     </div>
   );
 }
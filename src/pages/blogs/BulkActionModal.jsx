@@ -0,0 +1,79 @@
+import { CheckCircle2, XCircle } from "lucide-react";
+
+// Confirms a bulk action on blog posts, then lists how each post fared
+function BulkActionModal({ action, blogs, isLoading, progress, results, onConfirm, onClose }) {
+  if (!action) return null;
+
+  const failedCount = results ? results.filter((result) => !result.ok).length : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="modal modal-open bg-base-100 text-neutral-content">
+        <div className="modal-box">
+          <h3 className="font-bold text-lg">
+            {results ? `${action.title} finished` : action.title}
+          </h3>
+
+          {results ? (
+            <p className="py-4">
+              {results.length - failedCount} of {results.length} posts {action.doneLabel}
+              {failedCount > 0 && `, ${failedCount} failed`}.
+            </p>
+          ) : isLoading ? (
+            <div className="py-4 space-y-2">
+              <progress className="progress progress-primary w-full" value={progress} max={blogs.length}></progress>
+              <p className="text-sm">{progress} of {blogs.length}</p>
+            </div>
+          ) : (
+            <p className="py-4">{action.summary}</p>
+          )}
+
+          <ul className="max-h-60 overflow-y-auto space-y-1 text-sm">
+            {blogs.map((blog) => {
+              const result = results?.find((item) => item.id === blog.id);
+              return (
+                <li key={blog.id} className="flex items-start gap-2 p-2 bg-base-200 rounded">
+                  {result && (result.ok
+                    ? <CheckCircle2 className="w-4 h-4 text-success shrink-0 mt-0.5" />
+                    : <XCircle className="w-4 h-4 text-error shrink-0 mt-0.5" />)}
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{blog.title}</p>
+                    {!results && action.describe && (
+                      <p className="text-xs text-neutral-content/70">{action.describe(blog)}</p>
+                    )}
+                    {result && !result.ok && (
+                      <p className="text-xs text-error">{result.message}</p>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="modal-action">
+            {results ? (
+              <button className="btn btn-primary text-white" onClick={onClose}>
+                Done
+              </button>
+            ) : (
+              <>
+                <button className="btn btn-ghost" onClick={onClose} disabled={isLoading}>
+                  Cancel
+                </button>
+                <button
+                  className={`btn ${action.destructive ? "btn-error" : "btn-primary text-white"}`}
+                  onClick={onConfirm}
+                  disabled={isLoading}
+                >
+                  {isLoading ? <span className="loading loading-spinner"></span> : action.confirmLabel}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionModal;
@@ -1,16 +1,45 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import { toast } from "react-toastify";
 import axiosInstance from "../../config/axios";
 import ReactQuill from "react-quill-new";
 import "react-quill-new/dist/quill.snow.css";
 import * as yup from "yup";
-const createBlogSchema = (isEditMode = false, hasExistingImage = false) => {
+import { format } from "date-fns";
+import { getBlogStatus } from "../../utils/blogStatus";
+import useAutosave from "../../hooks/useAutosave";
+import DraftRestoreBanner from "../../components/autosave/DraftRestoreBanner";
+import UnsavedChangesGuard from "../../components/autosave/UnsavedChangesGuard";
+import TagInput from "../../components/ui/TagInput";
+import slugify from "../../utils/slugify";
+import { isMediaAsset, appendImageField } from "../../utils/media";
+import MediaPickerModal from "../../components/media/MediaPickerModal";
+import ImageCropModal from "../../components/media/ImageCropModal";
+import { isCroppableImage } from "../../utils/imageProcessing";
+import { Images, Eye } from "lucide-react";
+import BlogPreview from "./BlogPreview";
+import { useAuth } from "../../context/AuthContext";
+
+// Posts written before categories existed have none; they are only required once a post has some
+const createBlogSchema = (isEditMode = false, hasExistingImage = false, status = "published", requireCategories = true) => {
   return yup.object().shape({
     title: yup
       .string()
       .required("Title is required")
       .max(100, "Title cannot exceed 100 characters"),
 
+    slug: yup
+      .string()
+      .required("Slug is required")
+      .max(120, "Slug cannot exceed 120 characters")
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug can only contain lowercase letters, numbers and single hyphens"),
+
+    categories: requireCategories
+      ? yup
+          .array()
+          .of(yup.string())
+          .min(1, "Select at least one category")
+      : yup.array().of(yup.string()),
+
     author: yup
       .string()
       .required("Author name is required")
@@ -24,9 +53,20 @@ const createBlogSchema = (isEditMode = false, hasExistingImage = false) => {
         return value && !isNaN(new Date(value).getTime());
       })
       .test("max-date", "Future dates are not allowed", (value) => {
+        // Scheduled posts are dated on the day they go live
+        if (status === "scheduled") return true;
         return new Date(value) <= new Date();
       }),
 
+    publishAt: status === "scheduled"
+      ? yup
+          .string()
+          .required("Publish date and time is required")
+          .test("future-date", "Scheduled time must be in the future", (value) => {
+            return value && new Date(value) > new Date();
+          })
+      : yup.string().nullable(),
+
     excerpt: yup
       .string()
       .required("Excerpt is required")
@@ -65,18 +105,36 @@ const createBlogSchema = (isEditMode = false, hasExistingImage = false) => {
           .mixed()
           .required("Image is required")
           .test("fileFormat", "Only JPG, PNG, GIF, and WEBP images are allowed", (value) => {
+            if (isMediaAsset(value)) return true;
             if (!value || !(value instanceof File)) return false;
             const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp"];
             return allowedTypes.includes(value.type);
           })
           .test("fileSize", "Image size cannot exceed 2MB", (value) => {
+            if (isMediaAsset(value)) return true;
             if (!value || !(value instanceof File)) return false;
             return value.size <= 2 * 1024 * 1024;
           }),
   });
 };
 
-function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
+// Text fields of a post as held by the form; images are not autosaved
+const getFormValues = (blog) => ({
+  title: blog?.title || "",
+  author: blog?.author || "",
+  date: blog?.date ? new Date(blog.date).toISOString().split('T')[0] : "",
+  excerpt: blog?.excerpt || "",
+  content: blog?.content || "",
+  isPremium: blog?.isPremium || false,
+  publishMode: getBlogStatus(blog) === "scheduled" ? "schedule" : "now",
+  publishAt: blog?.publishAt ? format(new Date(blog.publishAt), "yyyy-MM-dd'T'HH:mm") : "",
+  // Posts created before slugs existed get one from their title
+  slug: blog?.slug || (blog?.title ? slugify(blog.title) : ""),
+  categories: blog?.categories || [],
+  tags: blog?.tags || [],
+});
+
+function BlogPostForm({ onBlogCreated, initialData, mode, isOpen, setIsDrawerOpen, taxonomies = { categories: [], tags: [] } }) {
   const [title, setTitle] = useState("");
   const [author, setAuthor] = useState("");
   const [date, setDate] = useState("");
@@ -87,20 +145,75 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
   const [isPremium, setIsPremium] = useState(false);
+  const [publishMode, setPublishMode] = useState("now"); // "now" or "schedule"
+  const [publishAt, setPublishAt] = useState("");
+  const [slug, setSlug] = useState("");
+  const [slugEdited, setSlugEdited] = useState(false); // once edited by hand the slug stops following the title
+  const [slugStatus, setSlugStatus] = useState("idle"); // "idle", "checking", "available" or "taken"
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
   const [isLoading,setIsLoading]=useState(false)
   const inputRef = useRef(null);
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const [cropFile, setCropFile] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
 
+  const { can } = useAuth();
+  const canPublish = can("blogs", "publish");
   const isEditMode = mode === "edit";
   const hasExistingImage = isEditMode && !!initialData?.image;
+  const currentStatus = isEditMode && initialData ? getBlogStatus(initialData) : "draft";
+  const requireCategories = !isEditMode || Boolean(initialData?.categories?.length);
+
+  const applyValues = (values) => {
+    setTitle(values.title);
+    setAuthor(values.author);
+    setDate(values.date);
+    setExcerpt(values.excerpt);
+    setContent(values.content);
+    setIsPremium(values.isPremium);
+    setPublishMode(values.publishMode);
+    setPublishAt(values.publishAt);
+    setSlug(values.slug);
+    // Existing posts keep their URL unless the slug is changed on purpose
+    setSlugEdited(isEditMode ? Boolean(values.slug) : values.slug !== slugify(values.title));
+    setCategories(values.categories);
+    setTags(values.tags);
+  };
 
+  const savedValues = useMemo(
+    () => getFormValues(isEditMode ? initialData : null),
+    [isEditMode, initialData]
+  );
+  const previewPost = useMemo(
+    () => ({ title, author, date, excerpt, content, image: imagePreview, isPremium, categories, tags }),
+    [title, author, date, excerpt, content, imagePreview, isPremium, categories, tags]
+  );
+  const { pendingDraft, restoreDraft, discardDraft, clearDraft, isDirty } = useAutosave(
+    !isOpen ? null : isEditMode && initialData?.id ? `blog:${initialData.id}` : "blog:new",
+    {
+      title,
+      author,
+      date,
+      excerpt,
+      // Quill reports an empty editor as an empty paragraph
+      content: content === "<p><br></p>" ? "" : content,
+      isPremium,
+      publishMode,
+      publishAt,
+      slug,
+      categories,
+      tags,
+    },
+    savedValues,
+    { onRestore: applyValues }
+  );
+
+  // The form stays mounted while the drawer is closed; closing it drops unsaved edits
+  // (autosave has already stored them) so nothing is left dirty behind the drawer
   useEffect(() => {
     if (isEditMode && initialData) {
-      setTitle(initialData.title || "");
-      setAuthor(initialData.author || "");
-      setDate(initialData.date ? new Date(initialData.date).toISOString().split('T')[0] : "");
-      setExcerpt(initialData.excerpt || "");
-      setContent(initialData.content || "");
-      setIsPremium(initialData.isPremium || false);
+      applyValues(getFormValues(initialData));
       setImagePreview(initialData.image || null);
       // Reset imageFile to null in edit mode since we're not uploading a new image initially
       setImageFile(null);
@@ -109,29 +222,49 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
       resetForm();
       
     }
-  }, [mode, initialData]);
+  }, [mode, initialData, isOpen]);
 
   const resetForm = () => {
-    setTitle("");
-    setAuthor("");
-    setDate("");
-    setExcerpt("");
-    setContent("");
+    applyValues(getFormValues(null));
     setImageFile(null);
     setImagePreview(null);
-    setIsPremium(false);
     setErrors({});
     setTouched({});
   };
 
+  // Check slug uniqueness once typing pauses
+  useEffect(() => {
+    if (!slug || (isEditMode && slug === initialData?.slug)) {
+      setSlugStatus("idle");
+      return;
+    }
+
+    setSlugStatus("checking");
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axiosInstance.get("/blog/check-slug", {
+          params: { slug, excludeId: isEditMode ? initialData?.id : undefined },
+        });
+        setSlugStatus(response.data.available ? "available" : "taken");
+      } catch (error) {
+        console.error("Error checking slug:", error);
+        setSlugStatus("idle");
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [slug, isEditMode, initialData?.id, initialData?.slug]);
+
   const handleBlur = (field) => {
     setTouched((prev) => ({ ...prev, [field]: true }));
     validateField(field);
   };
 
+  const targetStatus = publishMode === "schedule" ? "scheduled" : "published";
+
   const validateField = async (field) => {
     try {
-      const schema = createBlogSchema(isEditMode, hasExistingImage);
+      const schema = createBlogSchema(isEditMode, hasExistingImage, targetStatus, requireCategories);
       const fieldSchema = yup.reach(schema, field);
       const value = {
         title,
@@ -140,6 +273,9 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
         excerpt,
         content,
         image: imageFile,
+        publishAt,
+        slug,
+        categories,
       }[field];
 
       await fieldSchema.validate(value);
@@ -151,7 +287,7 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
     }
   };
 
-  const validateForm = async () => {
+  const validateForm = async (status) => {
     setTouched({
       title: true,
       author: true,
@@ -159,12 +295,19 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
       excerpt: true,
       content: true,
       image: true,
+      publishAt: true,
+      slug: true,
+      categories: true,
     });
 
     try {
-      const schema = createBlogSchema(isEditMode, hasExistingImage);
+      let schema = createBlogSchema(isEditMode, hasExistingImage, status, requireCategories);
+      // Drafts can be saved half-written, only the title is needed to find them again
+      if (status === "draft") {
+        schema = schema.pick(["title"]);
+      }
       await schema.validate(
-        { title, author, date, excerpt, content, image: imageFile },
+        { title, author, date, excerpt, content, image: imageFile, publishAt, slug, categories },
         { abortEarly: false }
       );
       setErrors({});
@@ -179,8 +322,26 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
     }
   };
 
+  const handleMediaSelect = (asset) => {
+    setImageFile(asset);
+    setImagePreview(asset.url);
+    setTouched((prev) => ({ ...prev, image: true }));
+    setErrors((prev) => ({ ...prev, image: "" }));
+  };
+
   const handleImageChange = (e) => {
     const file = e.target.files[0];
+    // Cleared so picking the same file again after cancelling the crop still fires
+    e.target.value = "";
+    if (file && isCroppableImage(file)) {
+      setCropFile(file);
+    } else {
+      applyImageFile(file);
+    }
+  };
+
+  const applyImageFile = (file) => {
+    setCropFile(null);
     if (file) {
       setImageFile(file);
       setTouched((prev) => ({ ...prev, image: true }));
@@ -192,14 +353,21 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
     }
   };
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-
-    const isValid = await validateForm();
+  const savePost = async (status) => {
+    const isValid = await validateForm(status);
     if (!isValid) {
       toast.error("Please fix the errors in the form.");
       return;
     }
+    if (slugStatus === "taken") {
+      setErrors((prev) => ({ ...prev, slug: "This slug is already used by another post" }));
+      toast.error("Please choose a unique slug.");
+      return;
+    }
+    if (slugStatus === "checking") {
+      toast.info("Still checking the slug, please try again in a moment.");
+      return;
+    }
 
     const formData = new FormData();
     formData.append("title", title);
@@ -208,42 +376,74 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
     formData.append("excerpt", excerpt);
     formData.append("content", content);
     formData.append("isPremium", isPremium.toString());
+    formData.append("slug", slug);
+    formData.append("categories", JSON.stringify(categories));
+    formData.append("tags", JSON.stringify(tags));
+    formData.append("status", status);
+    formData.append("publishAt", status === "scheduled" ? new Date(publishAt).toISOString() : "");
 
-    // Only append image if a new file was selected
-    if (imageFile instanceof File) {
-      formData.append("image", imageFile);
-    }
+    // Only append image if a new file or library asset was selected
+    appendImageField(formData, "image", imageFile);
+
+    const successMessages = {
+      draft: "Blog post saved as draft!",
+      scheduled: `Blog post scheduled for ${format(new Date(publishAt || Date.now()), "dd MMM, yyyy HH:mm")}!`,
+      published: isEditMode ? "Blog post updated successfully!" : "Blog post created successfully!",
+    };
 
     try {
-      let response;
+      setIsLoading(true)
       if (mode === "add") {
-        setIsLoading(true)
-
-        response = await axiosInstance.post("/blog/create-blog", formData, {
+        await axiosInstance.post("/blog/create-blog", formData, {
           headers: { "Content-Type": "multipart/form-data" },
         });
-        toast.success("Blog post created successfully!");
       } else if (isEditMode && initialData?.id) {
-        response = await axiosInstance.put(
+        await axiosInstance.put(
           `/blog/update-blog/${initialData.id}`,
           formData,
           { headers: { "Content-Type": "multipart/form-data" } }
         );
-        setIsLoading(false)
-        toast.success("Blog post updated successfully!");
       }
+      toast.success(successMessages[status]);
 
+      await clearDraft();
       onBlogCreated?.();
       resetForm();
       setIsDrawerOpen(false);
     } catch (error) {
       console.error("Error handling blog post:", error.response?.data || error);
       toast.error(error.response?.data?.message || "Failed to save blog post. Please try again.");
+    } finally {
+      setIsLoading(false)
     }
   };
 
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    await savePost(targetStatus);
+  };
+
+  const getSubmitLabel = () => {
+    if (publishMode === "schedule") return "Schedule";
+    return isEditMode && currentStatus === "published" ? "Update" : "Publish";
+  };
+
   return (
     <form onSubmit={handleSubmit} noValidate>
+      {isOpen && isDirty && <UnsavedChangesGuard />}
+      <DraftRestoreBanner draft={pendingDraft} onRestore={restoreDraft} onDiscard={discardDraft} />
+      <div className="flex justify-end mb-2">
+        <button type="button" className="btn btn-sm btn-outline gap-2" onClick={() => setShowPreview(true)}>
+          <Eye className="w-4 h-4" /> Preview
+        </button>
+      </div>
+      {showPreview && (
+        <BlogPreview
+          post={previewPost}
+          onClose={() => setShowPreview(false)}
+        />
+      )}
+
       {/* Title */}
       <div className="form-control mb-4">
         <label className="label"><span className="label-text">Title  <span className="text-error pl-1">*</span></span></label>
@@ -253,6 +453,7 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
           value={title}
           onChange={(e) => {
             setTitle(e.target.value);
+            if (!slugEdited) setSlug(slugify(e.target.value));
             if (touched.title) validateField("title");
           }}
           onBlur={() => handleBlur("title")}
@@ -264,6 +465,49 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
         )}
       </div>
 
+      {/* Slug */}
+      <div className="form-control mb-4">
+        <label className="label">
+          <span className="label-text">URL Slug  <span className="text-error pl-1">*</span></span>
+          {slugEdited && (
+            <button
+              type="button"
+              className="label-text-alt link link-primary"
+              onClick={() => {
+                setSlugEdited(false);
+                setSlug(slugify(title));
+              }}
+            >
+              Generate from title
+            </button>
+          )}
+        </label>
+        <label className={`input input-bordered flex items-center gap-1 ${(errors.slug && touched.slug) || slugStatus === "taken" ? "input-error" : "border-accent"}`}>
+          <span className="text-neutral-content/60 text-sm">/blog/</span>
+          <input
+            type="text"
+            className="grow"
+            value={slug}
+            onChange={(e) => {
+              setSlug(e.target.value.toLowerCase().replace(/\s+/g, "-"));
+              setSlugEdited(true);
+              if (touched.slug) validateField("slug");
+            }}
+            onBlur={() => handleBlur("slug")}
+          />
+          {slugStatus === "checking" && <span className="loading loading-spinner loading-xs"></span>}
+        </label>
+        <label className="label">
+          {errors.slug && touched.slug ? (
+            <span className="label-text-alt text-error">{errors.slug}</span>
+          ) : slugStatus === "taken" ? (
+            <span className="label-text-alt text-error">This slug is already used by another post</span>
+          ) : slugStatus === "available" ? (
+            <span className="label-text-alt text-success">Slug is available</span>
+          ) : null}
+        </label>
+      </div>
+
       {/* Author */}
       <div className="form-control mb-4">
         <label className="label"><span className="label-text">Author  <span className="text-error pl-1">*</span></span></label>
@@ -304,6 +548,49 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
         )}
       </div>
 
+      {/* Publishing */}
+      <div className="form-control mb-4">
+        <label className="label">
+          <span className="label-text">Publishing</span>
+          {isEditMode && (
+            <span className="label-text-alt">Current status: {currentStatus}</span>
+          )}
+        </label>
+        <select
+          className="select select-bordered border-accent"
+          value={publishMode}
+          onChange={(e) => {
+            setPublishMode(e.target.value);
+            setErrors((prev) => ({ ...prev, publishAt: "", date: "" }));
+          }}
+        >
+          <option value="now">Publish immediately</option>
+          <option value="schedule">Schedule for later</option>
+        </select>
+        {publishMode === "schedule" && (
+          <>
+            <input
+              type="datetime-local"
+              className={`input input-bordered mt-2 ${errors.publishAt && touched.publishAt ? "input-error" : "border-accent"}`}
+              value={publishAt}
+              min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+              onChange={(e) => {
+                setPublishAt(e.target.value);
+                // The post date follows the go-live date
+                if (e.target.value) setDate(e.target.value.split("T")[0]);
+                if (touched.publishAt) validateField("publishAt");
+              }}
+              onBlur={() => handleBlur("publishAt")}
+            />
+            {errors.publishAt && touched.publishAt && (
+              <label className="label">
+                <span className="label-text-alt text-error">{errors.publishAt}</span>
+              </label>
+            )}
+          </>
+        )}
+      </div>
+
       {/* Premium Status Dropdown */}
       <div className="form-control mb-4">
         <label className="label">
@@ -319,6 +606,43 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
         </select>
       </div>
 
+      {/* Categories */}
+      <div className="form-control mb-4">
+        <label className="label">
+          <span className="label-text">Categories  <span className="text-error pl-1">*</span></span>
+        </label>
+        <TagInput
+          value={categories}
+          onChange={(value) => {
+            setCategories(value);
+            setTouched((prev) => ({ ...prev, categories: true }));
+            setErrors((prev) => ({ ...prev, categories: value.length ? "" : "Select at least one category" }));
+          }}
+          suggestions={taxonomies.categories}
+          placeholder="Choose or add a category"
+          hasError={errors.categories && touched.categories}
+        />
+        {errors.categories && touched.categories && (
+          <label className="label">
+            <span className="label-text-alt text-error">{errors.categories}</span>
+          </label>
+        )}
+      </div>
+
+      {/* Tags */}
+      <div className="form-control mb-4">
+        <label className="label">
+          <span className="label-text">Tags</span>
+          <span className="label-text-alt">Press Enter or comma to add</span>
+        </label>
+        <TagInput
+          value={tags}
+          onChange={setTags}
+          suggestions={taxonomies.tags}
+          placeholder="Add tags"
+        />
+      </div>
+
       {/* Excerpt */}
       <div className="form-control mb-4">
         <label className="label">
@@ -388,12 +712,31 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
             onChange={handleImageChange}
           />
         </div>
+        <button
+          type="button"
+          className="btn btn-sm btn-ghost gap-2 mt-2 self-start"
+          onClick={() => setShowMediaPicker(true)}
+        >
+          <Images className="w-4 h-4" /> Choose from media library
+        </button>
         {errors.image && touched.image && (
         
           <label className="label">
             <span className="label-text-alt text-error">{errors.image}</span>
           </label>
         )}
+        <MediaPickerModal
+          isOpen={showMediaPicker}
+          onClose={() => setShowMediaPicker(false)}
+          onSelect={handleMediaSelect}
+        />
+        <ImageCropModal
+          file={cropFile}
+          preset="blogCover"
+          maxBytes={2 * 1024 * 1024}
+          onCancel={() => setCropFile(null)}
+          onComplete={applyImageFile}
+        />
       </div>
 
       {/* Content (ReactQuill) */}
@@ -418,8 +761,26 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
         )}
       </div>
 
-      {/* Submit Button */}
-      <div className="form-control mt-6">
+      {/* Submit Buttons */}
+      <div className="form-control mt-6 gap-2">
+  {!canPublish && (
+    <p className="text-sm text-neutral-content/70">
+      {currentStatus === "draft"
+        ? "Your role can save drafts. Someone with publish permission has to publish them."
+        : "Your role cannot change posts that are already published or scheduled."}
+    </p>
+  )}
+  {(canPublish || currentStatus === "draft") && (
+  <button
+    type="button"
+    className="btn btn-outline"
+    disabled={isLoading}
+    onClick={() => savePost("draft")}
+  >
+    {isEditMode && currentStatus !== "draft" ? "Unpublish (save as draft)" : "Save Draft"}
+  </button>
+  )}
+  {canPublish && (
   <button 
     type="submit" 
     className={`btn btn-primary ${isLoading ? 'loading' : ''}`}
@@ -434,9 +795,10 @@ function BlogPostForm({ onBlogCreated, initialData, mode, setIsDrawerOpen }) {
         Loading...
       </span>
     ) : (
-      mode === "add" ? "Publish" : "Update"
+      getSubmitLabel()
     )}
   </button>
+  )}
 </div>
     </form>
   );
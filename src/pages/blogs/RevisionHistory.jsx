@@ -0,0 +1,185 @@
+import { useEffect, useState } from "react";
+import { History, RotateCcw, User, Clock } from "lucide-react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import axiosInstance from "../../config/axios";
+import { diffSequences, diffWords, splitHtmlBlocks, toSideBySide } from "../../utils/textDiff";
+
+const rowStyles = {
+  equal: { left: "", right: "" },
+  changed: { left: "bg-error/20", right: "bg-success/20" },
+};
+
+const WordDiff = ({ changes, side }) => (
+  <p className="text-sm whitespace-pre-wrap leading-relaxed">
+    {changes.map((change, index) => {
+      if (change.type === "equal") return <span key={index}>{change.value}</span>;
+      if (side === "left" && change.type === "removed") {
+        return <span key={index} className="bg-error/30 line-through">{change.value}</span>;
+      }
+      if (side === "right" && change.type === "added") {
+        return <span key={index} className="bg-success/30">{change.value}</span>;
+      }
+      return null;
+    })}
+  </p>
+);
+
+function RevisionHistory({ blog, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    if (!blog?.id) return;
+
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        const response = await axiosInstance.get(`/blog/get-revisions/${blog.id}`);
+        const sortedRevisions = response.data.data.sort(
+          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+        );
+        setRevisions(sortedRevisions);
+        setSelectedRevision(sortedRevisions[0] || null);
+      } catch (error) {
+        console.error("Error fetching revisions:", error);
+        toast.error("Failed to load revision history");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [blog?.id]);
+
+  const handleRestore = async (revision) => {
+    setRestoringId(revision.id);
+    try {
+      const response = await axiosInstance.post(`/blog/restore-revision/${blog.id}/${revision.id}`);
+      toast.success(`Restored version from ${format(new Date(revision.createdAt), "PPp")}`);
+      onRestored?.(response.data.data);
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      toast.error(error.response?.data?.message || "Failed to restore this version. Please try again.");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <span className="loading loading-spinner loading-lg text-primary"></span>
+      </div>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 bg-base-200 rounded-lg">
+        <History className="w-12 h-12 text-gray-400 mb-4" />
+        <h3 className="text-lg font-semibold text-gray-600">No previous versions</h3>
+        <p className="text-gray-500 text-sm">Versions are recorded each time the post is updated</p>
+      </div>
+    );
+  }
+
+  const titleChanges = selectedRevision ? diffWords(selectedRevision.title, blog.title) : [];
+  const excerptChanges = selectedRevision ? diffWords(selectedRevision.excerpt, blog.excerpt) : [];
+  const contentRows = selectedRevision
+    ? toSideBySide(diffSequences(splitHtmlBlocks(selectedRevision.content), splitHtmlBlocks(blog.content)))
+    : [];
+
+  return (
+    <div className="space-y-4">
+      {/* Revision list */}
+      <ul className="space-y-2 max-h-60 overflow-y-auto">
+        {revisions.map((revision) => (
+          <li
+            key={revision.id}
+            className={`p-3 rounded-lg cursor-pointer flex items-center justify-between gap-2 ${selectedRevision?.id === revision.id ? "bg-primary/20" : "bg-base-200 hover:bg-base-300"}`}
+            onClick={() => setSelectedRevision(revision)}
+          >
+            <div className="text-sm space-y-1">
+              <p className="font-medium">{revision.title}</p>
+              <div className="flex items-center gap-3 text-neutral-content flex-wrap">
+                <span className="flex items-center gap-1">
+                  <User className="w-4 h-4" />
+                  {revision.editedBy?.name || revision.editedBy || "Unknown"}
+                </span>
+                <span className="flex items-center gap-1">
+                  <Clock className="w-4 h-4" />
+                  {format(new Date(revision.createdAt), "PPp")}
+                </span>
+              </div>
+            </div>
+            <button
+              type="button"
+              className="btn btn-sm btn-outline gap-1"
+              disabled={restoringId !== null}
+              onClick={(e) => {
+                e.stopPropagation();
+                handleRestore(revision);
+              }}
+            >
+              {restoringId === revision.id ? (
+                <span className="loading loading-spinner loading-xs"></span>
+              ) : (
+                <RotateCcw className="w-4 h-4" />
+              )}
+              Restore
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Side-by-side diff against the saved post */}
+      {selectedRevision && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2 text-xs font-semibold uppercase text-neutral-content/70">
+            <span>{format(new Date(selectedRevision.createdAt), "PPp")}</span>
+            <span>Current version</span>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold mb-1">Title</h4>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="bg-base-200 p-2 rounded"><WordDiff changes={titleChanges} side="left" /></div>
+              <div className="bg-base-200 p-2 rounded"><WordDiff changes={titleChanges} side="right" /></div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold mb-1">Excerpt</h4>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="bg-base-200 p-2 rounded"><WordDiff changes={excerptChanges} side="left" /></div>
+              <div className="bg-base-200 p-2 rounded"><WordDiff changes={excerptChanges} side="right" /></div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold mb-1">Content</h4>
+            <div className="bg-base-200 rounded divide-y divide-base-300">
+              {contentRows.map((row, index) => (
+                <div key={index} className="grid grid-cols-2 gap-2">
+                  <div
+                    className={`p-2 prose prose-sm max-w-none ${row.left ? rowStyles[row.type].left : ""}`}
+                    dangerouslySetInnerHTML={{ __html: row.left || "" }}
+                  />
+                  <div
+                    className={`p-2 prose prose-sm max-w-none ${row.right ? rowStyles[row.type].right : ""}`}
+                    dangerouslySetInnerHTML={{ __html: row.right || "" }}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevisionHistory;
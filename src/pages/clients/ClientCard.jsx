@@ -52,18 +52,22 @@ const ClientCard = ({ client, onDelete, onEdit }) => {
         </div>
 
         <div className="absolute bottom-4 right-4 flex gap-2">
-          <button
-            className="btn btn-sm btn-square btn-ghost"
-            onClick={onEdit}
-          >
-            <Pencil className="w-6 h-6 text-success" />
-          </button>
-          <button
-            className="btn btn-sm btn-square text-white btn-error"
-            onClick={() => setShowDeleteModal(true)}
-          >
-            <Trash2 className="w-6 h-6" />
-          </button>
+          {onEdit && (
+            <button
+              className="btn btn-sm btn-square btn-ghost"
+              onClick={onEdit}
+            >
+              <Pencil className="w-6 h-6 text-success" />
+            </button>
+          )}
+          {onDelete && (
+            <button
+              className="btn btn-sm btn-square text-white btn-error"
+              onClick={() => setShowDeleteModal(true)}
+            >
+              <Trash2 className="w-6 h-6" />
+            </button>
+          )}
         </div>
       </div>
 
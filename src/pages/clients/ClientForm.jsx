@@ -2,6 +2,11 @@ import React, { useState, useRef, useEffect } from "react";
 import { toast } from "react-toastify";
 import axiosInstance from "../../config/axios";
 import * as yup from "yup";
+import { Images } from "lucide-react";
+import { isMediaAsset, appendImageField } from "../../utils/media";
+import MediaPickerModal from "../../components/media/MediaPickerModal";
+import ImageCropModal from "../../components/media/ImageCropModal";
+import { isCroppableImage } from "../../utils/imageProcessing";
 
 // Define validation schema with Yup
 const clientSchema = yup.object().shape({
@@ -30,6 +35,7 @@ const clientSchema = yup.object().shape({
       "Only JPG, PNG, GIF and WEBP images are allowed",
       value => {
         if (!value) return false; // Will fail if no image
+        if (isMediaAsset(value)) return true;
         const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp"];
         return allowedTypes.includes(value.type);
       }
@@ -39,6 +45,7 @@ const clientSchema = yup.object().shape({
       "Image size cannot exceed 2MB", 
       value => {
         if (!value) return false; // Will fail if no image
+        if (isMediaAsset(value)) return true;
         return value.size <= 2 * 1024 * 1024;
       }
     )
@@ -50,6 +57,8 @@ function ClientForm({ onClientCreated, refreshClientList, initialData, mode, set
   const [content, setContent] = useState("");
   const [imageFile, setImageFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const [cropFile, setCropFile] = useState(null);
   const [isLoading,setIsLoading]=useState(false)
   const inputRef = useRef(null);
   
@@ -77,6 +86,17 @@ function ClientForm({ onClientCreated, refreshClientList, initialData, mode, set
 
   const handleImageChange = (event) => {
     const file = event.target.files[0];
+    // Cleared so picking the same file again after cancelling the crop still fires
+    event.target.value = "";
+    if (file && isCroppableImage(file)) {
+      setCropFile(file);
+    } else {
+      applyImageFile(file);
+    }
+  };
+
+  const applyImageFile = (file) => {
+    setCropFile(null);
     if (file) {
       setImageFile(file);
       setImagePreview(URL.createObjectURL(file));
@@ -87,6 +107,13 @@ function ClientForm({ onClientCreated, refreshClientList, initialData, mode, set
     }
   };
 
+  const handleMediaSelect = (asset) => {
+    setImageFile(asset);
+    setImagePreview(asset.url);
+    setTouched(prev => ({ ...prev, image: true }));
+    validateField("image", asset);
+  };
+
   const handleRemoveImage = () => {
     setImageFile(null);
     setImagePreview(null);
@@ -214,9 +241,7 @@ function ClientForm({ onClientCreated, refreshClientList, initialData, mode, set
     formData.append("website", website);
     formData.append("description", content);
     
-    if (imageFile) {
-      formData.append("logo", imageFile);
-    }
+    appendImageField(formData, "logo", imageFile);
 
     try {
       setIsLoading(true); // Set loading to true at the start of submission
@@ -375,11 +400,30 @@ function ClientForm({ onClientCreated, refreshClientList, initialData, mode, set
             onChange={handleImageChange}
           />
         </div>
+        <button
+          type="button"
+          className="btn btn-sm btn-ghost gap-2 mt-2 self-start"
+          onClick={() => setShowMediaPicker(true)}
+        >
+          <Images className="w-4 h-4" /> Choose from media library
+        </button>
         {errors.image && touched.image && (
           <label className="label">
             <span className="label-text-alt text-error">{errors.image}</span>
           </label>
         )}
+        <MediaPickerModal
+          isOpen={showMediaPicker}
+          onClose={() => setShowMediaPicker(false)}
+          onSelect={handleMediaSelect}
+        />
+        <ImageCropModal
+          file={cropFile}
+          preset="logo"
+          maxBytes={2 * 1024 * 1024}
+          onCancel={() => setCropFile(null)}
+          onComplete={applyImageFile}
+        />
       </div>
 
       {/* Submit Button */}
@@ -3,8 +3,10 @@ import { Search } from "lucide-react";
 import ClientForm from "./ClientForm";
 import ClientCard from "./ClientCard";
 import axiosInstance from "../../config/axios";
+import { useAuth } from "../../context/AuthContext";
 
 function ClientsLayout() {
+  const { can } = useAuth();
   const [clients, setClients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -77,12 +79,14 @@ function ClientsLayout() {
               <h1 className="text-3xl font-bold text-neutral-content">Clients</h1>
               <p>Total Clients: {clients.length}</p>
             </div>
-            <button
-              className="btn btn-primary text-white gap-2"
-              onClick={handleAddNewClient}
-            >
-              + New Client
-            </button>
+            {can("clients", "create") && (
+              <button
+                className="btn btn-primary text-white gap-2"
+                onClick={handleAddNewClient}
+              >
+                + New Client
+              </button>
+            )}
           </div>
 
           {/* Search Section */}
@@ -127,8 +131,8 @@ function ClientsLayout() {
                 <ClientCard
                   key={client.id}
                   client={client}
-                  onEdit={() => handleEditClient(client)}
-                  onDelete={() => handleDeleteClient(client.id)}
+                  onEdit={can("clients", "edit") ? () => handleEditClient(client) : undefined}
+                  onDelete={can("clients", "delete") ? () => handleDeleteClient(client.id) : undefined}
                 />
               ))}
             </div>
@@ -0,0 +1,291 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import {
+  ArrowLeft,
+  Mail,
+  Phone,
+  Split,
+  Inbox,
+  UserPlus,
+  UserMinus,
+  Newspaper,
+  Reply,
+  Contact,
+} from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { useAuth } from "../../context/AuthContext";
+import { getEnquiryStageLabel } from "../../utils/enquiryStages";
+
+// How each kind of timeline event is drawn
+const EVENT_TYPES = {
+  enquiry: { label: "Enquiry", icon: Inbox, color: "text-primary" },
+  reply: { label: "Reply", icon: Reply, color: "text-secondary" },
+  subscribed: { label: "Subscribed", icon: UserPlus, color: "text-success" },
+  unsubscribed: { label: "Unsubscribed", icon: UserMinus, color: "text-warning" },
+  newsletter: { label: "Newsletter", icon: Newspaper, color: "text-info" },
+};
+
+// Moves some of a contact's emails and phone numbers, and their records, into a new contact
+function SplitContactModal({ contact, onClose, onSplit }) {
+  const [emails, setEmails] = useState([]);
+  const [phones, setPhones] = useState([]);
+  const [isSplitting, setIsSplitting] = useState(false);
+
+  const toggle = (list, setList, value) => {
+    setList(list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+  };
+
+  const identifierCount = contact.emails.length + contact.phones.length;
+  const movingCount = emails.length + phones.length;
+
+  const handleSplit = async () => {
+    setIsSplitting(true);
+    try {
+      const response = await axiosInstance.post(`/contacts/split/${contact.id}`, { emails, phones });
+      onSplit(response.data.data);
+    } catch (error) {
+      console.error("Error splitting contact:", error);
+      toast.error(error.response?.data?.message || "Failed to split the contact");
+    } finally {
+      setIsSplitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-md w-full text-neutral-content">
+        <h2 className="text-lg font-bold mb-2 flex items-center gap-2">
+          <Split className="w-5 h-5" /> Split Contact
+        </h2>
+        <p className="text-sm mb-4">
+          Choose the details that belong to someone else. They move to a new contact together with their enquiries,
+          subscription and replies.
+        </p>
+
+        <div className="space-y-1 mb-6">
+          {contact.emails.map((email) => (
+            <label key={email} className="label cursor-pointer justify-start gap-3">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm checkbox-primary"
+                checked={emails.includes(email)}
+                onChange={() => toggle(emails, setEmails, email)}
+              />
+              <Mail className="w-4 h-4" />
+              <span className="label-text">{email}</span>
+            </label>
+          ))}
+          {contact.phones.map((phone) => (
+            <label key={phone} className="label cursor-pointer justify-start gap-3">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm checkbox-primary"
+                checked={phones.includes(phone)}
+                onChange={() => toggle(phones, setPhones, phone)}
+              />
+              <Phone className="w-4 h-4" />
+              <span className="label-text">+{phone}</span>
+            </label>
+          ))}
+        </div>
+
+        {movingCount === identifierCount && (
+          <p className="text-sm text-error mb-4">At least one email or phone number has to stay with this contact.</p>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button className="btn btn-ghost" onClick={onClose} disabled={isSplitting}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-primary text-white"
+            onClick={handleSplit}
+            disabled={isSplitting || movingCount === 0 || movingCount === identifierCount}
+          >
+            {isSplitting ? <span className="loading loading-spinner"></span> : "Split"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One person's history across enquiries, replies and the newsletter, newest first
+function ContactDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const [contact, setContact] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [typeFilter, setTypeFilter] = useState("");
+  const [showSplitModal, setShowSplitModal] = useState(false);
+
+  const fetchContact = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get(`/contacts/get-contact/${id}`);
+      setContact(response.data.data.contact);
+      setTimeline(
+        [...response.data.data.timeline].sort((a, b) => new Date(b.date) - new Date(a.date))
+      );
+    } catch (error) {
+      console.error("Error fetching contact:", error);
+      toast.error("Failed to load the contact");
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchContact();
+  }, [fetchContact]);
+
+  const handleSplit = (newContact) => {
+    setShowSplitModal(false);
+    toast.success(`Created ${newContact.name || newContact.emails[0] || "a new contact"}`);
+    fetchContact();
+  };
+
+  if (loading && !contact) {
+    return (
+      <div className="flex justify-center items-center min-h-[600px]">
+        <span className="loading loading-spinner loading-lg text-primary"></span>
+      </div>
+    );
+  }
+
+  if (!contact) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 min-h-[400px]">
+        <Contact className="w-16 h-16 text-gray-400 mb-4" />
+        <h3 className="text-xl font-semibold text-gray-600">Contact not found</h3>
+        <Link to="/contacts" className="btn btn-ghost mt-4">Back to contacts</Link>
+      </div>
+    );
+  }
+
+  const visibleEvents = typeFilter ? timeline.filter((event) => event.type === typeFilter) : timeline;
+
+  return (
+    <div className="py-8 min-h-screen">
+      <button className="btn btn-ghost btn-sm gap-1 mb-4" onClick={() => navigate(-1)}>
+        <ArrowLeft className="w-4 h-4" /> Back
+      </button>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-base-100 p-6 rounded-lg shadow-lg h-fit space-y-4">
+          <div>
+            <h1 className="text-2xl font-bold text-neutral-content">{contact.name || "Unnamed contact"}</h1>
+            {contact.subscribedAt ? (
+              <span className="badge badge-success badge-sm text-white mt-1">
+                Subscribed since {format(new Date(contact.subscribedAt), "PP")}
+              </span>
+            ) : (
+              <span className="badge badge-ghost badge-sm mt-1">Not subscribed</span>
+            )}
+          </div>
+
+          <div className="space-y-2 text-sm">
+            {contact.emails.map((email) => (
+              <p key={email} className="flex items-center gap-2"><Mail className="w-4 h-4" /> {email}</p>
+            ))}
+            {contact.phones.map((phone) => (
+              <p key={phone} className="flex items-center gap-2"><Phone className="w-4 h-4" /> +{phone}</p>
+            ))}
+          </div>
+
+          <div className="stats stats-vertical bg-base-200 w-full">
+            <div className="stat py-2">
+              <div className="stat-title">Enquiries</div>
+              <div className="stat-value text-2xl">{contact.enquiryCount}</div>
+            </div>
+            <div className="stat py-2">
+              <div className="stat-title">Newsletters received</div>
+              <div className="stat-value text-2xl">{contact.newsletterCount ?? 0}</div>
+            </div>
+          </div>
+
+          {can("contacts", "edit") && (
+            <button
+              className="btn btn-outline btn-sm w-full gap-1"
+              onClick={() => setShowSplitModal(true)}
+              disabled={contact.emails.length + contact.phones.length < 2}
+              title={contact.emails.length + contact.phones.length < 2 ? "Only contacts with several emails or phone numbers can be split" : undefined}
+            >
+              <Split className="w-4 h-4" /> Split contact
+            </button>
+          )}
+        </div>
+
+        <div className="bg-base-100 p-6 rounded-lg shadow-lg lg:col-span-2">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+            <h2 className="text-lg font-semibold">Timeline</h2>
+            <select
+              className="select select-bordered select-sm"
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+            >
+              <option value="">All activity</option>
+              {Object.entries(EVENT_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {visibleEvents.length === 0 ? (
+            <p className="text-sm text-neutral-content/70">No activity yet</p>
+          ) : (
+            <ul className="timeline timeline-vertical timeline-compact">
+              {visibleEvents.map((event, index) => {
+                const { label, icon: Icon, color } = EVENT_TYPES[event.type] || EVENT_TYPES.enquiry;
+                return (
+                  <li key={`${event.type}-${event.id}`}>
+                    {index > 0 && <hr />}
+                    <div className="timeline-middle">
+                      <Icon className={`w-5 h-5 ${color}`} />
+                    </div>
+                    <div className="timeline-end mb-6 w-full">
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-content/70">
+                        <span className="font-semibold">{label}</span>
+                        <time>{format(new Date(event.date), "PPp")}</time>
+                        {event.type === "enquiry" && event.stage && (
+                          <span className="badge badge-outline badge-xs">{getEnquiryStageLabel(event.stage)}</span>
+                        )}
+                      </div>
+                      {event.title && <p className="font-medium mt-1">{event.title}</p>}
+                      {event.body && (
+                        <p className="text-sm whitespace-pre-wrap bg-base-200 p-3 rounded-lg mt-1 line-clamp-6">{event.body}</p>
+                      )}
+                      {event.type === "enquiry" && (
+                        <Link
+                          to={`/enquiries?q=${encodeURIComponent(event.email || contact.emails[0] || "")}`}
+                          className="link link-primary text-xs"
+                        >
+                          Open in Enquiries
+                        </Link>
+                      )}
+                    </div>
+                    {index < visibleEvents.length - 1 && <hr />}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {showSplitModal && (
+        <SplitContactModal
+          contact={contact}
+          onClose={() => setShowSplitModal(false)}
+          onSplit={handleSplit}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ContactDetail;
@@ -0,0 +1,223 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { Contact, Search, X, Merge, RefreshCw, Mail, Phone } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import { useAuth } from "../../context/AuthContext";
+import Pagination from "../../components/ui/Pagination";
+import useQueryState from "../../hooks/useQueryState";
+import MergeContactsModal from "./MergeContactsModal";
+
+const DEFAULT_QUERY = { q: "", subscribed: "", page: "1" };
+const PAGE_SIZE = 20;
+
+/**
+ * People built from enquiries and newsletter subscribers. The API links records that share
+ * an email or phone number; contacts it could not link can be merged here by hand.
+ */
+function ContactsLayout() {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const { query, updateQuery, searchInput, setSearchInput } = useQueryState(DEFAULT_QUERY);
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1, currentPage: 1 });
+  const [selectedContacts, setSelectedContacts] = useState({});
+  const [showMergeModal, setShowMergeModal] = useState(false);
+
+  const fetchContacts = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (query.q) params.append("search", query.q);
+    if (query.subscribed) params.append("subscribed", query.subscribed);
+    params.append("page", query.page);
+    params.append("limit", PAGE_SIZE.toString());
+
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get(`/contacts/get-all-contacts?${params}`);
+      setContacts(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error("Error fetching contacts:", error);
+      toast.error("Failed to load contacts");
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchContacts();
+  }, [fetchContacts]);
+
+  const selectedList = Object.values(selectedContacts);
+
+  const toggleSelect = (contact) => {
+    setSelectedContacts((prev) => {
+      const next = { ...prev };
+      if (next[contact.id]) {
+        delete next[contact.id];
+      } else {
+        next[contact.id] = contact;
+      }
+      return next;
+    });
+  };
+
+  const handleMerged = (merged) => {
+    setShowMergeModal(false);
+    setSelectedContacts({});
+    toast.success(`Merged into ${merged.name || merged.emails[0]}`);
+    fetchContacts();
+  };
+
+  return (
+    <div className="py-8 min-h-screen">
+      <div className="bg-base-100 p-6 rounded-lg shadow-lg">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-start gap-3">
+            <Contact className="w-6 h-6 text-primary" />
+            <div className="space-y-[0.5px]">
+              <h1 className="text-2xl font-bold text-neutral-content">Contacts</h1>
+              <p>Total Contacts : {pagination.total}</p>
+              <p className="text-sm text-gray-500 mt-1">Everyone who has sent an enquiry or subscribed to the newsletter</p>
+            </div>
+          </div>
+          <button onClick={fetchContacts} className="btn btn-ghost btn-circle" aria-label="Refresh">
+            <RefreshCw className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-2 mb-4">
+          <label className="input input-bordered flex items-center gap-2 flex-1">
+            <Search className="w-4 h-4 opacity-70" />
+            <input
+              type="text"
+              className="grow"
+              placeholder="Search by name, email or phone..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            {searchInput && (
+              <button type="button" onClick={() => setSearchInput("")} aria-label="Clear search">
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </label>
+          <select
+            className="select select-bordered"
+            value={query.subscribed}
+            onChange={(e) => updateQuery({ subscribed: e.target.value })}
+          >
+            <option value="">Everyone</option>
+            <option value="true">Subscribers</option>
+            <option value="false">Not subscribed</option>
+          </select>
+        </div>
+
+        {selectedList.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-base-200 rounded-lg">
+            <span className="font-semibold text-neutral-content mr-2">
+              {selectedList.length} {selectedList.length === 1 ? "contact" : "contacts"} selected
+            </span>
+            {can("contacts", "edit") && (
+              <button
+                className="btn btn-sm btn-primary text-white gap-1"
+                onClick={() => setShowMergeModal(true)}
+                disabled={selectedList.length < 2}
+                title={selectedList.length < 2 ? "Select at least two contacts to merge" : undefined}
+              >
+                <Merge className="w-4 h-4" /> Merge
+              </button>
+            )}
+            <button className="btn btn-sm btn-ghost ml-auto" onClick={() => setSelectedContacts({})}>
+              Clear selection
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center items-center min-h-[400px]">
+            <span className="loading loading-spinner loading-lg text-primary"></span>
+          </div>
+        ) : contacts.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-12 bg-base-200 rounded-lg min-h-[400px]">
+            <Contact className="w-16 h-16 text-gray-400 mb-4" />
+            <h3 className="text-xl font-semibold text-gray-600">No contacts found</h3>
+            <p className="text-gray-500">Contacts appear here when someone sends an enquiry or subscribes</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table w-full">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Name</th>
+                  <th>Email & Phone</th>
+                  <th>Enquiries</th>
+                  <th>Newsletter</th>
+                  <th>Last Activity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {contacts.map((contact) => (
+                  <tr
+                    key={contact.id}
+                    className={`hover cursor-pointer ${selectedContacts[contact.id] ? "bg-base-200" : ""}`}
+                    onClick={() => navigate(`/contacts/${contact.id}`)}
+                  >
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        className="checkbox checkbox-sm checkbox-primary"
+                        checked={Boolean(selectedContacts[contact.id])}
+                        onChange={() => toggleSelect(contact)}
+                        aria-label={`Select ${contact.name || contact.emails[0]}`}
+                      />
+                    </td>
+                    <td className="font-medium">{contact.name || "—"}</td>
+                    <td className="text-sm">
+                      {contact.emails.map((email) => (
+                        <p key={email} className="flex items-center gap-1"><Mail className="w-3 h-3" /> {email}</p>
+                      ))}
+                      {contact.phones.map((phone) => (
+                        <p key={phone} className="flex items-center gap-1"><Phone className="w-3 h-3" /> +{phone}</p>
+                      ))}
+                    </td>
+                    <td>{contact.enquiryCount}</td>
+                    <td>
+                      {contact.subscribedAt ? (
+                        <span className="badge badge-success badge-sm text-white">Since {format(new Date(contact.subscribedAt), "PP")}</span>
+                      ) : (
+                        <span className="badge badge-ghost badge-sm">Not subscribed</span>
+                      )}
+                    </td>
+                    <td>{contact.lastActivityAt ? format(new Date(contact.lastActivityAt), "PP") : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {contacts.length > 0 && (
+          <Pagination
+            currentPage={pagination.currentPage}
+            totalPages={pagination.pages}
+            onPageChange={(page) => updateQuery({ page }, { resetPage: false })}
+          />
+        )}
+      </div>
+
+      {showMergeModal && (
+        <MergeContactsModal
+          contacts={selectedList}
+          onClose={() => setShowMergeModal(false)}
+          onMerged={handleMerged}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ContactsLayout;
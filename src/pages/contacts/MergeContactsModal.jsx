@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+import { Merge } from "lucide-react";
+import axiosInstance from "../../config/axios";
+
+// Merges the chosen contacts into one; the primary keeps its name and the others' records move to it
+function MergeContactsModal({ contacts, onClose, onMerged }) {
+  const [primaryId, setPrimaryId] = useState(contacts[0]?.id);
+  const [isMerging, setIsMerging] = useState(false);
+
+  const emails = [...new Set(contacts.flatMap((contact) => contact.emails))];
+  const phones = [...new Set(contacts.flatMap((contact) => contact.phones))];
+
+  const handleMerge = async () => {
+    setIsMerging(true);
+    try {
+      const response = await axiosInstance.post("/contacts/merge", {
+        primaryId,
+        mergeIds: contacts.filter((contact) => contact.id !== primaryId).map((contact) => contact.id),
+      });
+      onMerged(response.data.data);
+    } catch (error) {
+      console.error("Error merging contacts:", error);
+      toast.error(error.response?.data?.message || "Failed to merge contacts");
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-base-100 p-6 rounded-lg shadow-xl max-w-lg w-full text-neutral-content">
+        <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+          <Merge className="w-5 h-5" /> Merge {contacts.length} Contacts
+        </h2>
+
+        <p className="text-sm mb-2">Keep the name and details of:</p>
+        <div className="space-y-2 mb-4">
+          {contacts.map((contact) => (
+            <label key={contact.id} className="flex items-start gap-3 p-3 bg-base-200 rounded-lg cursor-pointer">
+              <input
+                type="radio"
+                name="primaryContact"
+                className="radio radio-sm radio-primary mt-1"
+                checked={primaryId === contact.id}
+                onChange={() => setPrimaryId(contact.id)}
+              />
+              <div className="min-w-0">
+                <p className="font-medium">{contact.name || "Unnamed contact"}</p>
+                <p className="text-xs truncate">{[...contact.emails, ...contact.phones.map((phone) => `+${phone}`)].join(", ")}</p>
+                <p className="text-xs text-neutral-content/70">
+                  {contact.enquiryCount} {contact.enquiryCount === 1 ? "enquiry" : "enquiries"}
+                  {contact.subscribedAt && " · subscriber"}
+                </p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div className="bg-base-200 p-3 rounded-lg text-sm mb-6">
+          <p className="font-medium mb-1">The merged contact will have</p>
+          <p>Emails: {emails.join(", ") || "—"}</p>
+          <p>Phones: {phones.map((phone) => `+${phone}`).join(", ") || "—"}</p>
+          <p className="text-xs text-neutral-content/70 mt-2">
+            Every enquiry, subscription, newsletter and reply moves to the merged contact. You can split it again later.
+          </p>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button className="btn btn-ghost" onClick={onClose} disabled={isMerging}>
+            Cancel
+          </button>
+          <button className="btn btn-primary text-white" onClick={handleMerge} disabled={isMerging || !primaryId}>
+            {isMerging ? <span className="loading loading-spinner"></span> : "Merge"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MergeContactsModal;
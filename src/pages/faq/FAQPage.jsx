@@ -5,8 +5,10 @@ import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import FAQForm from './FAQForm';
 import { toast } from 'react-toastify';
 import DeleteConfirmModal from '../../components/ui/modal/DeleteConfirmModal';
+import { useAuth } from '../../context/AuthContext';
 
 const FAQPage = () => {
+  const { can } = useAuth();
   const [faqs, setFaqs] = useState([]);
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [editFAQ, setEditFAQ] = useState(null);
@@ -107,13 +109,15 @@ const FAQPage = () => {
        <h1 className="text-3xl font-bold text-neutral-content">FAQ's </h1>
        <p >Total Faq's : {faqs.length}</p>
         </div>
-            <button
-              className="btn btn-primary gap-2"
-              onClick={handleAddNewFAQ}
-            >
-              <Plus className="w-5 h-5" />
-              Add FAQ
-            </button>
+            {can('faqs', 'create') && (
+              <button
+                className="btn btn-primary gap-2"
+                onClick={handleAddNewFAQ}
+              >
+                <Plus className="w-5 h-5" />
+                Add FAQ
+              </button>
+            )}
           </div>
 
           {faqs.length>0?(<DragDropContext onDragEnd={handleDragEnd}>
@@ -125,7 +129,7 @@ const FAQPage = () => {
                   {...provided.droppableProps}
                 >
                   {faqs.map((faq, index) => (
-                    <Draggable key={faq.id} draggableId={faq.id.toString()} index={index}>
+                    <Draggable key={faq.id} draggableId={faq.id.toString()} index={index} isDragDisabled={!can('faqs', 'edit')}>
                       {(provided) => (
                         <div
                           ref={provided.innerRef}
@@ -139,18 +143,22 @@ const FAQPage = () => {
                             <span className="text-sm opacity-70 ml-2">Order: {faq.order}</span>
                           </div>
                           <div className="flex items-center space-x-2">
-                            <button
-                              className="btn btn-sm btn-square btn-ghost"
-                              onClick={() => handleEditFAQ(faq)}
-                            >
-                              <Pencil className="w-6 h-6 text-success" />
-                            </button>
-                            <button
-                              className="btn btn-sm btn-square text-white btn-error"
-                              onClick={() => setFaqToDelete(faq.id)}
-                            >
-                              <Trash2 className="w-6 h-6" />
-                            </button>
+                            {can('faqs', 'edit') && (
+                              <button
+                                className="btn btn-sm btn-square btn-ghost"
+                                onClick={() => handleEditFAQ(faq)}
+                              >
+                                <Pencil className="w-6 h-6 text-success" />
+                              </button>
+                            )}
+                            {can('faqs', 'delete') && (
+                              <button
+                                className="btn btn-sm btn-square text-white btn-error"
+                                onClick={() => setFaqToDelete(faq.id)}
+                              >
+                                <Trash2 className="w-6 h-6" />
+                              </button>
+                            )}
                           </div>
                         </div>
                       )}
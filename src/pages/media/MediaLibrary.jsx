@@ -0,0 +1,288 @@
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { Search, Upload, ImageOff, Trash2, Copy, Link2, Save } from "lucide-react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import axiosInstance from "../../config/axios";
+import Pagination from "../../components/ui/Pagination";
+import DeleteConfirmModal from "../../components/ui/modal/DeleteConfirmModal";
+import useMediaAssets, { uploadMediaAsset } from "../../hooks/useMediaAssets";
+import { useAuth } from "../../context/AuthContext";
+
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Where each kind of usage reference is edited
+const USAGE_LINKS = {
+  blog: { label: "Blog post", path: "/posts" },
+  client: { label: "Client", path: "/clients" },
+  team: { label: "Team member", path: "/team" },
+  organization: { label: "Organization details", path: "/organization-details" },
+  seo: { label: "SEO", path: "/seo-editor" },
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return "—";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+function MediaLibrary() {
+  const { can } = useAuth();
+  const canEdit = can("media", "edit");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [altText, setAltText] = useState("");
+  const [isSavingAlt, setIsSavingAlt] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const inputRef = useRef(null);
+  const { assets, pagination, loading, refresh } = useMediaAssets({ search, page });
+
+  useEffect(() => {
+    setAltText(selected?.alt || "");
+  }, [selected]);
+
+  const handleUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    const invalid = files.filter((file) => !ALLOWED_TYPES.includes(file.type) || file.size > MAX_SIZE);
+    if (invalid.length > 0) {
+      toast.error(`Skipped ${invalid.map((file) => file.name).join(", ")}: only JPG, PNG, GIF and WEBP up to 5MB are allowed`);
+    }
+    const valid = files.filter((file) => !invalid.includes(file));
+    if (valid.length === 0) return;
+
+    setIsUploading(true);
+    try {
+      const settled = await Promise.allSettled(valid.map((file) => uploadMediaAsset(file)));
+      const failed = settled.filter((outcome) => outcome.status === "rejected");
+      failed.forEach((outcome) => console.error("Error uploading media:", outcome.reason));
+      if (failed.length === 0) {
+        toast.success(`Uploaded ${valid.length} ${valid.length === 1 ? "image" : "images"}`);
+      } else {
+        toast.error(`${failed.length} of ${valid.length} uploads failed`);
+      }
+      setPage(1);
+      refresh();
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleSaveAlt = async () => {
+    setIsSavingAlt(true);
+    try {
+      const response = await axiosInstance.put(`/media/update-media/${selected.id}`, { alt: altText.trim() });
+      setSelected(response.data.data);
+      toast.success("Alt text updated");
+      refresh();
+    } catch (error) {
+      console.error("Error updating alt text:", error);
+      toast.error("Failed to update alt text");
+    } finally {
+      setIsSavingAlt(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axiosInstance.delete(`/media/delete-media/${selected.id}`);
+      toast.success("Image deleted successfully!");
+      setSelected(null);
+      refresh();
+    } catch (error) {
+      console.error("Error deleting media:", error);
+      toast.error(error.response?.data?.message || "Failed to delete the image. Please try again.");
+    } finally {
+      setIsDeleting(false);
+      setShowDeleteModal(false);
+    }
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(selected.url);
+      toast.success("URL copied to clipboard");
+    } catch (error) {
+      console.error("Error copying URL:", error);
+      toast.error("Could not copy the URL");
+    }
+  };
+
+  const usage = selected?.usage || [];
+
+  return (
+    <div className="min-h-screen">
+      {/* Header Section */}
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-neutral-content">Media Library</h1>
+        {can("media", "create") && (
+          <button
+            className="btn btn-primary text-white gap-2"
+            onClick={() => inputRef.current?.click()}
+            disabled={isUploading}
+          >
+            {isUploading ? <span className="loading loading-spinner loading-sm"></span> : <Upload className="w-4 h-4" />}
+            Upload images
+          </button>
+        )}
+        <input
+          type="file"
+          accept={ALLOWED_TYPES.join(", ")}
+          multiple
+          className="hidden"
+          ref={inputRef}
+          onChange={handleUpload}
+        />
+      </div>
+
+      {/* Search Section */}
+      <div className="relative mb-6">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+        <input
+          type="text"
+          placeholder="Search by file name or alt text..."
+          className="input input-bordered w-full focus:outline-none pl-10 bg-base-100 text-neutral-content"
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setPage(1);
+          }}
+        />
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-6">
+        {/* Asset Grid */}
+        <div className="flex-grow">
+          <p className="mb-4 text-neutral-content">
+            Showing {assets.length} of {pagination.total} {pagination.total === 1 ? "image" : "images"}
+          </p>
+          {loading ? (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 xl:grid-cols-6 gap-4">
+              {[...Array(12)].map((_, index) => (
+                <div key={index} className="aspect-square bg-base-200 rounded-lg animate-pulse"></div>
+              ))}
+            </div>
+          ) : assets.length === 0 ? (
+            <div className="flex flex-col items-center justify-center p-8 bg-base-200 rounded-lg">
+              <ImageOff className="w-12 h-12 text-gray-400 mb-4" />
+              <h3 className="text-xl font-semibold mb-2">No images found</h3>
+              <p className="text-neutral-content">
+                {search ? `No images matching "${search}"` : "Upload an image to get started"}
+              </p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 xl:grid-cols-6 gap-4">
+              {assets.map((asset) => (
+                <button
+                  key={asset.id}
+                  className={`relative aspect-square rounded-lg overflow-hidden bg-base-200 group ${selected?.id === asset.id ? "ring-2 ring-primary" : ""}`}
+                  onClick={() => setSelected(asset)}
+                >
+                  <img src={asset.url} alt={asset.alt || ""} className="w-full h-full object-cover" loading="lazy" />
+                  <div className="absolute inset-x-0 bottom-0 bg-black/60 text-white text-xs p-1 truncate opacity-0 group-hover:opacity-100 transition-opacity">
+                    {asset.fileName}
+                  </div>
+                  {asset.usage?.length > 0 && (
+                    <span className="absolute top-1 right-1 badge badge-sm badge-primary text-white">
+                      {asset.usage.length}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <Pagination currentPage={pagination.currentPage} totalPages={pagination.pages} onPageChange={setPage} />
+          )}
+        </div>
+
+        {/* Details Panel */}
+        {selected && (
+          <div className="lg:w-80 shrink-0 bg-base-200 rounded-lg p-4 space-y-4 self-start">
+            <img src={selected.url} alt={selected.alt || ""} className="w-full rounded-lg" />
+            <div className="text-sm space-y-1 text-neutral-content">
+              <p className="font-semibold break-all">{selected.fileName}</p>
+              <p>{formatBytes(selected.size)}{selected.width && ` · ${selected.width}×${selected.height}`}</p>
+              {selected.createdAt && <p>Uploaded {format(new Date(selected.createdAt), "dd MMM, yyyy")}</p>}
+            </div>
+
+            <button className="btn btn-sm btn-outline w-full gap-2" onClick={copyUrl}>
+              <Copy className="w-4 h-4" /> Copy URL
+            </button>
+
+            <div className="form-control">
+              <label className="label">
+                <span className="label-text">Alt text</span>
+              </label>
+              <textarea
+                className="textarea textarea-bordered bg-base-100 focus:outline-none"
+                rows={2}
+                placeholder="Describe the image for screen readers"
+                value={altText}
+                onChange={(e) => setAltText(e.target.value)}
+                readOnly={!canEdit}
+              />
+              {canEdit && (
+                <button
+                  className="btn btn-sm btn-primary text-white mt-2 gap-2"
+                  onClick={handleSaveAlt}
+                  disabled={isSavingAlt || altText.trim() === (selected.alt || "")}
+                >
+                  {isSavingAlt ? <span className="loading loading-spinner loading-xs"></span> : <Save className="w-4 h-4" />}
+                  Save alt text
+                </button>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-sm mb-2 flex items-center gap-1">
+                <Link2 className="w-4 h-4" /> Used in
+              </h4>
+              {usage.length === 0 ? (
+                <p className="text-sm text-neutral-content/70">Not used anywhere yet</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {usage.map((reference) => (
+                    <li key={`${reference.type}-${reference.id}`}>
+                      <Link to={USAGE_LINKS[reference.type]?.path || "/"} className="link link-hover">
+                        {USAGE_LINKS[reference.type]?.label || reference.type}: {reference.title}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {can("media", "delete") && (
+              <button className="btn btn-sm btn-error text-white w-full gap-2" onClick={() => setShowDeleteModal(true)}>
+                <Trash2 className="w-4 h-4" /> Delete
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <DeleteConfirmModal
+        isOpen={showDeleteModal}
+        onClose={() => setShowDeleteModal(false)}
+        onConfirm={handleDelete}
+        isLoading={isDeleting}
+        title="Delete Image"
+        message={usage.length > 0
+          ? `This image is used in ${usage.length} ${usage.length === 1 ? "place" : "places"}. Deleting it will leave them without an image. Continue?`
+          : "Are you sure you want to delete this image?"}
+      />
+    </div>
+  );
+}
+
+export default MediaLibrary;
@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Chart } from "react-google-charts";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { ArrowLeft, MailCheck, MailX, MailOpen, MousePointerClick, UserMinus, Newspaper } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import StatCard from "../../components/ui/StatCard";
+import { useTheme } from "../../context/ThemeContext";
+import { CAMPAIGN_STATUSES, getCampaignStatusLabel } from "../../utils/campaignStatus";
+
+const percentOf = (count, total) => (total ? `${((count / total) * 100).toFixed(1)}%` : "0%");
+
+// Delivery, engagement and per-link clicks for one sent campaign
+function CampaignReport() {
+  const { id } = useParams();
+  const { theme } = useTheme();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axiosInstance.get(`/newsletter/campaigns/${id}/report`);
+        setReport(response.data.data);
+      } catch (error) {
+        console.error("Error fetching campaign report:", error);
+        toast.error("Failed to load the campaign report");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[600px]">
+        <span className="loading loading-spinner loading-lg text-primary"></span>
+      </div>
+    );
+  }
+
+  if (!report) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 min-h-[400px]">
+        <Newspaper className="w-16 h-16 text-gray-400 mb-4" />
+        <h3 className="text-xl font-semibold text-gray-600">Report not available</h3>
+        <Link to="/newsletters?tab=campaigns" className="btn btn-ghost mt-4">Back to campaigns</Link>
+      </div>
+    );
+  }
+
+  const { campaign, totals, timeline = [], links = [] } = report;
+  const textColor = theme === "dark" ? "#FFFFFF" : "#000000";
+  const gridColor = theme === "dark" ? "#333333" : "#E0E0E0";
+
+  const chartData = [
+    ["Time", "Opens", "Clicks"],
+    ...timeline.map((point) => [format(new Date(point.time), "MMM d, HH:mm"), point.opens, point.clicks]),
+  ];
+
+  const options = {
+    backgroundColor: {
+      fill: theme === "dark" ? "#262C36" : "#F1F3F4",
+    },
+    colors: ["#05eeff", "#f59e0b"],
+    title: "Opens and Clicks Since Sending",
+    titleTextStyle: { color: textColor },
+    hAxis: {
+      title: "Time",
+      titleTextStyle: { color: textColor },
+      textStyle: { color: textColor },
+      gridlines: { color: gridColor },
+      baselineColor: textColor
+    },
+    vAxis: {
+      title: "Count",
+      titleTextStyle: { color: textColor },
+      textStyle: { color: textColor },
+      gridlines: { color: gridColor },
+      baselineColor: textColor,
+      minValue: 0
+    },
+    legend: {
+      position: "top",
+      textStyle: { color: textColor }
+    }
+  };
+
+  return (
+    <div className="py-8 min-h-screen space-y-6">
+      <div className="bg-base-100 p-6 rounded-lg shadow-lg">
+        <Link to="/newsletters?tab=campaigns" className="btn btn-ghost btn-sm gap-1 mb-4">
+          <ArrowLeft className="w-4 h-4" /> Campaigns
+        </Link>
+        <div className="flex flex-wrap items-center gap-3">
+          <h1 className="text-2xl font-bold text-neutral-content">{campaign.subject}</h1>
+          <span className={`badge ${CAMPAIGN_STATUSES[campaign.status]?.badge || "badge-ghost"}`}>
+            {getCampaignStatusLabel(campaign.status)}
+          </span>
+        </div>
+        <p className="text-sm text-gray-500 mt-1">
+          {campaign.sentAt ? `Sent ${format(new Date(campaign.sentAt), "dd MMM, yyyy HH:mm")}` : "Not sent yet"}
+          {" · "}{campaign.recipientCount ?? 0} recipients
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-5 gap-4">
+        <StatCard
+          title="Delivered"
+          value={totals.delivered}
+          description={percentOf(totals.delivered, campaign.recipientCount)}
+          icon={MailCheck}
+          iconColor="text-success"
+        />
+        <StatCard
+          title="Bounced"
+          value={totals.bounced}
+          description={percentOf(totals.bounced, campaign.recipientCount)}
+          icon={MailX}
+          iconColor="text-error"
+        />
+        <StatCard
+          title="Opened"
+          value={totals.opened}
+          description={percentOf(totals.opened, totals.delivered)}
+          icon={MailOpen}
+          iconColor="text-info"
+        />
+        <StatCard
+          title="Clicked"
+          value={totals.clicked}
+          description={percentOf(totals.clicked, totals.delivered)}
+          icon={MousePointerClick}
+          iconColor="text-warning"
+        />
+        <StatCard
+          title="Unsubscribed"
+          value={totals.unsubscribed}
+          description={percentOf(totals.unsubscribed, totals.delivered)}
+          icon={UserMinus}
+          iconColor="text-secondary"
+        />
+      </div>
+
+      <div className="p-4 rounded-xl shadow-lg bg-base-100 text-neutral-content">
+        <div className="card">
+          <div className="card-body h-[450px]">
+            {timeline.length > 0 ? (
+              <Chart
+                chartType="LineChart"
+                width="100%"
+                height="400px"
+                data={chartData}
+                options={options}
+              />
+            ) : (
+              <p>No opens or clicks recorded yet.</p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-base-100 p-6 rounded-lg shadow-lg">
+        <h2 className="text-lg font-semibold mb-4">Link clicks</h2>
+        {links.length === 0 ? (
+          <p className="text-sm text-neutral-content/70">No links were clicked.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table w-full table-zebra">
+              <thead>
+                <tr>
+                  <th>Link</th>
+                  <th className="text-right">Clicks</th>
+                  <th className="text-right">Unique clicks</th>
+                  <th className="text-right">Share of clicks</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...links].sort((a, b) => b.clicks - a.clicks).map((link) => (
+                  <tr key={link.url}>
+                    <td className="max-w-md truncate">
+                      <a href={link.url} target="_blank" rel="noopener noreferrer" className="link link-primary">
+                        {link.url}
+                      </a>
+                    </td>
+                    <td className="text-right">{link.clicks}</td>
+                    <td className="text-right">{link.uniqueClicks}</td>
+                    <td className="text-right">
+                      {percentOf(link.clicks, links.reduce((sum, item) => sum + item.clicks, 0))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CampaignReport;
@@ -1,9 +1,37 @@
 import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
 import axiosInstance from "../../config/axios";
 import SubscriberTable from "../../components/newsletter/SubscriberTable";
-import { toast } from "react-toastify";
-import * as Yup from "yup";
-import playNotificationSound from "../../utils/playNotification";
+import CampaignComposer from "../../components/newsletter/CampaignComposer";
+import CampaignList from "../../components/newsletter/CampaignList";
+import ImportSubscribersModal from "../../components/newsletter/ImportSubscribersModal";
+import SubscriberFormModal from "../../components/newsletter/SubscriberFormModal";
+import SegmentsModal from "../../components/newsletter/SegmentsModal";
+import ConsentLogModal from "../../components/newsletter/ConsentLogModal";
+import ForgetSubscriberModal from "../../components/newsletter/ForgetSubscriberModal";
+import ErasureLogModal from "../../components/newsletter/ErasureLogModal";
+import DeleteConfirmModal from "../../components/ui/modal/DeleteConfirmModal";
+import useQueryState from "../../hooks/useQueryState";
+import { downloadFile } from "../../utils/csv";
+
+const DEFAULT_QUERY = {
+    tab: "subscribers",
+    q: "",
+    status: "",
+    tag: "",
+    segment: "",
+    page: "1",
+    limit: "10",
+};
+
+const buildSubscriberParams = (query) => {
+    const params = new URLSearchParams();
+    if (query.q) params.append("search", query.q);
+    if (query.status) params.append("status", query.status);
+    if (query.tag) params.append("tag", query.tag);
+    if (query.segment) params.append("segment", query.segment);
+    return params;
+};
 
 const Newsletter = () => {
     const [subscribers, setSubscribers] = useState([]);
@@ -13,35 +41,25 @@ const Newsletter = () => {
         pages: 1,
         currentPage: 1,
     });
-    const [filters, setFilters] = useState({
-        page: 1,
-        limit: 10,
-    });
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [emailSubject, setEmailSubject] = useState("");
-    const [emailMessage, setEmailMessage] = useState("");
-    const [errors, setErrors] = useState({});
+    const [tags, setTags] = useState([]);
+    const [segments, setSegments] = useState([]);
+    const [activeCount, setActiveCount] = useState(0); // everyone a campaign to "All subscribers" reaches
+    const [optInEnabled, setOptInEnabled] = useState(false); // double opt-in from Settings; off hides "Ask them to confirm"
+    const [composer, setComposer] = useState(null); // { campaignId } while the composer is open
+    const [campaignsVersion, setCampaignsVersion] = useState(0);
+    const [modal, setModal] = useState(null); // { type: "add" | "import" | "segments" | "tags" | "consent" | "forget" | "erasures" | "unsubscribe" | "delete", subscriber }
+    const [isConfirming, setIsConfirming] = useState(false);
+    const { query, queryKey, updateQuery, searchInput, setSearchInput } = useQueryState(DEFAULT_QUERY);
 
     const limitOptions = [5, 10, 20, 50];
-
-    // Define Yup validation schema
-    const newsletterSchema = Yup.object().shape({
-        emailSubject: Yup.string()
-            .required("Email subject is required")
-            .min(3, "Subject must be at least 3 characters")
-            .max(100, "Subject cannot exceed 100 characters"),
-        emailMessage: Yup.string()
-            .required("Email message is required")
-            .min(10, "Message must be at least 10 characters")
-    });
+    const limit = Number(query.limit);
 
     const fetchSubscribers = async () => {
         setLoading(true);
         try {
-            const queryParams = new URLSearchParams({
-                page: filters.page.toString(),
-                limit: filters.limit.toString(),
-            });
+            const queryParams = buildSubscriberParams(query);
+            queryParams.append("page", query.page);
+            queryParams.append("limit", query.limit);
 
             const response = await axiosInstance.get(
                 `/newsletter/get-all-subscribers?${queryParams}`
@@ -59,146 +77,217 @@ const Newsletter = () => {
         }
     };
 
+    const fetchTagsAndSegments = async () => {
+        try {
+            const [tagsResponse, segmentsResponse, activeResponse] = await Promise.all([
+                axiosInstance.get("/newsletter/tags"),
+                axiosInstance.get("/newsletter/segments"),
+                axiosInstance.get("/newsletter/get-all-subscribers?status=subscribed&limit=1"),
+            ]);
+            setTags(tagsResponse.data.data);
+            setSegments(segmentsResponse.data.data);
+            setActiveCount(activeResponse.data.pagination.total);
+        } catch (error) {
+            console.error("Failed to fetch subscriber tags and segments", error);
+        }
+    };
+
     useEffect(() => {
+        if (query.tab !== "subscribers") return;
         fetchSubscribers();
-    }, [filters]);
+    }, [queryKey]);
 
-    const handlePageChange = (page) => {
-        setFilters((prev) => ({ ...prev, page }));
-    };
+    useEffect(() => {
+        fetchTagsAndSegments();
 
-    const handleLimitChange = (limit) => {
-        setFilters({ page: 1, limit });
+        const fetchOptInSetting = async () => {
+            try {
+                const response = await axiosInstance.get("/newsletter/opt-in-settings");
+                setOptInEnabled(Boolean(response.data.data?.enabled));
+            } catch (error) {
+                console.error("Failed to fetch opt-in settings", error);
+            }
+        };
+        fetchOptInSetting();
+    }, []);
+
+    const refreshSubscribers = () => {
+        fetchSubscribers();
+        fetchTagsAndSegments();
     };
 
-    const validateForm = async () => {
+    const handleExport = async () => {
         try {
-            await newsletterSchema.validate(
-                { emailSubject, emailMessage },
-                { abortEarly: false }
+            const response = await axiosInstance.get(
+                `/newsletter/export-subscribers?${buildSubscriberParams(query)}`,
+                { responseType: "blob" }
             );
-            setErrors({});
-            return true;
+            downloadFile(response.data, `subscribers-${new Date().toISOString().slice(0, 10)}.csv`);
         } catch (error) {
-            const validationErrors = {};
-            error.inner.forEach((err) => {
-                validationErrors[err.path] = err.message;
-            });
-            setErrors(validationErrors);
-            return false;
+            console.error("Error exporting subscribers:", error);
+            toast.error("Failed to export subscribers");
         }
     };
 
-    const handleSendNewsletter = async () => {
-        const isValid = await validateForm();
-        
-        if (!isValid) {
-            return;
+    const handleResendConfirmation = async (subscriber) => {
+        try {
+            await axiosInstance.post(`/newsletter/resend-confirmation/${subscriber.id}`);
+            toast.success(`Confirmation email sent to ${subscriber.email}`);
+            fetchSubscribers();
+        } catch (error) {
+            console.error("Error resending confirmation email:", error);
+            toast.error(error.response?.data?.message || "Failed to resend the confirmation email");
         }
+    };
 
+    const handleConfirm = async () => {
+        const { type, subscriber } = modal;
+        setIsConfirming(true);
         try {
-            setIsModalOpen(false);
-            const response = await axiosInstance.post("/newsletter/send-newsletter", {
-                subject: emailSubject,
-                content: emailMessage,
-            });
-            // playNotificationSound()
-            toast.success("Bulk mail sent successfully");
+            if (type === "unsubscribe") {
+                await axiosInstance.patch(`/newsletter/unsubscribe/${subscriber.id}`);
+                toast.success(`${subscriber.email} unsubscribed`);
+            } else {
+                await axiosInstance.delete(`/newsletter/delete-subscriber/${subscriber.id}`);
+                toast.success(`${subscriber.email} deleted`);
+            }
+            setModal(null);
+            refreshSubscribers();
         } catch (error) {
-            console.error("Error sending bulk email:", error);
-            toast.error("Error sending bulk email");
+            console.error(`Error during subscriber ${type}:`, error);
+            toast.error(error.response?.data?.message || `Failed to ${type} subscriber`);
         } finally {
-            setIsModalOpen(false);
-            setEmailSubject("");
-            setEmailMessage("");
-            setErrors({});
+            setIsConfirming(false);
         }
     };
 
     return (
         <div className="min-h-screen">
-            {loading ? (
-                <div className="flex justify-center items-center min-h-[700px]">
-                    <span className="loading loading-spinner loading-lg text-primary"></span>
-                </div>
+            <div className="tabs tabs-boxed bg-base-200 mb-4 w-fit">
+                <button
+                    className={`tab ${query.tab === "subscribers" ? "tab-active" : ""}`}
+                    onClick={() => updateQuery({ tab: "subscribers" })}
+                >
+                    Subscribers
+                </button>
+                <button
+                    className={`tab ${query.tab === "campaigns" ? "tab-active" : ""}`}
+                    onClick={() => updateQuery({ tab: "campaigns" })}
+                >
+                    Campaigns
+                </button>
+            </div>
+
+            {query.tab === "campaigns" ? (
+                <CampaignList
+                    onCompose={() => setComposer({})}
+                    onEdit={(campaignId) => setComposer({ campaignId })}
+                    refreshKey={campaignsVersion}
+                />
             ) : (
-                <>
-                    <SubscriberTable
-                        subscribers={subscribers}
-                        currentPage={pagination.currentPage}
-                        limit={filters.limit}
-                        totalSubscribers={pagination.total}
-                        onSendMail={() => setIsModalOpen(true)}
-                        onPageChange={handlePageChange}
-                        limitOptions={limitOptions}
-                        selectedLimit={filters.limit}
-                        onLimitChange={handleLimitChange}
-                        pagination={pagination}
-                    />
-                </>
+                <SubscriberTable
+                    subscribers={subscribers}
+                    loading={loading}
+                    currentPage={pagination.currentPage}
+                    limit={limit}
+                    totalSubscribers={pagination.total}
+                    filters={query}
+                    searchInput={searchInput}
+                    onSearchChange={setSearchInput}
+                    onFilterChange={(changes) => updateQuery(changes)}
+                    tags={tags}
+                    segments={segments}
+                    onRefresh={refreshSubscribers}
+                    onSendMail={() => setComposer({})}
+                    onAdd={() => setModal({ type: "add" })}
+                    onImport={() => setModal({ type: "import" })}
+                    onExport={handleExport}
+                    onManageSegments={() => setModal({ type: "segments" })}
+                    onEditTags={(subscriber) => setModal({ type: "tags", subscriber })}
+                    onUnsubscribe={(subscriber) => setModal({ type: "unsubscribe", subscriber })}
+                    onDelete={(subscriber) => setModal({ type: "delete", subscriber })}
+                    onShowConsent={(subscriber) => setModal({ type: "consent", subscriber })}
+                    onResendConfirmation={handleResendConfirmation}
+                    onForget={(subscriber) => setModal({ type: "forget", subscriber })}
+                    onShowErasures={() => setModal({ type: "erasures" })}
+                    onPageChange={(page) => updateQuery({ page }, { resetPage: false })}
+                    limitOptions={limitOptions}
+                    selectedLimit={limit}
+                    onLimitChange={(value) => updateQuery({ limit: value })}
+                    pagination={pagination}
+                />
             )}
 
-            {isModalOpen && (
-                <div className="modal modal-open">
-                    <div className="modal-box">
-                        <h2 className="text-lg font-bold mb-4">Send Bulk Mail</h2>
-
-                        {/* Subject Input */}
-                        <div className="form-control mb-4">
-                            <label className="label">
-                                <span className="label-text font-medium">Subject</span>
-                            </label>
-                            <input
-                                type="text"
-                                className={`input input-bordered w-full ${errors.emailSubject ? "input-error" : ""}`}
-                                placeholder="Enter email subject"
-                                value={emailSubject}
-                                onChange={(e) => setEmailSubject(e.target.value)}
-                            />
-                            {errors.emailSubject && (
-                                <label className="label">
-                                    <span className="label-text-alt text-error">{errors.emailSubject}</span>
-                                </label>
-                            )}
-                        </div>
-
-                        {/* Message Textarea */}
-                        <div className="form-control mb-4">
-                            <label className="label">
-                                <span className="label-text font-medium">Message</span>
-                            </label>
-                            <textarea
-                                className={`textarea textarea-bordered w-full ${errors.emailMessage ? "textarea-error" : ""}`}
-                                placeholder="Enter your message here..."
-                                value={emailMessage}
-                                onChange={(e) => setEmailMessage(e.target.value)}
-                            />
-                            {errors.emailMessage && (
-                                <label className="label">
-                                    <span className="label-text-alt text-error">{errors.emailMessage}</span>
-                                </label>
-                            )}
-                        </div>
-
-                        <div className="modal-action">
-                            <button
-                                className="btn btn-primary"
-                                onClick={() => handleSendNewsletter()}
-                            >
-                                Send
-                            </button>
-                            <button
-                                className="btn"
-                                onClick={() => setIsModalOpen(false)}
-                            >
-                                Cancel
-                            </button>
-                        </div>
-                    </div>
-                </div>
+            {(modal?.type === "add" || modal?.type === "tags") && (
+                <SubscriberFormModal
+                    subscriber={modal.subscriber}
+                    tagSuggestions={tags}
+                    optInEnabled={optInEnabled}
+                    onClose={() => setModal(null)}
+                    onSaved={refreshSubscribers}
+                />
+            )}
+
+            {modal?.type === "import" && (
+                <ImportSubscribersModal
+                    tagSuggestions={tags}
+                    optInEnabled={optInEnabled}
+                    onClose={() => setModal(null)}
+                    onImported={refreshSubscribers}
+                />
+            )}
+
+            {modal?.type === "segments" && (
+                <SegmentsModal
+                    segments={segments}
+                    tagSuggestions={tags}
+                    onClose={() => setModal(null)}
+                    onChanged={fetchTagsAndSegments}
+                />
+            )}
+
+            {modal?.type === "consent" && (
+                <ConsentLogModal subscriber={modal.subscriber} onClose={() => setModal(null)} />
+            )}
+
+            {modal?.type === "forget" && (
+                <ForgetSubscriberModal
+                    subscriber={modal.subscriber}
+                    onClose={() => setModal(null)}
+                    onForgotten={refreshSubscribers}
+                />
+            )}
+
+            {modal?.type === "erasures" && <ErasureLogModal onClose={() => setModal(null)} />}
+
+            <DeleteConfirmModal
+                isOpen={modal?.type === "unsubscribe" || modal?.type === "delete"}
+                onClose={() => setModal(null)}
+                onConfirm={handleConfirm}
+                title={modal?.type === "unsubscribe" ? "Unsubscribe" : "Delete Subscriber"}
+                message={
+                    modal?.type === "unsubscribe"
+                        ? `${modal.subscriber.email} will stop receiving campaigns but stays on the list.`
+                        : `Remove ${modal?.subscriber?.email} from the list? This cannot be undone. For an erasure request use Forget instead.`
+                }
+                isLoading={isConfirming}
+                confirmLabel={modal?.type === "unsubscribe" ? "Unsubscribe" : "Delete"}
+            />
+
+            {composer && (
+                <CampaignComposer
+                    campaignId={composer.campaignId}
+                    subscriberCount={activeCount}
+                    segments={segments}
+                    onClose={() => setComposer(null)}
+                    onSaved={() => {
+                        setCampaignsVersion((version) => version + 1);
+                        updateQuery({ tab: "campaigns" });
+                    }}
+                />
             )}
         </div>
     );
 };
 
-export default Newsletter;
\ No newline at end of file
+export default Newsletter;
@@ -2,11 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useSocket } from '../../context/SocketContext';
 import { toast } from 'react-toastify';
 import axiosInstance from '../../config/axios';
-import { Bell, Clock, X, CheckCircle, AlertCircle, Info, Mail } from 'lucide-react';
+import { downloadFile } from '../../utils/csv';
+import { Bell, Clock, X, CheckCircle, AlertCircle, Info, Mail, Download } from 'lucide-react';
 
 const Notification = () => {
   const [notifications, setNotifications] = useState([]);
   const [filter, setFilter] = useState('all');
+  const [downloadingId, setDownloadingId] = useState(null);
   const socket = useSocket();
   const NOTIFICATIONS_LIMIT = 15;
 
@@ -93,6 +95,23 @@ const Notification = () => {
     }
   };
 
+  // Export files are behind the API's auth, so they are fetched with the session token rather than linked
+  const downloadExport = async (notification) => {
+    setDownloadingId(notification.id);
+    try {
+      const response = await axiosInstance.get(notification.downloadUrl, { responseType: 'blob' });
+      const fileName = decodeURIComponent(
+        new URL(notification.downloadUrl, window.location.origin).pathname.split('/').pop() || 'export'
+      );
+      downloadFile(response.data, fileName);
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      toast.error('Failed to download the file');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   const formatTimeAgo = (date) => {
     const now = new Date();
     const past = new Date(date);
@@ -209,6 +228,21 @@ const Notification = () => {
                           <p className="text-base-content/70 leading-relaxed">
                             {notification.message}
                           </p>  
+                          {notification.downloadUrl && (
+                            <button
+                              className="btn btn-sm btn-primary text-white gap-2 mt-3"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                downloadExport(notification);
+                              }}
+                              disabled={downloadingId === notification.id}
+                            >
+                              {downloadingId === notification.id
+                                ? <span className="loading loading-spinner loading-xs"></span>
+                                : <Download className="w-4 h-4" />}
+                              Download
+                            </button>
+                          )}
                           <div className="flex items-center gap-4 mt-2">
                             <div className="flex items-center gap-1 text-sm text-base-content/50">
                               <Clock className="w-4 h-4" />
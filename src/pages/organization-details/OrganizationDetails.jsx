@@ -261,7 +261,7 @@
 // export default OrganizationDetails;
 
 
-import { Inbox } from 'lucide-react';
+import { Inbox, Images } from 'lucide-react';
 import React, { useState, useEffect, useRef } from 'react';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
@@ -273,7 +273,12 @@ import playNotificationSound from '../../utils/playNotification';
 import PhoneInput from 'react-phone-input-2';
 import 'react-phone-input-2/lib/style.css';
 import { Controller } from 'react-hook-form';
+import MediaPickerModal from '../../components/media/MediaPickerModal';
+import { appendImageField } from '../../utils/media';
+import ImageCropModal from '../../components/media/ImageCropModal';
+import { isCroppableImage } from '../../utils/imageProcessing';
 import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
 
 const organizationSchema = yup.object().shape({
   email: yup.string()
@@ -294,9 +299,13 @@ const organizationSchema = yup.object().shape({
 });
 
 const OrganizationDetails = () => {
+  const { can } = useAuth();
+  const canEdit = can('organization', 'edit');
   const [isLoading, setIsLoading] = useState(true);
   const [imagePreview, setImagePreview] = useState(null);
-  const [logoFile, setLogoFile] = useState(null);
+  const [logoFile, setLogoFile] = useState(null); // a File or a media library asset
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const [cropFile, setCropFile] = useState(null);
   const inputRef = useRef(null);
 
   const {
@@ -339,6 +348,22 @@ const OrganizationDetails = () => {
 
   const handleImageUpload = (event) => {
     const file = event.target.files[0];
+    if (file && isCroppableImage(file)) {
+      setCropFile(file);
+    } else {
+      applyLogoFile(file);
+    }
+  };
+
+  const cancelCrop = () => {
+    setCropFile(null);
+    if (inputRef.current) {
+      inputRef.current.value = '';
+    }
+  };
+
+  const applyLogoFile = (file) => {
+    setCropFile(null);
     if (file) {
       if (file.size > 5 * 1024 * 1024) {
         toast.error('Image size should be less than 5MB');
@@ -349,6 +374,14 @@ const OrganizationDetails = () => {
     }
   };
 
+  const handleMediaSelect = (asset) => {
+    setImagePreview(asset.url);
+    setLogoFile(asset);
+    if (inputRef.current) {
+      inputRef.current.value = '';
+    }
+  };
+
   const handleRemoveImage = (e) => {
     e.stopPropagation();
     setImagePreview(null);
@@ -367,10 +400,8 @@ const OrganizationDetails = () => {
       submitData.append(key, value === undefined ? '' : value);
     });
   
-    // If there is a logo file, append it
-    if (logoFile) {
-      submitData.append('logo', logoFile);
-    }
+    // If there is a logo file or library asset, append it
+    appendImageField(submitData, 'logo', logoFile);
   
     const toastId = toast.loading('Saving organization details...');
   
@@ -554,6 +585,8 @@ const OrganizationDetails = () => {
       </div>
       <div className="bg-base-200 rounded-lg shadow">
         <form onSubmit={handleSubmit(onSubmit)} className="p-4">
+          {/* Roles without edit permission get a read-only form */}
+          <fieldset disabled={!canEdit}>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Image Upload Section */}
             <div className="form-control col-span-1 md:col-span-2 flex justify-center mb-4">
@@ -562,7 +595,7 @@ const OrganizationDetails = () => {
               </label>
               <div
                 className="border-2 w-full md:w-96 border-dashed rounded-lg p-4 flex flex-col items-center justify-center text-center cursor-pointer bg-base-100"
-                onClick={() => inputRef.current?.click()}
+                onClick={() => canEdit && inputRef.current?.click()}
               >
                 {!imagePreview ? (
                   <>
@@ -596,6 +629,25 @@ const OrganizationDetails = () => {
                   onChange={handleImageUpload}
                 />
               </div>
+              <button
+                type="button"
+                className="btn btn-sm btn-ghost gap-2 mt-2 self-center"
+                onClick={() => setShowMediaPicker(true)}
+              >
+                <Images className="w-4 h-4" /> Choose from media library
+              </button>
+              <MediaPickerModal
+                isOpen={showMediaPicker}
+                onClose={() => setShowMediaPicker(false)}
+                onSelect={handleMediaSelect}
+              />
+              <ImageCropModal
+                file={cropFile}
+                preset="logo"
+                maxBytes={5 * 1024 * 1024}
+                onCancel={cancelCrop}
+                onComplete={applyLogoFile}
+              />
             </div>
 
             <FormField 
@@ -636,16 +688,19 @@ const OrganizationDetails = () => {
 
             />
           </div>
-          <div className="flex justify-end mt-6">
-            <button
-              type="submit"
-              className={`btn ${isLoading ? 'btn-disabled' : 'btn-primary'} ${
-                isLoading ? 'loading' : ''
-              }`}
-            >
-              Save
-            </button>
-          </div>
+          {canEdit && (
+            <div className="flex justify-end mt-6">
+              <button
+                type="submit"
+                className={`btn ${isLoading ? 'btn-disabled' : 'btn-primary'} ${
+                  isLoading ? 'loading' : ''
+                }`}
+              >
+                Save
+              </button>
+            </div>
+          )}
+          </fieldset>
         </form>
       </div>
     </div>
@@ -0,0 +1,302 @@
+import { useEffect, useState } from "react";
+import * as Yup from "yup";
+import { toast } from "react-toastify";
+import { Lock, Plus, Users, ShieldCheck } from "lucide-react";
+import axiosInstance from "../../config/axios";
+import DeleteConfirmModal from "../../components/ui/modal/DeleteConfirmModal";
+import { useAuth } from "../../context/AuthContext";
+import { PERMISSION_ACTIONS, PERMISSION_MODULES, SUPERADMIN_ROLE } from "../../utils/permissions";
+
+const roleSchema = Yup.object().shape({
+  name: Yup.string()
+    .trim()
+    .required("Role name is required")
+    .matches(/^[a-z][a-z0-9-]*$/, "Use lowercase letters, numbers and dashes")
+    .notOneOf([SUPERADMIN_ROLE], "This name is reserved"),
+  description: Yup.string().max(200, "Description must be at most 200 characters"),
+});
+
+const EMPTY_ROLE = { name: "", description: "", permissions: {} };
+
+// Checking any action also grants view; clearing view clears the whole module
+const toggleAction = (permissions, module, action) => {
+  const granted = permissions[module] || [];
+  let next;
+  if (granted.includes(action)) {
+    next = action === "view" ? [] : granted.filter((item) => item !== action);
+  } else {
+    next = [...new Set([...granted, action, "view"])];
+  }
+  return { ...permissions, [module]: next };
+};
+
+const RolesLayout = () => {
+  const { can } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null); // "new" while creating
+  const [draft, setDraft] = useState(EMPTY_ROLE);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const selectedRole = roles.find((role) => role.id === selectedId);
+  const canSave = selectedId === "new" ? can("roles", "create") : can("roles", "edit");
+
+  const fetchRoles = async () => {
+    try {
+      const response = await axiosInstance.get("/roles");
+      setRoles(response.data.data.filter((role) => role.name !== SUPERADMIN_ROLE));
+    } catch (error) {
+      console.error("Error fetching roles:", error);
+      toast.error("Failed to load roles");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const selectRole = (role) => {
+    setSelectedId(role ? role.id : "new");
+    setDraft(role ? { name: role.name, description: role.description || "", permissions: role.permissions || {} } : EMPTY_ROLE);
+    setErrors({});
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      await roleSchema.validate(draft, { abortEarly: false });
+    } catch (validationError) {
+      const fieldErrors = {};
+      validationError.inner.forEach((error) => {
+        fieldErrors[error.path] = error.message;
+      });
+      setErrors(fieldErrors);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const payload = { ...draft, name: draft.name.trim() };
+      if (selectedId === "new") {
+        const response = await axiosInstance.post("/roles", payload);
+        setSelectedId(response.data.data.id);
+        toast.success(`Role "${payload.name}" created`);
+      } else {
+        await axiosInstance.put(`/roles/${selectedId}`, payload);
+        toast.success(`Role "${payload.name}" updated`);
+      }
+      fetchRoles();
+    } catch (error) {
+      console.error("Error saving role:", error);
+      toast.error(error.response?.data?.message || "Failed to save role");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axiosInstance.delete(`/roles/${selectedId}`);
+      toast.success(`Role "${selectedRole.name}" deleted`);
+      setIsDeleteModalOpen(false);
+      setSelectedId(null);
+      fetchRoles();
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      toast.error(error.response?.data?.message || "Failed to delete role");
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const setModuleAll = (module, checked) => {
+    setDraft((prev) => ({
+      ...prev,
+      permissions: { ...prev.permissions, [module.key]: checked ? [...module.actions] : [] },
+    }));
+  };
+
+  return (
+    <div className="min-h-[700px] bg-base-100 p-6 rounded-lg shadow-lg">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-start gap-3">
+          <Lock className="w-6 h-6 text-primary" />
+          <div className="space-y-[0.5px]">
+            <h1 className="text-2xl font-bold text-neutral-content">Roles & Permissions</h1>
+            <p className="text-sm text-gray-500 mt-1">Decide what each role can see and change in every module</p>
+          </div>
+        </div>
+        {can("roles", "create") && (
+          <button className="btn btn-primary" onClick={() => selectRole(null)}>
+            <Plus className="h-5 w-5" /> New Role
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center min-h-[400px]">
+          <span className="loading loading-spinner loading-lg text-primary"></span>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-[280px_1fr] gap-6">
+          {/* Role list */}
+          <ul className="menu bg-base-200 rounded-box p-2 h-fit">
+            <li className="disabled">
+              <div className="flex items-center justify-between">
+                <span className="flex items-center gap-2">
+                  <ShieldCheck className="w-4 h-4" /> {SUPERADMIN_ROLE}
+                </span>
+                <span className="badge badge-ghost badge-sm">Full access</span>
+              </div>
+            </li>
+            {roles.map((role) => (
+              <li key={role.id}>
+                <button
+                  className={`flex items-center justify-between ${selectedId === role.id ? "active" : ""}`}
+                  onClick={() => selectRole(role)}
+                >
+                  <span className="truncate">{role.name}</span>
+                  <span className="badge badge-ghost badge-sm gap-1">
+                    <Users className="w-3 h-3" /> {role.userCount ?? 0}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Role editor */}
+          {selectedId === null ? (
+            <div className="flex flex-col items-center justify-center py-12 bg-base-200 rounded-lg min-h-[400px]">
+              <Lock className="w-16 h-16 text-gray-400 mb-4" />
+              <h3 className="text-xl font-semibold text-gray-600">Select a role</h3>
+              <p className="text-gray-500">Choose a role on the left to review its permissions</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="form-control">
+                  <label className="label">
+                    <span className="label-text">Role name</span>
+                  </label>
+                  <input
+                    type="text"
+                    className={`input input-bordered ${errors.name ? "input-error" : ""}`}
+                    placeholder="e.g. editor"
+                    value={draft.name}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    disabled={!canSave}
+                  />
+                  {errors.name && <span className="text-error text-sm mt-1">{errors.name}</span>}
+                </div>
+                <div className="form-control">
+                  <label className="label">
+                    <span className="label-text">Description</span>
+                  </label>
+                  <input
+                    type="text"
+                    className={`input input-bordered ${errors.description ? "input-error" : ""}`}
+                    value={draft.description}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, description: e.target.value }))}
+                    disabled={!canSave}
+                  />
+                  {errors.description && <span className="text-error text-sm mt-1">{errors.description}</span>}
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="table table-zebra w-full">
+                  <thead>
+                    <tr>
+                      <th>Module</th>
+                      {Object.entries(PERMISSION_ACTIONS).map(([action, label]) => (
+                        <th key={action} className="text-center">{label}</th>
+                      ))}
+                      <th className="text-center">All</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {PERMISSION_MODULES.map((module) => {
+                      const granted = draft.permissions[module.key] || [];
+                      return (
+                        <tr key={module.key}>
+                          <td className="font-medium">{module.label}</td>
+                          {Object.keys(PERMISSION_ACTIONS).map((action) => (
+                            <td key={action} className="text-center">
+                              {module.actions.includes(action) ? (
+                                <input
+                                  type="checkbox"
+                                  className="checkbox checkbox-primary checkbox-sm"
+                                  checked={granted.includes(action)}
+                                  onChange={() => setDraft((prev) => ({
+                                    ...prev,
+                                    permissions: toggleAction(prev.permissions, module.key, action),
+                                  }))}
+                                  disabled={!canSave}
+                                  aria-label={`${module.label}: ${PERMISSION_ACTIONS[action]}`}
+                                />
+                              ) : (
+                                <span className="text-gray-400">—</span>
+                              )}
+                            </td>
+                          ))}
+                          <td className="text-center">
+                            <input
+                              type="checkbox"
+                              className="checkbox checkbox-sm"
+                              checked={granted.length === module.actions.length}
+                              onChange={(e) => setModuleAll(module, e.target.checked)}
+                              disabled={!canSave}
+                              aria-label={`${module.label}: all`}
+                            />
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex justify-between">
+                {selectedRole && can("roles", "delete") ? (
+                  <button
+                    type="button"
+                    className="btn btn-ghost text-error"
+                    onClick={() => setIsDeleteModalOpen(true)}
+                    disabled={selectedRole.userCount > 0}
+                    title={selectedRole.userCount > 0 ? "Move its users to another role first" : undefined}
+                  >
+                    Delete role
+                  </button>
+                ) : (
+                  <span></span>
+                )}
+                {canSave && (
+                  <button type="submit" className="btn btn-primary text-white" disabled={isSaving}>
+                    {isSaving ? <span className="loading loading-spinner"></span> : selectedId === "new" ? "Create role" : "Save changes"}
+                  </button>
+                )}
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      <DeleteConfirmModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        onConfirm={handleDelete}
+        title="Delete Role"
+        message={`Delete the "${selectedRole?.name}" role? This cannot be undone.`}
+        isLoading={isDeleting}
+      />
+    </div>
+  );
+};
+
+export default RolesLayout;
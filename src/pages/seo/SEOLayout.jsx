@@ -1,9 +1,12 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { toast } from 'react-toastify';
 import axiosInstance from '../../config/axios';
+import { Images } from 'lucide-react';
+import MediaPickerModal from '../../components/media/MediaPickerModal';
+import { useAuth } from '../../context/AuthContext';
 
 const schema = yup.object().shape({
   title: yup.object().shape({
@@ -31,7 +34,11 @@ const SeoLayout = () => {
   const [selectedPage, setSelectedPage] = React.useState('home');
   const [isLoading, setIsLoading] = React.useState(false);
 
-  const { register, handleSubmit, formState: { errors }, reset } = useForm({
+  // Which image field ('openGraph.image' or 'twitter.image') the media picker fills
+  const [mediaTarget, setMediaTarget] = useState(null);
+  const { can } = useAuth();
+  const canEdit = can('seo', 'edit');
+  const { register, handleSubmit, formState: { errors }, reset, setValue } = useForm({
     resolver: yupResolver(schema),
     defaultValues: {
       title: {
@@ -187,7 +194,9 @@ const SeoLayout = () => {
           <span className="loading loading-spinner loading-lg text-primary"></span>
         </div>
       ) : (
-        <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
+        <form onSubmit={handleSubmit(onSubmit)}>
+          {/* Roles without SEO edit permission get a read-only form */}
+          <fieldset disabled={!canEdit} className="space-y-8">
           <section className="space-y-4 bg-base-200 p-4 rounded-lg">
             <h3 className="text-lg font-semibold text-neutral-content">Basic Meta Tags</h3>
 
@@ -276,11 +285,20 @@ const SeoLayout = () => {
                 <label className="text-sm font-medium text-neutral-content block mb-1">OG Image URL
                 <span className="text-error pl-1">*</span>
                 </label>
-                <input
-                  {...register('openGraph.image')}
-                  className="w-full p-2 bg-base-200 border border-gray-300 rounded-md"
-                  placeholder="Enter Open Graph image URL"
-                />
+                <div className="flex gap-2">
+                  <input
+                    {...register('openGraph.image')}
+                    className="w-full p-2 bg-base-200 border border-gray-300 rounded-md"
+                    placeholder="Enter Open Graph image URL or choose one"
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-outline gap-2"
+                    onClick={() => setMediaTarget('openGraph.image')}
+                  >
+                    <Images className="w-4 h-4" /> Library
+                  </button>
+                </div>
                 {errors.openGraph?.image && (
                   <p className="text-red-500 text-sm mt-1">{errors.openGraph.image.message}</p>
                 )}
@@ -319,11 +337,20 @@ const SeoLayout = () => {
 
               <div>
                 <label className="text-sm font-medium text-neutral-content block mb-1">Twitter Image URL <span className="text-error pl-1">*</span></label>
-                <input
-                  {...register('twitter.image')}
-                  className="w-full p-2 bg-base-200 border border-gray-300 rounded-md"
-                  placeholder="Enter Twitter image URL"
-                />
+                <div className="flex gap-2">
+                  <input
+                    {...register('twitter.image')}
+                    className="w-full p-2 bg-base-200 border border-gray-300 rounded-md"
+                    placeholder="Enter Twitter image URL or choose one"
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-outline gap-2"
+                    onClick={() => setMediaTarget('twitter.image')}
+                  >
+                    <Images className="w-4 h-4" /> Library
+                  </button>
+                </div>
                 {errors.twitter?.image && (
                   <p className="text-red-500 text-sm mt-1">{errors.twitter.image.message}</p>
                 )}
@@ -331,14 +358,23 @@ const SeoLayout = () => {
             </div>
           </section>
 
-          <button
-            type="submit"
-            className="btn btn-primary"
-          >
-            Save SEO Settings
-          </button>
+          {canEdit && (
+            <button
+              type="submit"
+              className="btn btn-primary"
+            >
+              Save SEO Settings
+            </button>
+          )}
+          </fieldset>
         </form>
       )}
+
+      <MediaPickerModal
+        isOpen={Boolean(mediaTarget)}
+        onClose={() => setMediaTarget(null)}
+        onSelect={(asset) => setValue(mediaTarget, asset.url, { shouldValidate: true, shouldDirty: true })}
+      />
     </div>
   );
 };
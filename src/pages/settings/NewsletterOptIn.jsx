@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import { MailCheck, Eye, EyeOff } from "lucide-react";
+import { Card } from "../../components/ui/Card";
+import axiosInstance from "../../config/axios";
+import { renderNewsletterHtml } from "../../utils/newsletterTemplate";
+import { fillMergeTags, OPT_IN_MERGE_TAGS, SAMPLE_OPT_IN_MERGE_VALUES } from "../../utils/mergeTags";
+
+const DEFAULT_OPT_IN = {
+  enabled: false,
+  subject: "Please confirm your subscription",
+  body: "<p>Hi,</p><p>Someone (hopefully you) asked to subscribe {{email}} to our newsletter.</p>"
+    + '<p><a href="{{confirm_url}}">Confirm my subscription</a></p>'
+    + "<p>If this wasn't you, ignore this email and you won't hear from us again.</p>",
+};
+
+/**
+ * Double opt-in for newsletter signups. While it is on, new subscribers stay pending
+ * until they follow {{confirm_url}} in the confirmation email set up here.
+ */
+const NewsletterOptIn = () => {
+  const [settings, setSettings] = useState(DEFAULT_OPT_IN);
+  const [organization, setOrganization] = useState({});
+  const [loading, setLoading] = useState(true);
+  // Saving the defaults over a config that failed to load would silently replace it
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axiosInstance.get("/newsletter/opt-in-settings");
+        setSettings({ ...DEFAULT_OPT_IN, ...response.data.data });
+      } catch (error) {
+        console.error("Failed to fetch opt-in settings", error);
+        setLoadFailed(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    // Only the preview uses the organization details, so it falls back to a plain header without them
+    const fetchOrganization = async () => {
+      try {
+        const response = await axiosInstance.get("/company/settings");
+        setOrganization(response.data.data || {});
+      } catch (error) {
+        console.error("Error fetching organization details:", error);
+      }
+    };
+
+    fetchSettings();
+    fetchOrganization();
+  }, []);
+
+  const previewHtml = useMemo(
+    () => fillMergeTags(
+      renderNewsletterHtml({ subject: settings.subject, content: settings.body, organization, includeFooter: false }),
+      SAMPLE_OPT_IN_MERGE_VALUES
+    ),
+    [settings.subject, settings.body, organization]
+  );
+
+  const missingConfirmLink = !settings.body.includes("{{confirm_url}}");
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (loadFailed) return;
+    if (!settings.subject.trim() || missingConfirmLink) {
+      toast.error("The confirmation email needs a subject and a {{confirm_url}} link");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await axiosInstance.put("/newsletter/opt-in-settings", settings);
+      toast.success("Opt-in settings saved");
+    } catch (error) {
+      console.error("Failed to save opt-in settings", error);
+      toast.error(error.response?.data?.message || "Failed to save opt-in settings");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card className="p-6 mb-6">
+      <h2 className="text-lg font-semibold mb-1 flex items-center">
+        <MailCheck className="w-5 h-5 mr-2" />
+        Newsletter Double Opt-in
+      </h2>
+      <p className="text-sm mb-4">
+        New subscribers must confirm by email before they receive campaigns. Every signup, confirmation and
+        unsubscribe is kept in the subscriber&apos;s consent log.
+      </p>
+
+      {loading ? (
+        <span className="loading loading-spinner loading-sm text-primary"></span>
+      ) : loadFailed ? (
+        <p className="text-sm text-red-500">
+          The current opt-in settings could not be loaded, so they cannot be edited right now. Reload the page to try again.
+        </p>
+      ) : (
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-medium">Require confirmation</p>
+              <p className="text-sm">Applies to the website form, manual adds and imports</p>
+            </div>
+            <input
+              type="checkbox"
+              className="toggle toggle-primary toggle-lg"
+              checked={settings.enabled}
+              onChange={(e) => setSettings((prev) => ({ ...prev, enabled: e.target.checked }))}
+            />
+          </div>
+
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text">Email subject</span>
+            </label>
+            <input
+              type="text"
+              className="input input-bordered"
+              value={settings.subject}
+              onChange={(e) => setSettings((prev) => ({ ...prev, subject: e.target.value }))}
+            />
+          </div>
+
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text">Email body (HTML)</span>
+              <span className="label-text-alt flex gap-1">
+                {OPT_IN_MERGE_TAGS.map((tag) => (
+                  <button
+                    key={tag}
+                    type="button"
+                    className="badge badge-outline badge-sm"
+                    onClick={() => setSettings((prev) => ({ ...prev, body: `${prev.body}{{${tag}}}` }))}
+                  >
+                    {`{{${tag}}}`}
+                  </button>
+                ))}
+              </span>
+            </label>
+            <textarea
+              className={`textarea textarea-bordered font-mono text-sm h-40 ${missingConfirmLink ? "textarea-error" : ""}`}
+              value={settings.body}
+              onChange={(e) => setSettings((prev) => ({ ...prev, body: e.target.value }))}
+            />
+            {missingConfirmLink && (
+              <span className="text-error text-sm mt-1">Include {"{{confirm_url}}"} so subscribers can confirm</span>
+            )}
+          </div>
+
+          {showPreview && (
+            <iframe
+              srcDoc={previewHtml}
+              sandbox="allow-same-origin"
+              title="Confirmation email preview"
+              className="w-full h-96 bg-white rounded-lg border border-base-300"
+            ></iframe>
+          )}
+
+          <div className="flex justify-between">
+            <button type="button" className="btn btn-ghost gap-1" onClick={() => setShowPreview((prev) => !prev)}>
+              {showPreview ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+              {showPreview ? "Hide preview" : "Preview"}
+            </button>
+            <button type="submit" className="btn btn-primary text-white" disabled={isSaving}>
+              {isSaving ? <span className="loading loading-spinner"></span> : "Save"}
+            </button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+};
+
+export default NewsletterOptIn;
@@ -16,9 +16,13 @@ import {
 import { useNotification } from '../../context/SocketContext';
 import { useTheme } from '../../context/ThemeContext';
 import axiosInstance from '../../config/axios';
+import SpamBlocklist from './SpamBlocklist';
+import NewsletterOptIn from './NewsletterOptIn';
+import { useAuth } from '../../context/AuthContext';
 
 
 const Settings = () => {
+  const { can } = useAuth();
   const {
     soundEnabled,
     toggleSound,
@@ -209,6 +213,12 @@ const Settings = () => {
         </div>
       </Card>
 
+      {/* Enquiry Spam Blocklist */}
+      {can('enquiries', 'edit') && <SpamBlocklist />}
+
+      {/* Newsletter Double Opt-in */}
+      {can('newsletters', 'edit') && <NewsletterOptIn />}
+
       {/* Save Button */}
       {/* <div className="flex justify-end">
         <Button className="flex items-center">
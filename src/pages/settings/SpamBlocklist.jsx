@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { ShieldBan, Plus, Trash2 } from "lucide-react";
+import { Card } from "../../components/ui/Card";
+import useSpamBlocklist from "../../hooks/useSpamBlocklist";
+import { BLOCKLIST_TYPES, getPhoneDigits } from "../../utils/spamScore";
+
+// Blocked emails, domains and phone prefixes used to score incoming enquiries as spam
+const SpamBlocklist = () => {
+  const { entries, loading, addEntries, removeEntry } = useSpamBlocklist();
+  const [type, setType] = useState("email");
+  const [value, setValue] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const normalized = type === "phone" ? getPhoneDigits(value) : value.trim().toLowerCase().replace(/^@/, "");
+    if (!normalized) return;
+
+    setIsSaving(true);
+    try {
+      await addEntries([{ type, value: normalized }]);
+      setValue("");
+      toast.success(`Blocked ${normalized}`);
+    } catch (error) {
+      console.error("Failed to add blocklist entry", error);
+      toast.error(error.response?.data?.message || "Failed to add to the blocklist");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    try {
+      await removeEntry(entry.id);
+      toast.success(`Unblocked ${entry.value}`);
+    } catch (error) {
+      console.error("Failed to remove blocklist entry", error);
+      toast.error("Failed to remove from the blocklist");
+    }
+  };
+
+  return (
+    <Card className="p-6 mb-6">
+      <h2 className="text-lg font-semibold mb-1 flex items-center">
+        <ShieldBan className="w-5 h-5 mr-2" />
+        Enquiry Blocklist
+      </h2>
+      <p className="text-sm mb-4">
+        Enquiries from these senders get a high spam score. Entries are also added when an enquiry is marked as spam.
+      </p>
+
+      <form onSubmit={handleAdd} className="join w-full mb-4">
+        <select
+          className="select select-bordered join-item"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          {Object.entries(BLOCKLIST_TYPES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="input input-bordered join-item flex-1 focus:outline-none"
+          placeholder={BLOCKLIST_TYPES[type].placeholder}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+        <button type="submit" className="btn btn-primary text-white join-item gap-1" disabled={isSaving || !value.trim()}>
+          <Plus className="w-4 h-4" /> Block
+        </button>
+      </form>
+
+      {loading ? (
+        <span className="loading loading-spinner loading-sm text-primary"></span>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-neutral-content/70">Nothing is blocked yet</p>
+      ) : (
+        <div className="overflow-x-auto max-h-80">
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Value</th>
+                <th>Added</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td>{BLOCKLIST_TYPES[entry.type]?.label || entry.type}</td>
+                  <td className="font-mono">{entry.type === "phone" ? `+${entry.value}…` : entry.value}</td>
+                  <td>{entry.createdAt ? format(new Date(entry.createdAt), "PP") : "-"}</td>
+                  <td className="text-right">
+                    <button className="btn btn-ghost btn-xs text-error" onClick={() => handleRemove(entry)} aria-label={`Unblock ${entry.value}`}>
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default SpamBlocklist;
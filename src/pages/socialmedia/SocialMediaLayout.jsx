@@ -14,8 +14,11 @@ import {
 import axiosInstance from '../../config/axios';
 import { toast } from 'react-toastify';
 import playNotificationSound from '../../utils/playNotification';
+import { useAuth } from '../../context/AuthContext';
 
 const SocialMediaLayout = () => {
+  const { can } = useAuth();
+  const canEdit = can('social', 'edit');
   // State for managing social links
   const [displayedLinks, setDisplayedLinks] = useState({});
   const [availableLinks, setAvailableLinks] = useState({});
@@ -207,7 +210,7 @@ const SocialMediaLayout = () => {
             <Globe className="w-6 h-6 text-accent" />
             Social Media Management
           </div>
-          {Object.keys(availableLinks).length > 0 && (
+          {can('social', 'create') && Object.keys(availableLinks).length > 0 && (
             <button 
               className="btn btn-primary btn-sm"
               onClick={() => setShowAddLinkModal(true)}
@@ -273,6 +276,7 @@ const SocialMediaLayout = () => {
                       <td className="px-2 py-2 sm:px-4 sm:py-3 text-center">
                         <button
                           onClick={() => handleToggleStatus(platform)}
+                          disabled={!canEdit}
                           className={`badge badge-sm text-xs focus:outline-none ${
                             details.active ? 'badge-success' : 'badge-error'
                           }`}
@@ -297,12 +301,14 @@ const SocialMediaLayout = () => {
                             </button>
                           </div>
                         ) : (
-                          <button
-                            className="btn btn-primary btn-xs"
-                            onClick={() => handleEditClick(platform)}
-                          >
-                            Edit
-                          </button>
+                          canEdit && (
+                            <button
+                              className="btn btn-primary btn-xs"
+                              onClick={() => handleEditClick(platform)}
+                            >
+                              Edit
+                            </button>
+                          )
                         )}
                       </td>
                     </tr>
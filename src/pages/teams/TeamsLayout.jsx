@@ -1,13 +1,34 @@
-import React, { useEffect, useRef, useState } from 'react';
-import { Edit, Trash2, Plus, Linkedin, Eye } from 'lucide-react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Edit, Trash2, Plus, Linkedin, Eye, Images } from 'lucide-react';
 import axiosInstance from '../../config/axios';
 import DeleteConfirmModal from '../../components/ui/modal/DeleteConfirmModal';
 import { toast } from 'react-toastify';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import playNotificationSound from '../../utils/playNotification';
+import useAutosave from '../../hooks/useAutosave';
+import DraftRestoreBanner from '../../components/autosave/DraftRestoreBanner';
+import UnsavedChangesGuard from '../../components/autosave/UnsavedChangesGuard';
+import MediaPickerModal from '../../components/media/MediaPickerModal';
+import { isMediaAsset, appendImageField } from '../../utils/media';
+import ImageCropModal from '../../components/media/ImageCropModal';
+import { isCroppableImage } from '../../utils/imageProcessing';
+import { useAuth } from '../../context/AuthContext';
+
+// Fields of the member form that are autosaved; the photo has to be picked again
+const getDraftFields = (member) => ({
+  name: member?.name || '',
+  position: member?.position || '',
+  // Quill reports an empty editor as an empty paragraph
+  bio: member?.bio === '<p><br></p>' ? '' : member?.bio || '',
+  linkedin: member?.linkedin || '',
+  email: member?.email || '',
+  order: member?.order ?? '',
+  isActive: member?.isActive ?? true
+});
 
 const TeamManagement = () => {
+  const { can } = useAuth();
   const [teamMembers, setTeamMembers] = useState([]);
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -15,7 +36,9 @@ const TeamManagement = () => {
   const [selectedMember, setSelectedMember] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [memberToDelete, setMemberToDelete] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null); // a File or a media library asset
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const [cropFile, setCropFile] = useState(null);
   const [errors, setErrors] = useState({});
   const fileInputRef = useRef(null);
 
@@ -30,6 +53,15 @@ const TeamManagement = () => {
     isActive: true
   });
   const [isLoading, setIsLoading] = useState(false);
+  const [savedMember, setSavedMember] = useState(null);
+
+  const savedFields = useMemo(() => getDraftFields(savedMember), [savedMember]);
+  const { pendingDraft, restoreDraft, discardDraft, clearDraft, isDirty } = useAutosave(
+    isDrawerOpen ? `team:${formData.id || 'new'}` : null,
+    getDraftFields(formData),
+    savedFields,
+    { onRestore: (draft) => setFormData((prev) => ({ ...prev, ...draft })) }
+  );
 
   // Quill editor modules and formats configuration
   const quillModules = {
@@ -77,6 +109,7 @@ const TeamManagement = () => {
       isActive: true
     });
     setSelectedFile(null);
+    setSavedMember(null);
     setIsEditing(false);
     setIsDrawerOpen(true);
     setErrors({})
@@ -84,6 +117,7 @@ const TeamManagement = () => {
 
   const handleEdit = (member) => {
     setFormData(member);
+    setSavedMember(member);
     setIsEditing(true);
     setIsDrawerOpen(true);
   };
@@ -180,20 +214,20 @@ const TeamManagement = () => {
       formDataToSend.append(key, formData[key]);
     });
 
-    if (selectedFile) {
-      formDataToSend.append("image", selectedFile);
-    }
+    appendImageField(formDataToSend, "image", selectedFile);
 
     try {
       setIsLoading(true);
       if (isEditing) {
         await axiosInstance.put(`/team/update-team/${formData.id}`, formDataToSend);
+        await clearDraft();
         toast.success("Team member updated successfully!");
         setSelectedFile(null)
 
       } else {
         if (teamMembers.length < 4) {
           await axiosInstance.post("/team/add-team", formDataToSend);
+          await clearDraft();
           toast.success("Team member added successfully!");
           setSelectedFile(null)
 
@@ -214,6 +248,27 @@ const TeamManagement = () => {
   };
 
 
+  const applyImageFile = (file) => {
+    setCropFile(null);
+    setSelectedFile(file);
+    setFormData({ ...formData, img: URL.createObjectURL(file) });
+  };
+
+  const cancelCrop = () => {
+    setCropFile(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  const handleMediaSelect = (asset) => {
+    setSelectedFile(asset);
+    setFormData({ ...formData, img: asset.url });
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  };
+
   const handleRemoveImage = () => {
     setSelectedFile(null);
     setFormData({ ...formData, img: "" });
@@ -266,21 +321,25 @@ const TeamManagement = () => {
             </button>
           </div>
           <div className="flex gap-2">
-            <button
-              className="btn btn-sm"
-              onClick={() => handleEdit(member)}
-            >
-              <Edit className="h-4 w-4" />
-            </button>
-            <button
-              className="btn btn-sm btn-error"
-              onClick={() => {
-                setMemberToDelete(member);
-                setIsModalOpen(true);
-              }}
-            >
-              <Trash2 className="h-4 w-4" />
-            </button>
+            {can('team', 'edit') && (
+              <button
+                className="btn btn-sm"
+                onClick={() => handleEdit(member)}
+              >
+                <Edit className="h-4 w-4" />
+              </button>
+            )}
+            {can('team', 'delete') && (
+              <button
+                className="btn btn-sm btn-error"
+                onClick={() => {
+                  setMemberToDelete(member);
+                  setIsModalOpen(true);
+                }}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -413,16 +472,18 @@ const TeamManagement = () => {
 
           {/* Footer with action buttons */}
           <div className="p-4 border-t border-base-300 flex justify-end gap-2">
-            <button
-              className="btn btn-primary btn-sm md:btn-md"
-              onClick={() => {
-                onClose();
-                handleEdit(member);
-              }}
-            >
-              <Edit className="h-4 w-4 mr-2" />
-              Edit Member
-            </button>
+            {can('team', 'edit') && (
+              <button
+                className="btn btn-primary btn-sm md:btn-md"
+                onClick={() => {
+                  onClose();
+                  handleEdit(member);
+                }}
+              >
+                <Edit className="h-4 w-4 mr-2" />
+                Edit Member
+              </button>
+            )}
             <button
               className="btn btn-sm md:btn-md"
               onClick={onClose}
@@ -453,10 +514,12 @@ const TeamManagement = () => {
        <h1 className="text-3xl font-bold">Team Management </h1>
        <p >Total Team Members: {teamMembers.length}</p>
         </div>
-        <button className="btn btn-primary" onClick={handleAdd} disabled={isLoading}>
-          <Plus className="h-5 w-5" />
-          {isLoading ? 'Loading...' : 'Add Member'}
-        </button>
+        {can('team', 'create') && (
+          <button className="btn btn-primary" onClick={handleAdd} disabled={isLoading}>
+            <Plus className="h-5 w-5" />
+            {isLoading ? 'Loading...' : 'Add Member'}
+          </button>
+        )}
       </div>
 
       {teamMembers.length > 0 ? (<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -482,6 +545,7 @@ const TeamManagement = () => {
                 ✕
               </button>
             </div>
+            <DraftRestoreBanner draft={pendingDraft} onRestore={restoreDraft} onDiscard={discardDraft} />
             <form onSubmit={handleSubmit} className="space-y-4">
               <div>
                 <label className="block text-sm font-medium mb-1">Name  <span className="text-error">*</span> </label>
@@ -637,19 +701,32 @@ const TeamManagement = () => {
                   type="file"
                   ref={fileInputRef}
                   onChange={(e) => {
-                    setSelectedFile(e.target.files[0]);
-                    setFormData({ ...formData, img: URL.createObjectURL(e.target.files[0]) });
+                    const file = e.target.files[0];
+                    if (file && isCroppableImage(file)) {
+                      setCropFile(file);
+                    } else if (file) {
+                      applyImageFile(file);
+                    }
                   }}
                   className="file-input file-input-bordered w-full"
                   accept="image/*"
                 />
+                <button
+                  type="button"
+                  className="btn btn-sm btn-ghost gap-2 mt-2"
+                  onClick={() => setShowMediaPicker(true)}
+                >
+                  <Images className="w-4 h-4" /> Choose from media library
+                </button>
                 {errors.img && <p className="text-error">{errors.img}</p>}
 
                 {/* Image Preview */}
                 {(selectedFile || (isEditing && formData.image)) && (
                   <div className="mt-5 flex items-center justify-center gap-4">
                     <img
-                      src={selectedFile ? URL.createObjectURL(selectedFile) : formData.image}
+                      src={selectedFile
+                        ? (isMediaAsset(selectedFile) ? selectedFile.url : URL.createObjectURL(selectedFile))
+                        : formData.image}
                       alt="Preview"
                       className="w-80 h-80 rounded-lg border object-contain"
                     />
@@ -664,6 +741,18 @@ const TeamManagement = () => {
                     )}
                   </div>
                 )}
+                <MediaPickerModal
+                  isOpen={showMediaPicker}
+                  onClose={() => setShowMediaPicker(false)}
+                  onSelect={handleMediaSelect}
+                />
+                <ImageCropModal
+                  file={cropFile}
+                  preset="avatar"
+                  maxBytes={2 * 1024 * 1024}
+                  onCancel={cancelCrop}
+                  onComplete={applyImageFile}
+                />
               </div>
 
 
@@ -680,6 +769,8 @@ const TeamManagement = () => {
         </div>
       )}
 
+      {isDrawerOpen && isDirty && <UnsavedChangesGuard />}
+
       {/* Detail View Modal */}
       <DetailModal
         member={selectedMember}
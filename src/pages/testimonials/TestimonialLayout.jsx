@@ -3,8 +3,10 @@ import { Plus, Pencil, Trash2, Star, ChevronRight, ChevronLeft } from 'lucide-re
 import axiosInstance from '../../config/axios';
 import TestimonialForm from './TestimonialForm';
 import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
 
 const TestimonialLayout = () => {
+  const { can } = useAuth();
   const [testimonials, setTestimonials] = useState([]);
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [editTestimonial, setEditTestimonial] = useState(null);
@@ -105,13 +107,15 @@ const TestimonialLayout = () => {
        <h1 className="text-3xl font-bold text-neutral-content">Testimonials </h1>
        <p >Total Testimonials : {testimonialData.length}</p>
         </div>
-            <button
-              className="btn btn-primary gap-2"
-              onClick={handleAddNew}
-            >
-              <Plus className="w-5 h-5" />
-              Add Testimonial
-            </button>
+            {can('testimonials', 'create') && (
+              <button
+                className="btn btn-primary gap-2"
+                onClick={handleAddNew}
+              >
+                <Plus className="w-5 h-5" />
+                Add Testimonial
+              </button>
+            )}
           </div>
 
           {/* <div className="mx-auto space-y-4">
@@ -167,21 +171,25 @@ const TestimonialLayout = () => {
                 </div>
               </div>
               <div className="flex items-center space-x-2">
-                <button
-                  className="btn btn-sm btn-square btn-ghost"
-                  onClick={() => handleEdit(testimonial)}
-                >
-                  <Pencil className="w-5 h-5 text-success" />
-                </button>
-                <button
-                  className="btn btn-sm btn-square btn-error"
-                  onClick={() => {
-                    setTestimonialToDelete(testimonial.id);
-                    setShowDeleteModal(true);
-                  }}
-                >
-                  <Trash2 className="w-5 h-5 text-white" />
-                </button>
+                {can('testimonials', 'edit') && (
+                  <button
+                    className="btn btn-sm btn-square btn-ghost"
+                    onClick={() => handleEdit(testimonial)}
+                  >
+                    <Pencil className="w-5 h-5 text-success" />
+                  </button>
+                )}
+                {can('testimonials', 'delete') && (
+                  <button
+                    className="btn btn-sm btn-square btn-error"
+                    onClick={() => {
+                      setTestimonialToDelete(testimonial.id);
+                      setShowDeleteModal(true);
+                    }}
+                  >
+                    <Trash2 className="w-5 h-5 text-white" />
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -10,6 +10,8 @@ import { FiEdit2, FiTrash2 } from 'react-icons/fi';
 import axiosInstance from '../../config/axios';
 import DeleteConfirmModal from '../../components/ui/modal/DeleteConfirmModal';
 import playNotificationSound from "../../utils/playNotification";
+import { useAuth } from "../../context/AuthContext";
+import { SUPERADMIN_ROLE } from "../../utils/permissions";
 
 // Enhanced Validation Schema using Yup
 const userSchema = yup.object().shape({
@@ -53,6 +55,10 @@ const UserList = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [userToDelete, setUserToDelete] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const { authState, can } = useAuth();
+  // Only a superadmin may change or remove another superadmin
+  const canManage = (user) => user.role !== SUPERADMIN_ROLE || authState.role === SUPERADMIN_ROLE;
 
   const { register, handleSubmit, reset, formState: { errors }, setValue } = useForm({
     resolver: yupResolver(userSchema),
@@ -82,8 +88,18 @@ const UserList = () => {
   
   
 
+  const fetchRoles = async () => {
+    try {
+      const response = await axiosInstance.get("/roles");
+      setRoles(response.data.data.filter((role) => role.name !== SUPERADMIN_ROLE));
+    } catch (error) {
+      console.error("Error fetching roles:", error);
+    }
+  };
+
   useEffect(() => {
     fetchUsers();
+    fetchRoles();
   }, []);
 
   const openModal = (user = null) => {
@@ -214,9 +230,11 @@ const UserList = () => {
        <h1 className="text-3xl font-bold text-neutral-content">User List </h1>
        <p >Total Users : {users.length}</p>
         </div>
-        <button className="btn btn-primary" onClick={() => openModal()}>
-          Add User
-        </button>
+        {can('users', 'create') && (
+          <button className="btn btn-primary" onClick={() => openModal()}>
+            Add User
+          </button>
+        )}
       </div>
 
       {/* User List Table */}
@@ -250,18 +268,22 @@ const UserList = () => {
                     <td>{user.role}</td>
                     <td>
                       <div className="flex items-center gap-4">
-                        <button
-                          className="btn btn-ghost hover:bg-blue-50 p-2 rounded-lg transition-colors"
-                          onClick={() => openModal(user)}
-                        >
-                          <FiEdit2 size={24} className="text-blue-600 hover:text-blue-700" />
-                        </button>
-                        <button
-                          className="btn btn-ghost hover:bg-red-50 p-2 rounded-lg transition-colors"
-                          onClick={() => openDeleteConfirmation(user)}
-                        >
-                          <FiTrash2 size={24} className="text-red-600 hover:text-red-700" />
-                        </button>
+                        {can('users', 'edit') && canManage(user) && (
+                          <button
+                            className="btn btn-ghost hover:bg-blue-50 p-2 rounded-lg transition-colors"
+                            onClick={() => openModal(user)}
+                          >
+                            <FiEdit2 size={24} className="text-blue-600 hover:text-blue-700" />
+                          </button>
+                        )}
+                        {can('users', 'delete') && canManage(user) && (
+                          <button
+                            className="btn btn-ghost hover:bg-red-50 p-2 rounded-lg transition-colors"
+                            onClick={() => openDeleteConfirmation(user)}
+                          >
+                            <FiTrash2 size={24} className="text-red-600 hover:text-red-700" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -337,8 +359,12 @@ const UserList = () => {
                 className={`select select-bordered ${errors.role ? 'select-error' : ''}`} 
                 {...register('role')}
               >
-                <option value="admin">Admin</option>
-                <option value="superadmin">Super Admin</option>
+                <option value="">Select a role</option>
+                {roles.map((role) => (
+                  <option key={role.id} value={role.name}>{role.name}</option>
+                ))}
+                {/* Only a superadmin can hand out full access */}
+                {authState.role === SUPERADMIN_ROLE && <option value={SUPERADMIN_ROLE}>Super Admin</option>}
               </select>
               {errors.role && <span className="text-error text-sm mt-1">{errors.role.message}</span>}
             </div>
@@ -2,8 +2,9 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, role = null }) => {
-    const { authState } = useAuth();
+// `module` (and optionally `action`) gate the route by the role's permissions from the Roles page
+const ProtectedRoute = ({ children, role = null, module = null, action = 'view' }) => {
+    const { authState, permissions, can } = useAuth();
     const location = useLocation();
     
     // Check for special characters in URL
@@ -11,16 +12,8 @@ const ProtectedRoute = ({ children, role = null }) => {
         // Define pattern for invalid characters
         const invalidPattern = /[@#!$%^&*()_+|~=`{}\[\]:";'<>?,\\]/;
         
-        // Check pathname, search params, and hash
-        const currentPath = location.pathname;
-        const currentSearch = location.search;
-        const currentHash = location.hash;
-        
-        return (
-            invalidPattern.test(currentPath) || 
-            invalidPattern.test(currentSearch) || 
-            invalidPattern.test(currentHash)
-        );
+        // Only the pathname: list pages keep their filters in the query string, which needs ? = and &
+        return invalidPattern.test(location.pathname);
     };
     
     // First check for invalid URL characters
@@ -37,6 +30,20 @@ const ProtectedRoute = ({ children, role = null }) => {
     if (role && !role.includes(authState.role)) {
         return <Navigate to="/error/403" replace />;
     }
+
+    if (module) {
+        // Wait for the role's permissions rather than bouncing to 403 on first load
+        if (permissions === null) {
+            return (
+                <div className="flex justify-center items-center min-h-[600px]">
+                    <span className="loading loading-spinner loading-lg text-primary"></span>
+                </div>
+            );
+        }
+        if (!can(module, action)) {
+            return <Navigate to="/error/403" replace />;
+        }
+    }
     
     return children;
 };
@@ -31,6 +31,12 @@ import Error500 from '../pages/error/Error500.jsx';
 import Error503 from '../pages/error/Error503.jsx';
 import FAQPage from '../pages/faq/FAQPage.jsx';
 import OrganizationDetails from '../pages/organization-details/OrganizationDetails.jsx';
+import MediaLibrary from '../pages/media/MediaLibrary.jsx';
+import ContactsLayout from '../pages/contacts/ContactsLayout.jsx';
+import ContactDetail from '../pages/contacts/ContactDetail.jsx';
+import CampaignReport from '../pages/newsletter/CampaignReport.jsx';
+import RolesLayout from '../pages/roles/RolesLayout.jsx';
+import AuditLog from '../pages/audit-log/AuditLog.jsx';
 import PublicRoute from './PublicRoute.jsx';
 import SpecialSymbol from './SpecialSymbol.jsx';
 
@@ -46,15 +52,19 @@ export const router = createBrowserRouter([
       },
       {
         path: 'analytics',
-        element: <ProtectedRoute><Analytics /></ProtectedRoute>,
+        element: <ProtectedRoute module="dashboard"><Analytics /></ProtectedRoute>,
       },
       {
         path: 'reports',
-        element: <ProtectedRoute><Reports /></ProtectedRoute>,
+        element: <ProtectedRoute module="dashboard"><Reports /></ProtectedRoute>,
       },
       {
         path: 'users',
-        element: <ProtectedRoute role={['superadmin']}><UserList /></ProtectedRoute>,
+        element: <ProtectedRoute module="users"><UserList /></ProtectedRoute>,
+      },
+      {
+        path: 'roles',
+        element: <ProtectedRoute module="roles"><RolesLayout /></ProtectedRoute>,
       },
       {
         path: 'users/:id',
@@ -66,23 +76,31 @@ export const router = createBrowserRouter([
       },
       {
         path: '/posts',
-        element: <ProtectedRoute><BlogsLayout /></ProtectedRoute>,
+        element: <ProtectedRoute module="blogs"><BlogsLayout /></ProtectedRoute>,
       },
       {
         path: '/testimonials',
-        element: <ProtectedRoute><TestimonialLayout /></ProtectedRoute>,
+        element: <ProtectedRoute module="testimonials"><TestimonialLayout /></ProtectedRoute>,
       },
       {
         path: '/social',
-        element: <ProtectedRoute><SocialMediaLayout /></ProtectedRoute>,
+        element: <ProtectedRoute module="social"><SocialMediaLayout /></ProtectedRoute>,
       },
       {
         path: '/clients',
-        element: <ProtectedRoute><ClientsLayout /></ProtectedRoute>,
+        element: <ProtectedRoute module="clients"><ClientsLayout /></ProtectedRoute>,
       },
       {
         path: '/enquiries',
-        element: <ProtectedRoute><EnquiriesView /></ProtectedRoute>,
+        element: <ProtectedRoute module="enquiries"><EnquiriesView /></ProtectedRoute>,
+      },
+      {
+        path: '/contacts',
+        element: <ProtectedRoute module="contacts"><ContactsLayout /></ProtectedRoute>,
+      },
+      {
+        path: '/contacts/:id',
+        element: <ProtectedRoute module="contacts"><ContactDetail /></ProtectedRoute>,
       },
       {
         path: '/notifications',
@@ -90,11 +108,11 @@ export const router = createBrowserRouter([
       },
       {
         path: '/team',
-        element: <ProtectedRoute><TeamManagement /></ProtectedRoute>,
+        element: <ProtectedRoute module="team"><TeamManagement /></ProtectedRoute>,
       },
       {
         path: '/pages',
-        element: <ProtectedRoute><PageLayout /></ProtectedRoute>,
+        element: <ProtectedRoute module="pages"><PageLayout /></ProtectedRoute>,
       },
       {
         path: '/help',
@@ -102,19 +120,23 @@ export const router = createBrowserRouter([
       },
       {
         path: '/newsletters',
-        element: <ProtectedRoute><Newsletter /></ProtectedRoute>,
+        element: <ProtectedRoute module="newsletters"><Newsletter /></ProtectedRoute>,
+      },
+      {
+        path: '/newsletters/campaigns/:id',
+        element: <ProtectedRoute module="newsletters"><CampaignReport /></ProtectedRoute>,
       },
       {
         path: 'mail-config',
-        element: <ProtectedRoute><MailConfig /></ProtectedRoute>,
+        element: <ProtectedRoute module="mailConfig"><MailConfig /></ProtectedRoute>,
       },
       {
         path: '/documents',
-        element: <ProtectedRoute><DocumentPage /></ProtectedRoute>,
+        element: <ProtectedRoute module="documents"><DocumentPage /></ProtectedRoute>,
       },
       {
         path: '/seo-editor',
-        element: <ProtectedRoute><SeoLayout /></ProtectedRoute>,
+        element: <ProtectedRoute module="seo"><SeoLayout /></ProtectedRoute>,
       },
       {
         path: 'profile',
@@ -122,11 +144,19 @@ export const router = createBrowserRouter([
       },
       {
         path: 'faqs',
-        element: <ProtectedRoute><FAQPage /></ProtectedRoute>,
+        element: <ProtectedRoute module="faqs"><FAQPage /></ProtectedRoute>,
       },
       {
         path: 'organization-details',
-        element: <ProtectedRoute><OrganizationDetails /></ProtectedRoute>,
+        element: <ProtectedRoute module="organization"><OrganizationDetails /></ProtectedRoute>,
+      },
+      {
+        path: 'audit-log',
+        element: <ProtectedRoute module="auditLog"><AuditLog /></ProtectedRoute>,
+      },
+      {
+        path: 'media',
+        element: <ProtectedRoute module="media"><MediaLibrary /></ProtectedRoute>,
       }
     ],
   },
@@ -0,0 +1,45 @@
+// Modules whose changes the API records in the audit log
+export const AUDIT_MODULES = {
+  blogs: "Blog Posts",
+  clients: "Clients",
+  testimonials: "Testimonials",
+  faqs: "FAQs",
+  team: "Team Members",
+  seo: "SEO",
+  documents: "Documents",
+  social: "Social Media",
+  mailConfig: "Mail Config",
+  users: "Users",
+  roles: "Roles & Permissions",
+  notifications: "Notifications",
+};
+
+export const AUDIT_ACTIONS = {
+  create: { label: "Created", badge: "badge-success" },
+  update: { label: "Updated", badge: "badge-info" },
+  delete: { label: "Deleted", badge: "badge-error" },
+};
+
+export const getAuditModuleLabel = (module) => AUDIT_MODULES[module] || module;
+
+export const getAuditActionLabel = (action) => AUDIT_ACTIONS[action]?.label || action;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "";
+  return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+};
+
+/**
+ * Field-by-field changes between two snapshots of an entity. A create has no
+ * before and a delete has no after, so every field shows up on one side only.
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .map((field) => ({
+      field,
+      before: formatValue(before?.[field]),
+      after: formatValue(after?.[field]),
+    }))
+    .filter((change) => change.before !== change.after);
+};
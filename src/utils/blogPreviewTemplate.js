@@ -0,0 +1,84 @@
+import { format } from "date-fns";
+
+const SITE_URL = "https://www.scfstrategies.com";
+const SITE_LOGO = `${SITE_URL}/_next/image?url=%2Fimages%2Flogo.png&w=96&q=75`;
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? "" : format(date, "MMMM d, yyyy");
+};
+
+// Mirrors the public blog article layout closely enough to check copy, images and line breaks
+const styles = `
+  *, *::before, *::after { box-sizing: border-box; }
+  body { margin: 0; font-family: Inter, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; background: #fff; line-height: 1.7; }
+  header.site { display: flex; align-items: center; justify-content: space-between; padding: 16px 32px; border-bottom: 1px solid #e5e7eb; }
+  header.site img { height: 40px; }
+  header.site nav { display: flex; gap: 24px; font-size: 14px; color: #4b5563; }
+  main { max-width: 820px; margin: 0 auto; padding: 48px 24px 80px; }
+  .categories { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; }
+  .category { font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: .05em; color: #1d4ed8; background: #eff6ff; padding: 4px 10px; border-radius: 999px; }
+  .premium { color: #92400e; background: #fef3c7; }
+  h1.title { font-size: 40px; line-height: 1.2; margin: 0 0 16px; color: #111827; }
+  .meta { font-size: 14px; color: #6b7280; margin-bottom: 32px; }
+  .cover { width: 100%; aspect-ratio: 16 / 9; object-fit: cover; border-radius: 16px; margin-bottom: 32px; background: #f3f4f6; }
+  .excerpt { font-size: 20px; color: #4b5563; border-left: 4px solid #1d4ed8; padding-left: 16px; margin: 0 0 32px; }
+  .content img { max-width: 100%; height: auto; }
+  .content a { color: #1d4ed8; }
+  .content blockquote { border-left: 4px solid #e5e7eb; margin: 0; padding-left: 16px; color: #4b5563; }
+  .content pre { background: #111827; color: #f9fafb; padding: 16px; border-radius: 8px; overflow-x: auto; }
+  .content .ql-align-center { text-align: center; }
+  .content .ql-align-right { text-align: right; }
+  .content .ql-align-justify { text-align: justify; }
+  .tags { margin-top: 48px; display: flex; flex-wrap: wrap; gap: 8px; }
+  .tag { font-size: 13px; color: #4b5563; border: 1px solid #d1d5db; padding: 2px 10px; border-radius: 999px; }
+  .empty { color: #9ca3af; font-style: italic; }
+  @media (max-width: 768px) {
+    header.site { padding: 12px 16px; }
+    header.site nav { display: none; }
+    main { padding: 32px 16px 64px; }
+    h1.title { font-size: 28px; }
+    .excerpt { font-size: 17px; }
+  }
+`;
+
+/**
+ * Builds a standalone HTML document for the preview iframe from the unsaved form state.
+ * Quill content is trusted editor output; the iframe is sandboxed without scripts.
+ */
+export const renderBlogPreviewHtml = ({ title, author, date, excerpt, content, image, isPremium, categories = [], tags = [] }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title || "Untitled post")}</title>
+  <style>${styles}</style>
+</head>
+<body>
+  <header class="site">
+    <img src="${SITE_LOGO}" alt="SCF Strategies" />
+    <nav><span>About</span><span>Services</span><span>Blog</span><span>Contact</span></nav>
+  </header>
+  <main>
+    <article>
+      <div class="categories">
+        ${isPremium ? '<span class="category premium">Premium</span>' : ""}
+        ${categories.map((category) => `<span class="category">${escapeHtml(category)}</span>`).join("")}
+      </div>
+      <h1 class="title">${title ? escapeHtml(title) : '<span class="empty">Untitled post</span>'}</h1>
+      <div class="meta">${[author && `By ${escapeHtml(author)}`, formatDate(date)].filter(Boolean).join(" · ")}</div>
+      ${image ? `<img class="cover" src="${escapeHtml(image)}" alt="" />` : ""}
+      ${excerpt ? `<p class="excerpt">${escapeHtml(excerpt)}</p>` : ""}
+      <div class="content">${content || '<p class="empty">No content yet</p>'}</div>
+      ${tags.length > 0 ? `<div class="tags">${tags.map((tag) => `<span class="tag">#${escapeHtml(tag)}</span>`).join("")}</div>` : ""}
+    </article>
+  </main>
+</body>
+</html>`;
@@ -0,0 +1,18 @@
+import { format } from "date-fns";
+
+export const BLOG_STATUSES = {
+  draft: { label: "Draft", badge: "badge-ghost" },
+  scheduled: { label: "Scheduled", badge: "badge-info" },
+  published: { label: "Published", badge: "badge-success" },
+};
+
+// Posts created before the draft/schedule workflow have no status and are live
+export const getBlogStatus = (blog) => blog?.status || "published";
+
+export const getBlogStatusLabel = (blog) => {
+  const status = getBlogStatus(blog);
+  if (status === "scheduled" && blog.publishAt) {
+    return `Scheduled · ${format(new Date(blog.publishAt), "dd MMM, yyyy HH:mm")}`;
+  }
+  return BLOG_STATUSES[status]?.label || status;
+};
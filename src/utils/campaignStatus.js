@@ -0,0 +1,9 @@
+// Lifecycle of a newsletter campaign; cancelling a scheduled send returns it to draft
+export const CAMPAIGN_STATUSES = {
+  draft: { label: "Draft", badge: "badge-ghost" },
+  scheduled: { label: "Scheduled", badge: "badge-info" },
+  sending: { label: "Sending", badge: "badge-warning" },
+  sent: { label: "Sent", badge: "badge-success" },
+};
+
+export const getCampaignStatusLabel = (status) => CAMPAIGN_STATUSES[status]?.label || status;
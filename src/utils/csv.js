@@ -0,0 +1,78 @@
+// Quotes a value when it contains a delimiter, quote or line break (RFC 4180).
+// Text starting like a formula gets a leading ' so spreadsheets show it instead of running it;
+// exports carry text typed by site visitors. Numbers and phone numbers such as +91 98765 43210 are left alone.
+const isNumberLike = (text) => /^[+-]?[\d\s().-]+$/.test(text);
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = Array.isArray(value) ? value.join(", ") : String(value);
+  if (typeof value !== "number" && !isNumberLike(text) && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ label, value: (row) => any }]
+export const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeCell(column.label)).join(","),
+    ...rows.map((row) => columns.map((column) => escapeCell(column.value(row))).join(",")),
+  ].join("\r\n");
+
+export const downloadFile = (content, fileName, type = "text/csv;charset=utf-8") => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const downloadUrl = window.URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = downloadUrl;
+  link.download = fileName;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  window.URL.revokeObjectURL(downloadUrl);
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells, doubled quotes, line breaks inside quotes)
+ * into an array of rows, each an array of cell strings. Blank lines are dropped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
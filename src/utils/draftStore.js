@@ -0,0 +1,40 @@
+// Minimal IndexedDB wrapper for unsaved editor drafts.
+// Records look like { key: "blog:42", data: {...}, savedAt: ISO string }.
+const DB_NAME = "scf-cms";
+const DB_VERSION = 1;
+const STORE_NAME = "drafts";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const saveDraft = (key, data) =>
+  runRequest("readwrite", (store) => store.put({ key, data, savedAt: new Date().toISOString() }));
+
+export const loadDraft = (key) => runRequest("readonly", (store) => store.get(key));
+
+export const deleteDraft = (key) => runRequest("readwrite", (store) => store.delete(key));
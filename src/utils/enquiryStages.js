@@ -0,0 +1,18 @@
+// Sales pipeline an enquiry moves through, in board order
+export const ENQUIRY_STAGES = {
+  new: { label: "New", badge: "badge-info" },
+  contacted: { label: "Contacted", badge: "badge-primary" },
+  qualified: { label: "Qualified", badge: "badge-secondary" },
+  won: { label: "Won", badge: "badge-success" },
+  lost: { label: "Lost", badge: "badge-ghost" },
+  spam: { label: "Spam", badge: "badge-error" },
+};
+
+// Enquiries received before the pipeline existed have no stage yet
+export const getEnquiryStage = (enquiry) => enquiry?.stage || "new";
+
+export const getEnquiryStageLabel = (stage) => ENQUIRY_STAGES[stage]?.label || stage;
+
+// "Not spam" returns an enquiry to the stage it had before; the API keeps it as previousStage
+export const getStageBeforeSpam = (enquiry) =>
+  enquiry?.previousStage && enquiry.previousStage !== "spam" ? enquiry.previousStage : "new";
@@ -0,0 +1,85 @@
+// Crop and compression presets for the upload widgets.
+// aspect: null keeps the source aspect ratio; width is the longest output edge in pixels.
+export const IMAGE_PRESETS = {
+  blogCover: { label: "Blog cover (16:9)", aspect: 16 / 9, width: 1600 },
+  avatar: { label: "Team avatar (1:1)", aspect: 1, width: 600 },
+  logo: { label: "Logo (original, transparent)", aspect: null, width: 800 },
+};
+
+export const ASPECT_OPTIONS = [
+  { label: "16:9", value: 16 / 9 },
+  { label: "4:3", value: 4 / 3 },
+  { label: "1:1", value: 1 },
+  { label: "Original", value: null },
+];
+
+// Browsers can only draw raster formats onto a canvas without losing information
+export const isCroppableImage = (file) =>
+  ["image/jpeg", "image/png", "image/gif", "image/webp", "image/bmp"].includes(file?.type);
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return "—";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+export const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("The image could not be read"));
+    image.src = src;
+  });
+
+const canvasToBlob = (canvas, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("The image could not be encoded"))),
+      "image/webp",
+      quality
+    );
+  });
+
+// Draws the crop area ({ x, y, width, height } in source pixels) scaled to fit maxWidth
+const drawCrop = (image, crop, maxWidth) => {
+  const scale = Math.min(1, maxWidth / Math.max(crop.width, crop.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(crop.width * scale));
+  canvas.height = Math.max(1, Math.round(crop.height * scale));
+
+  const context = canvas.getContext("2d");
+  // The canvas starts transparent, so logos keep their alpha channel in WebP
+  context.imageSmoothingQuality = "high";
+  context.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Crops and encodes the image as WebP, lowering quality and then dimensions
+ * until it fits under maxBytes. Returns a File ready for FormData.
+ * Browsers without a WebP encoder (Safari) hand back PNG instead; the File is
+ * named and typed after what was actually encoded.
+ */
+export const cropAndCompress = async (image, crop, { maxWidth, maxBytes, fileName = "image" }) => {
+  let width = maxWidth;
+  let blob = null;
+
+  while (width >= 200) {
+    const canvas = drawCrop(image, crop, width);
+    for (let quality = 0.9; quality >= 0.5; quality -= 0.1) {
+      blob = await canvasToBlob(canvas, quality);
+      if (blob.size <= maxBytes) break;
+    }
+    if (blob.size <= maxBytes) break;
+    width = Math.round(width * 0.8);
+  }
+
+  if (!blob || blob.size > maxBytes) {
+    throw new Error("The image could not be compressed under the size limit");
+  }
+
+  const baseName = fileName.replace(/\.[^.]+$/, "") || "image";
+  const extension = blob.type.replace("image/", "").replace("jpeg", "jpg");
+  return new File([blob], `${baseName}.${extension}`, { type: blob.type, lastModified: Date.now() });
+};
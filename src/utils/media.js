@@ -0,0 +1,11 @@
+// Image fields hold either a freshly chosen File or an asset picked from the media library
+export const isMediaAsset = (value) => Boolean(value?.url) && !(value instanceof File);
+
+// Library assets are referenced by id (e.g. "imageMediaId") so the server does not store a copy
+export const appendImageField = (formData, field, value) => {
+  if (value instanceof File) {
+    formData.append(field, value);
+  } else if (isMediaAsset(value)) {
+    formData.append(`${field}MediaId`, value.id);
+  }
+};
@@ -0,0 +1,34 @@
+// Replaces {{tag}} placeholders with values; unknown tags are left in place so they stand out
+export const fillMergeTags = (text = "", values = {}) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, tag) =>
+    values[tag] !== undefined && values[tag] !== null ? String(values[tag]) : match
+  );
+
+// Placeholders available when replying to an enquiry
+export const ENQUIRY_MERGE_TAGS = ["name", "email", "phone", "company", "message"];
+
+export const getEnquiryMergeValues = (enquiry) => ({
+  name: enquiry.name,
+  email: enquiry.email,
+  phone: enquiry.phoneNumber,
+  company: enquiry.company,
+  message: enquiry.message,
+});
+
+// Placeholders available in newsletter campaigns; the API fills them per subscriber
+export const NEWSLETTER_MERGE_TAGS = ["email", "subscribed_date", "unsubscribe_url"];
+
+// Stand-in values for the campaign preview
+export const SAMPLE_SUBSCRIBER_MERGE_VALUES = {
+  email: "jane.doe@example.com",
+  subscribed_date: "January 1, 2025",
+  unsubscribe_url: "#unsubscribe",
+};
+
+// Placeholders available in the double opt-in confirmation email
+export const OPT_IN_MERGE_TAGS = ["email", "confirm_url"];
+
+export const SAMPLE_OPT_IN_MERGE_VALUES = {
+  email: "jane.doe@example.com",
+  confirm_url: "#confirm",
+};
@@ -0,0 +1,108 @@
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Email clients drop most <style> rules, so the layout relies on tables and inline styles
+const contentStyles = `
+  .content img { max-width: 100%; height: auto; }
+  .content a { color: #1d4ed8; }
+  .content blockquote { border-left: 4px solid #e5e7eb; margin: 0; padding-left: 16px; color: #4b5563; }
+  .content .ql-align-center { text-align: center; }
+  .content .ql-align-right { text-align: right; }
+  .content .ql-align-justify { text-align: justify; }
+  @media (max-width: 620px) {
+    .container { width: 100% !important; }
+    .padded { padding: 24px 16px !important; }
+  }
+`;
+
+const renderHeader = ({ logo }) => `
+  <tr>
+    <td class="padded" style="padding:24px 32px;border-bottom:1px solid #e5e7eb;text-align:center;">
+      ${logo ? `<img src="${escapeHtml(logo)}" alt="Logo" style="max-height:48px;max-width:200px;" />` : ""}
+    </td>
+  </tr>`;
+
+const renderFooter = ({ location, email, phone }) => `
+  <tr>
+    <td class="padded" style="padding:24px 32px;background:#f9fafb;color:#6b7280;font-size:12px;line-height:1.6;text-align:center;">
+      ${location ? `<p style="margin:0 0 4px;">${escapeHtml(location)}</p>` : ""}
+      ${[email, phone].filter(Boolean).map(escapeHtml).join(" · ")}
+      <p style="margin:12px 0 0;">
+        You are receiving this email because you subscribed to our newsletter.
+        <a href="{{unsubscribe_url}}" style="color:#6b7280;">Unsubscribe</a>
+      </p>
+    </td>
+  </tr>`;
+
+/**
+ * Wraps campaign content in the email layout. The header and footer come from
+ * OrganizationDetails (logo, address, contact details). Merge tags are left in
+ * place for the API to fill per subscriber.
+ */
+export const renderNewsletterHtml = ({
+  subject,
+  previewText,
+  content,
+  organization = {},
+  includeHeader = true,
+  includeFooter = true,
+}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(subject || "")}</title>
+  <style>${contentStyles}</style>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;color:#1f2937;">
+  ${previewText ? `<div style="display:none;max-height:0;overflow:hidden;">${escapeHtml(previewText)}</div>` : ""}
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;">
+    <tr>
+      <td align="center" style="padding:24px 0;">
+        <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" style="width:600px;background:#ffffff;border-radius:8px;overflow:hidden;">
+          ${includeHeader ? renderHeader(organization) : ""}
+          <tr>
+            <td class="padded content" style="padding:32px;font-size:16px;line-height:1.6;">
+              ${content || '<p style="color:#9ca3af;font-style:italic;">No content yet</p>'}
+            </td>
+          </tr>
+          ${includeFooter ? renderFooter(organization) : ""}
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+/**
+ * Plain-text alternative for clients that do not render HTML.
+ * Links keep their address in brackets and list items get a dash.
+ */
+export const htmlToPlainText = (html = "") => {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+
+  doc.querySelectorAll("a[href]").forEach((link) => {
+    const href = link.getAttribute("href");
+    if (href && href !== link.textContent.trim()) {
+      link.textContent = `${link.textContent} (${href})`;
+    }
+  });
+  doc.querySelectorAll("li").forEach((item) => {
+    item.textContent = `- ${item.textContent}`;
+  });
+  doc.querySelectorAll("p, h1, h2, h3, h4, h5, h6, li, blockquote, pre").forEach((block) => {
+    block.append("\n");
+  });
+  doc.querySelectorAll("br").forEach((lineBreak) => lineBreak.replaceWith("\n"));
+
+  return doc.body.textContent
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
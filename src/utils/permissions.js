@@ -0,0 +1,42 @@
+// Superadmins are not limited by role permissions and cannot be edited on the Roles page
+export const SUPERADMIN_ROLE = "superadmin";
+
+export const PERMISSION_ACTIONS = {
+  view: "View",
+  create: "Create",
+  edit: "Edit",
+  delete: "Delete",
+  publish: "Publish",
+};
+
+// Modules that can be granted per role and the actions that make sense for each
+export const PERMISSION_MODULES = [
+  { key: "dashboard", label: "Dashboard & Analytics", actions: ["view"] },
+  { key: "enquiries", label: "Enquiries", actions: ["view", "edit", "delete"] },
+  { key: "contacts", label: "Contacts", actions: ["view", "edit"] },
+  { key: "pages", label: "Pages", actions: ["view"] },
+  { key: "blogs", label: "Blog Posts", actions: ["view", "create", "edit", "delete", "publish"] },
+  { key: "clients", label: "Clients", actions: ["view", "create", "edit", "delete"] },
+  { key: "documents", label: "Documents", actions: ["view", "edit"] },
+  { key: "media", label: "Media Library", actions: ["view", "create", "edit", "delete"] },
+  { key: "seo", label: "SEO", actions: ["view", "edit"] },
+  { key: "team", label: "Team Members", actions: ["view", "create", "edit", "delete"] },
+  { key: "faqs", label: "FAQs", actions: ["view", "create", "edit", "delete"] },
+  { key: "organization", label: "Organization Details", actions: ["view", "edit"] },
+  { key: "newsletters", label: "Newsletters", actions: ["view", "create", "edit", "delete", "publish"] },
+  { key: "testimonials", label: "Testimonials", actions: ["view", "create", "edit", "delete"] },
+  { key: "social", label: "Social Media", actions: ["view", "create", "edit"] },
+  { key: "users", label: "Users", actions: ["view", "create", "edit", "delete"] },
+  { key: "roles", label: "Roles & Permissions", actions: ["view", "create", "edit", "delete"] },
+  { key: "mailConfig", label: "Mail Config", actions: ["view", "edit"] },
+  { key: "auditLog", label: "Audit Log", actions: ["view"] },
+];
+
+/**
+ * permissions is the role's grant map, e.g. { blogs: ["view", "edit"] }.
+ * Any other action on a module implies "view" so a role cannot edit what it cannot open.
+ */
+export const hasPermission = (permissions, module, action = "view") => {
+  const granted = permissions?.[module] || [];
+  return action === "view" ? granted.length > 0 : granted.includes(action);
+};
@@ -0,0 +1,27 @@
+/**
+ * Runs worker(item) for every item, a few at a time so large selections do not flood the API.
+ * Never rejects: resolves to one { item, ok, message } per item, in input order.
+ */
+export const runInBatches = async (items, worker, { concurrency = 5, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let done = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        await worker(item);
+        results[index] = { item, ok: true };
+      } catch (error) {
+        results[index] = { item, ok: false, message: error.response?.data?.message || error.message };
+      }
+      done += 1;
+      onProgress?.(done, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+  return results;
+};
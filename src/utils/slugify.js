@@ -0,0 +1,13 @@
+// "Hello, World 2025!" -> "hello-world-2025"
+const slugify = (text = "") =>
+  text
+    .toString()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export default slugify;
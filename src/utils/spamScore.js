@@ -0,0 +1,114 @@
+// Throwaway inbox providers bots sign up with; kept short and extended through the blocklist
+const DISPOSABLE_DOMAINS = [
+  "mailinator.com",
+  "guerrillamail.com",
+  "10minutemail.com",
+  "tempmail.com",
+  "temp-mail.org",
+  "yopmail.com",
+  "trashmail.com",
+  "getnada.com",
+  "sharklasers.com",
+  "dispostable.com",
+  "maildrop.cc",
+  "throwawaymail.com",
+];
+
+// Providers shared by real people, so "Mark as spam" never offers to block the whole domain
+export const FREE_EMAIL_DOMAINS = [
+  "gmail.com",
+  "yahoo.com",
+  "outlook.com",
+  "hotmail.com",
+  "icloud.com",
+  "live.com",
+  "aol.com",
+  "protonmail.com",
+];
+
+export const BLOCKLIST_TYPES = {
+  email: { label: "Email", placeholder: "bot@example.com" },
+  domain: { label: "Domain", placeholder: "example.com" },
+  phone: { label: "Phone prefix", placeholder: "91999" },
+};
+
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+const BURST_SIZE = 3;
+
+export const SPAM_THRESHOLD = 60;
+
+export const getEmailDomain = (email = "") => email.split("@")[1]?.trim().toLowerCase() || "";
+
+export const getPhoneDigits = (phone = "") => String(phone).replace(/\D/g, "");
+
+const normalizeMessage = (message = "") => message.toLowerCase().replace(/\s+/g, " ").trim();
+
+const matchesBlocklist = (enquiry, entry) => {
+  const value = entry.value.toLowerCase();
+  if (entry.type === "email") return enquiry.email?.toLowerCase() === value;
+  if (entry.type === "domain") return getEmailDomain(enquiry.email) === value;
+  if (entry.type === "phone") return getPhoneDigits(enquiry.phoneNumber).startsWith(getPhoneDigits(value));
+  return false;
+};
+
+/**
+ * Scores each enquiry from 0 to 100 with the reasons behind it. Duplicate and burst
+ * checks use the counts the API computes over every enquiry (duplicateCount,
+ * recentSubmissionCount); when an enquiry has none they fall back to comparing the
+ * enquiries passed in, and the reason says it only covers this page.
+ * Returns { [enquiryId]: { score, reasons } }.
+ */
+export const scoreEnquiries = (enquiries, blocklist = []) => {
+  const messageCounts = {};
+  enquiries.forEach((enquiry) => {
+    const key = normalizeMessage(enquiry.message);
+    if (key) messageCounts[key] = (messageCounts[key] || 0) + 1;
+  });
+
+  return Object.fromEntries(enquiries.map((enquiry) => {
+    const reasons = [];
+    let score = 0;
+
+    const links = (enquiry.message?.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+    if (links > 0) {
+      score += Math.min(links * 15, 40);
+      reasons.push(`${links} ${links === 1 ? "link" : "links"} in the message`);
+    }
+
+    const domain = getEmailDomain(enquiry.email);
+    if (DISPOSABLE_DOMAINS.includes(domain)) {
+      score += 35;
+      reasons.push(`Disposable email domain (${domain})`);
+    }
+
+    const hasDuplicateCount = typeof enquiry.duplicateCount === "number";
+    const duplicates = hasDuplicateCount
+      ? enquiry.duplicateCount
+      : messageCounts[normalizeMessage(enquiry.message)] || 0;
+    if (duplicates > 1) {
+      score += 30;
+      reasons.push(hasDuplicateCount ? "Same message sent more than once" : "Same message sent more than once on this page");
+    }
+
+    const hasBurstCount = typeof enquiry.recentSubmissionCount === "number";
+    const sentAt = new Date(enquiry.createdAt).getTime();
+    const burst = hasBurstCount
+      ? enquiry.recentSubmissionCount
+      : enquiries.filter((other) =>
+          (other.email === enquiry.email || (other.ipAddress && other.ipAddress === enquiry.ipAddress)) &&
+          Math.abs(new Date(other.createdAt).getTime() - sentAt) <= BURST_WINDOW_MS
+        ).length;
+    if (burst >= BURST_SIZE) {
+      score += 25;
+      reasons.push(`${burst} submissions within 10 minutes${hasBurstCount ? "" : " on this page"}`);
+    }
+
+    const blocked = blocklist.find((entry) => matchesBlocklist(enquiry, entry));
+    if (blocked) {
+      score += 60;
+      reasons.push(`Blocked ${BLOCKLIST_TYPES[blocked.type]?.label.toLowerCase()}: ${blocked.value}`);
+    }
+
+    return [enquiry.id, { score: Math.min(score, 100), reasons }];
+  }));
+};
@@ -0,0 +1,76 @@
+// Longest-common-subsequence diff over two token arrays.
+// Returns [{ type: "equal" | "removed" | "added", value }] in document order.
+export const diffSequences = (before, after) => {
+  const rows = before.length;
+  const cols = after.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      result.push({ type: "equal", value: before[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", value: before[i++] });
+    } else {
+      result.push({ type: "added", value: after[j++] });
+    }
+  }
+  while (i < rows) result.push({ type: "removed", value: before[i++] });
+  while (j < cols) result.push({ type: "added", value: after[j++] });
+
+  return result;
+};
+
+// Word level diff that keeps whitespace attached so the text can be rebuilt.
+// Revisions saved before a field existed hold null there, so treat it as empty.
+export const diffWords = (before, after) =>
+  diffSequences((before ?? "").split(/(\s+)/), (after ?? "").split(/(\s+)/));
+
+// Quill stores one block element per paragraph, so closing block tags make a good line break
+export const splitHtmlBlocks = (html) =>
+  (html ?? "")
+    .split(/(?<=<\/(?:p|h[1-6]|li|ol|ul|blockquote|pre)>)/i)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+// Pairs removed and added blocks into rows for a side-by-side view
+export const toSideBySide = (changes) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const length = Math.max(removed.length, added.length);
+    for (let index = 0; index < length; index++) {
+      rows.push({ type: "changed", left: removed[index] ?? null, right: added[index] ?? null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  changes.forEach((change) => {
+    if (change.type === "removed") {
+      removed.push(change.value);
+    } else if (change.type === "added") {
+      added.push(change.value);
+    } else {
+      flush();
+      rows.push({ type: "equal", left: change.value, right: change.value });
+    }
+  });
+  flush();
+
+  return rows;
+};